@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+// Display names and public RPC fallbacks for chains Nuvia is deployed on
+const KNOWN_CHAINS = {
+  8453: { name: 'Base', rpcUrls: ['https://mainnet.base.org'] },
+  42161: { name: 'Arbitrum One', rpcUrls: ['https://arb1.arbitrum.io/rpc'] },
+  84532: { name: 'Base Sepolia', rpcUrls: ['https://sepolia.base.org'] }
+};
+
+// Fallback token decimals when a chain's token map doesn't specify them
+const DEFAULT_TOKEN_DECIMALS = {
+  USDC: 6,
+  cbBTC: 8,
+  cbETH: 18
+};
+
+// Fallback USD prices used to value deposits for amount-scaled XP; only stablecoins have a default.
+// Override per chain with tokens[symbol].priceUsd or globally with TOKEN_PRICES_USD
+const DEFAULT_TOKEN_PRICES_USD = {
+  USDC: 1
+};
+
+let cached = null;
+
+const parseJSON = (value, name) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+};
+
+// Global USD price table from TOKEN_PRICES_USD, e.g. {"USDC":1,"cbBTC":95000,"cbETH":3500}
+const getPriceTable = () => {
+  return process.env.TOKEN_PRICES_USD
+    ? parseJSON(process.env.TOKEN_PRICES_USD, 'TOKEN_PRICES_USD')
+    : {};
+};
+
+// Normalize tokens given as {"USDC":"0x..."} or {"USDC":{"address":"0x...","decimals":6,"priceUsd":1}}
+const normalizeTokens = (tokens = {}, decimals = {}) => {
+  const normalized = {};
+  const prices = getPriceTable();
+  
+  for (const [symbol, value] of Object.entries(tokens)) {
+    const token = typeof value === 'string' ? { address: value } : { ...value };
+    
+    if (token.decimals === undefined) {
+      token.decimals = decimals[symbol] ?? DEFAULT_TOKEN_DECIMALS[symbol] ?? null;
+    }
+    
+    if (token.priceUsd === undefined) {
+      token.priceUsd = prices[symbol] ?? DEFAULT_TOKEN_PRICES_USD[symbol] ?? null;
+    }
+    
+    normalized[symbol] = token;
+  }
+  
+  return normalized;
+};
+
+const normalizeChain = (chain) => {
+  const chainId = parseInt(chain.chainId);
+  
+  if (!chainId) {
+    throw new Error('Chain config entry is missing chainId');
+  }
+  
+  const known = KNOWN_CHAINS[chainId] || {};
+  const rpcUrls = [].concat(chain.rpcUrls || chain.rpcUrl || known.rpcUrls || []).filter(Boolean);
+  
+  return {
+    chainId,
+    name: chain.name || known.name || `Chain ${chainId}`,
+    rpcUrls,
+    confirmations: parseInt(chain.confirmations) || 1,
+    quorum: parseInt(chain.quorum) || 1,
+    stallTimeoutMs: parseInt(chain.stallTimeoutMs) || 2000,
+    contracts: chain.contracts || {},
+    tokens: normalizeTokens(chain.tokens, chain.tokenDecimals)
+  };
+};
+
+// Single Base Sepolia chain built from the pre-multichain env variables
+const loadLegacyChain = () => {
+  const confirmations = process.env.CHAIN_CONFIRMATIONS
+    ? parseJSON(process.env.CHAIN_CONFIRMATIONS, 'CHAIN_CONFIRMATIONS')[84532]
+    : process.env.DEFAULT_CONFIRMATIONS;
+  
+  return normalizeChain({
+    chainId: parseInt(process.env.TESTNET_CHAIN_ID) || 84532,
+    rpcUrls: process.env.BASE_SEPOLIA_RPC_URL ? [process.env.BASE_SEPOLIA_RPC_URL] : undefined,
+    confirmations,
+    contracts: process.env.TESTNET_CONTRACTS ? parseJSON(process.env.TESTNET_CONTRACTS, 'TESTNET_CONTRACTS') : {},
+    tokens: process.env.TESTNET_TOKENS ? parseJSON(process.env.TESTNET_TOKENS, 'TESTNET_TOKENS') : {},
+    tokenDecimals: process.env.TESTNET_TOKEN_DECIMALS
+      ? parseJSON(process.env.TESTNET_TOKEN_DECIMALS, 'TESTNET_TOKEN_DECIMALS')
+      : {}
+  });
+};
+
+// Load chain configuration from CHAINS_CONFIG (JSON), CHAINS_CONFIG_PATH (JSON file)
+// or, when neither is set, the legacy single-chain env variables
+const loadChains = () => {
+  let entries;
+  
+  if (process.env.CHAINS_CONFIG) {
+    entries = parseJSON(process.env.CHAINS_CONFIG, 'CHAINS_CONFIG');
+  } else if (process.env.CHAINS_CONFIG_PATH) {
+    const configPath = path.resolve(process.cwd(), process.env.CHAINS_CONFIG_PATH);
+    entries = parseJSON(fs.readFileSync(configPath, 'utf8'), configPath);
+  }
+  
+  const chains = {};
+  
+  if (entries) {
+    for (const entry of [].concat(entries)) {
+      const chain = normalizeChain(entry);
+      chains[chain.chainId] = chain;
+    }
+  } else {
+    const chain = loadLegacyChain();
+    chains[chain.chainId] = chain;
+  }
+  
+  return chains;
+};
+
+const getChains = () => {
+  if (!cached) {
+    cached = loadChains();
+  }
+  return cached;
+};
+
+const getChain = (chainId) => getChains()[parseInt(chainId)] || null;
+
+const getChainIds = () => Object.keys(getChains()).map(Number);
+
+const getDefaultChainId = () => {
+  const configured = parseInt(process.env.DEFAULT_CHAIN_ID);
+  if (configured && getChain(configured)) {
+    return configured;
+  }
+  return getChainIds()[0] || null;
+};
+
+module.exports = {
+  getChains,
+  getChain,
+  getChainIds,
+  getDefaultChainId,
+  getPriceTable,
+  DEFAULT_TOKEN_DECIMALS,
+  DEFAULT_TOKEN_PRICES_USD
+};
@@ -0,0 +1,18 @@
+const { readInt } = require('../utils/env');
+
+// Rotating daily quest pool: each user gets their own pick of pooled daily quests (Quest.pool)
+// every day, seeded by user and day and stored on first use (see Quest.getPoolSelection)
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Get the pool settings
+const getPoolConfig = () => ({
+  // Pooled quests picked per user per day (0 hides pooled quests)
+  size: readInt('DAILY_QUEST_POOL_SIZE', 3),
+  // Pick one easy, one medium and one hard quest first, then fill the rest by weight
+  balanceDifficulty: process.env.DAILY_QUEST_POOL_BALANCED === 'true'
+});
+
+module.exports = {
+  getPoolConfig,
+  DIFFICULTIES
+};
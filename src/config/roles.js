@@ -0,0 +1,81 @@
+// Admin permissions attached to routes via requirePermission()
+const PERMISSIONS = {
+  ADMIN_READ: 'admin:read',
+  AUDIT_READ: 'audit:read',
+  XP_RULES_WRITE: 'xp_rules:write',
+  XP_RULES_DELETE: 'xp_rules:delete',
+  QUESTS_WRITE: 'quests:write',
+  CAMPAIGNS_WRITE: 'campaigns:write',
+  LEADERBOARD_GENERATE: 'leaderboard:generate',
+  REFERRALS_OVERRIDE: 'referrals:override',
+  XP_ADJUST: 'xp:adjust',
+  SESSIONS_REVOKE: 'sessions:revoke',
+  USERS_STATUS: 'users:status',
+  ROLES_MANAGE: 'roles:manage'
+};
+
+// Roles and the permissions they grant
+const ROLES = {
+  viewer: {
+    description: 'Read-only access to admin data',
+    permissions: [
+      PERMISSIONS.ADMIN_READ
+    ]
+  },
+  'quest-manager': {
+    description: 'Manage quests, XP rules, campaigns and leaderboard snapshots',
+    permissions: [
+      PERMISSIONS.ADMIN_READ,
+      PERMISSIONS.XP_RULES_WRITE,
+      PERMISSIONS.QUESTS_WRITE,
+      PERMISSIONS.CAMPAIGNS_WRITE,
+      PERMISSIONS.LEADERBOARD_GENERATE
+    ]
+  },
+  'fraud-reviewer': {
+    description: 'Review abuse: override referrals, adjust XP, revoke sessions and deactivate users',
+    permissions: [
+      PERMISSIONS.ADMIN_READ,
+      PERMISSIONS.AUDIT_READ,
+      PERMISSIONS.REFERRALS_OVERRIDE,
+      PERMISSIONS.XP_ADJUST,
+      PERMISSIONS.SESSIONS_REVOKE,
+      PERMISSIONS.USERS_STATUS
+    ]
+  },
+  'super-admin': {
+    description: 'Full access, including role management',
+    permissions: Object.values(PERMISSIONS)
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Get the combined permissions of a set of roles
+const getPermissionsForRoles = (roles = []) => {
+  const permissions = new Set();
+  
+  for (const role of roles) {
+    for (const permission of ROLES[role]?.permissions || []) {
+      permissions.add(permission);
+    }
+  }
+  
+  return Array.from(permissions);
+};
+
+// Wallets that are bootstrapped as super-admins the first time they sign in
+const getBootstrapAdminWallets = () => {
+  return (process.env.ADMIN_WALLETS || '')
+    .split(',')
+    .map(wallet => wallet.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  getPermissionsForRoles,
+  getBootstrapAdminWallets
+};
@@ -0,0 +1,46 @@
+const { readInt } = require('../utils/env');
+
+// Streak milestone bonuses (streak length -> XP) per streak type: the daily login streak and
+// daily/weekly quest streaks. Override with STREAK_MILESTONES using the same shape
+const DEFAULT_STREAK_MILESTONES = {
+  login: { 7: 50, 30: 250 },
+  daily: { 7: 100, 30: 500 },
+  weekly: { 4: 150, 12: 600 }
+};
+
+const parseJSON = (value, name) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+};
+
+// Get the milestone table for a streak type as [{ length, bonusXP }], shortest first
+const getMilestones = (type) => {
+  const overrides = process.env.STREAK_MILESTONES
+    ? parseJSON(process.env.STREAK_MILESTONES, 'STREAK_MILESTONES')
+    : {};
+  const table = overrides[type] || DEFAULT_STREAK_MILESTONES[type] || {};
+  
+  return Object.entries(table)
+    .map(([length, bonusXP]) => ({ length: parseInt(length), bonusXP: Number(bonusXP) }))
+    .filter(milestone => milestone.length > 0 && milestone.bonusXP > 0)
+    .sort((a, b) => a.length - b.length);
+};
+
+// Freeze (grace day) settings. A freeze covers one missed day of a daily streak
+const getFreezeConfig = () => ({
+  // Most freezes a user can hold at once
+  maxFreezes: readInt('STREAK_MAX_FREEZES', 3),
+  // XP price of one freeze (0 disables purchases)
+  costXP: readInt('STREAK_FREEZE_COST_XP', 200),
+  // A freeze is earned every N consecutive login days (0 disables)
+  earnEveryDays: readInt('STREAK_FREEZE_EARN_EVERY_DAYS', 7)
+});
+
+module.exports = {
+  getMilestones,
+  getFreezeConfig,
+  DEFAULT_STREAK_MILESTONES
+};
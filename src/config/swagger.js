@@ -45,6 +45,18 @@ const options = {
           description: 'Enter JWT token obtained from /api/auth/verify endpoint',
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255,
+          },
+          description: 'Unique key per logical request. Retries with the same key replay the first response (marked with an Idempotent-Replayed header); reusing a key with a different payload returns 409.',
+        },
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -82,6 +94,57 @@ const options = {
               type: 'boolean',
               example: false,
             },
+            roles: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['viewer', 'quest-manager', 'fraud-reviewer', 'super-admin'],
+              },
+              example: [],
+            },
+          },
+        },
+        XPFormula: {
+          type: 'object',
+          description: 'Amount-scaled award evaluated against the verified amount. flat awards xpAmount. Events that cannot be valued (no amount or no token price) earn only minXP.',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['flat', 'per_unit', 'tiered', 'logarithmic'],
+              example: 'per_unit',
+            },
+            basis: {
+              type: 'string',
+              enum: ['usd', 'token'],
+              example: 'usd',
+            },
+            rate: {
+              type: 'number',
+              example: 1,
+              description: 'per_unit: XP per unitSize; logarithmic: XP per tenfold increase of value / unitSize',
+            },
+            unitSize: {
+              type: 'number',
+              example: 10,
+            },
+            tiers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  minValue: { type: 'number', example: 1000 },
+                  xpAmount: { type: 'number', example: 250 },
+                },
+              },
+            },
+            minXP: {
+              type: 'number',
+              example: 10,
+            },
+            maxXP: {
+              type: 'number',
+              example: 5000,
+            },
           },
         },
         XPRule: {
@@ -103,12 +166,106 @@ const options = {
               type: 'number',
               example: 1440,
             },
+            formula: {
+              $ref: '#/components/schemas/XPFormula',
+            },
             description: {
               type: 'string',
               example: 'Deposit funds into protocol',
             },
           },
         },
+        Streak: {
+          type: 'object',
+          description: 'current reads 0 once the gap since the last period can no longer be covered by freezes',
+          properties: {
+            current: { type: 'number', example: 6 },
+            best: { type: 'number', example: 14 },
+            lastPeriodStart: { type: 'string', format: 'date-time' },
+            extendedThisPeriod: { type: 'boolean' },
+          },
+        },
+        StreakFreezes: {
+          type: 'object',
+          description: 'Freezes cover missed days of daily streaks; earned every few login days or bought with XP',
+          properties: {
+            available: { type: 'number', example: 1 },
+            max: { type: 'number', example: 3 },
+            costXP: { type: 'number', example: 200 },
+          },
+        },
+        QuestPool: {
+          type: 'object',
+          description: 'Daily quest pool template settings. Each user sees only the pooled quests picked for them that day, drawn by weight (and one per difficulty when DAILY_QUEST_POOL_BALANCED is on). A user\'s pick is stored on their first request of the day, so pool edits take effect for them the next day.',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Only daily quests can be pooled',
+            },
+            weight: {
+              type: 'number',
+              default: 1,
+              example: 2,
+              description: 'Relative chance of being picked; 0 takes the template out of rotation',
+            },
+          },
+        },
+        QuestRules: {
+          type: 'object',
+          description: 'Completion rules. Progress is recomputed from processed events and the XP ledger within the quest period (the user\'s full history for one-time quests).',
+          required: ['type'],
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['event_count', 'xp_threshold', 'action_once', 'deposit_amount', 'custom'],
+              example: 'deposit_amount',
+            },
+            eventType: {
+              type: 'string',
+              example: 'deposit',
+              description: 'Required for event_count and action_once; deposit_amount defaults to deposit',
+            },
+            targetCount: {
+              type: 'number',
+              example: 5,
+            },
+            targetAmount: {
+              type: 'string',
+              example: '100',
+              description: 'deposit_amount: cumulative verified amount to reach',
+            },
+            amountBasis: {
+              type: 'string',
+              enum: ['usd', 'token'],
+              description: 'deposit_amount: USD value (default) or whole tokens of tokenSymbol',
+            },
+            tokenSymbol: {
+              type: 'string',
+              example: 'USDC',
+            },
+            chainId: {
+              type: 'number',
+              example: 8453,
+            },
+            targetXP: {
+              type: 'number',
+              example: 1000,
+              description: 'xp_threshold: XP balance (one-time) or XP earned in the period (daily/weekly)',
+            },
+            customLogic: {
+              type: 'object',
+              description: 'AND/OR group of up to 10 conditions, nested at most 3 levels. A condition is a group, { minXP }, { profile: email | waitlist } or an event filter with eventType/eventTypes, chainIds, tokenSymbols, protocols, minCount and minAmount (amountBasis usd or token).',
+              example: {
+                op: 'and',
+                conditions: [
+                  { eventType: 'deposit', chainIds: [8453], minAmount: 50 },
+                  { op: 'or', conditions: [{ eventType: 'swap', minCount: 3 }, { minXP: 500 }] },
+                ],
+              },
+            },
+          },
+        },
       },
     },
   },
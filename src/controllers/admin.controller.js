@@ -1,8 +1,26 @@
+const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const XPRule = require('../models/XPRule');
+const User = require('../models/User');
 const Quest = require('../models/Quest');
+const QuestChain = require('../models/QuestChain');
+const Campaign = require('../models/Campaign');
 const leaderboardService = require('../services/leaderboard.service');
 const questService = require('../services/quest.service');
+const sessionService = require('../services/session.service');
+const auditService = require('../services/audit.service');
+const xpService = require('../services/xp.service');
+const { ROLES, ROLE_NAMES } = require('../config/roles');
+const { getPoolConfig } = require('../config/questPool');
+
+// Find a user by ID, wallet address or email
+const findUser = async (identifier) => {
+  if (mongoose.isValidObjectId(identifier)) {
+    return User.findById(identifier);
+  }
+  
+  return User.findByIdentifier(identifier);
+};
 
 // ==================== XP RULES MANAGEMENT ====================
 
@@ -43,8 +61,14 @@ exports.createXPRule = async (req, res) => {
       cooldownMinutes,
       dailyLimit,
       weeklyLimit,
+      monthlyLimit,
+      lifetimeLimit,
+      rollingWindowHours,
+      rollingLimit,
+      dailyXPLimit,
       minAmount,
       validChains,
+      formula,
       description,
       isActive,
       metadata
@@ -74,8 +98,14 @@ exports.createXPRule = async (req, res) => {
       cooldownMinutes: cooldownMinutes || 0,
       dailyLimit: dailyLimit || 0,
       weeklyLimit: weeklyLimit || 0,
+      monthlyLimit: monthlyLimit || 0,
+      lifetimeLimit: lifetimeLimit || 0,
+      rollingWindowHours: rollingWindowHours || null,
+      rollingLimit: rollingLimit || 0,
+      dailyXPLimit: dailyXPLimit || 0,
       minAmount,
       validChains,
+      formula,
       description,
       isActive: isActive !== undefined ? isActive : true,
       metadata
@@ -87,12 +117,26 @@ exports.createXPRule = async (req, res) => {
       adminWallet: req.user.walletAddress
     });
     
+    await auditService.record(req, {
+      action: 'xp_rule.create',
+      targetType: 'xp_rule',
+      targetId: rule._id,
+      after: rule
+    });
+    
     res.status(201).json({
       success: true,
       data: rule,
       message: 'XP rule created successfully'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Create XP rule error', {
       error: error.message,
       userId: req.user?.userId,
@@ -115,14 +159,11 @@ exports.updateXPRule = async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
     
-    // Don't allow changing actionType
+    // Don't allow changing actionType; reason is recorded in the audit log only
     delete updates.actionType;
+    delete updates.reason;
     
-    const rule = await XPRule.findByIdAndUpdate(
-      id,
-      { $set: updates },
-      { new: true, runValidators: true }
-    );
+    const rule = await XPRule.findById(id);
     
     if (!rule) {
       return res.status(404).json({
@@ -131,6 +172,12 @@ exports.updateXPRule = async (req, res) => {
       });
     }
     
+    const before = auditService.snapshot(rule);
+    
+    // Saved through the document so formula checks in the validate hook run
+    rule.set(updates);
+    await rule.save();
+    
     logger.info('XP rule updated', {
       ruleId: id,
       actionType: rule.actionType,
@@ -138,12 +185,27 @@ exports.updateXPRule = async (req, res) => {
       adminWallet: req.user.walletAddress
     });
     
+    await auditService.record(req, {
+      action: 'xp_rule.update',
+      targetType: 'xp_rule',
+      targetId: rule._id,
+      before,
+      after: rule
+    });
+    
     res.status(200).json({
       success: true,
       data: rule,
       message: 'XP rule updated successfully'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Update XP rule error', {
       error: error.message,
       ruleId: req.params.id,
@@ -166,6 +228,8 @@ exports.deleteXPRule = async (req, res) => {
   try {
     const { id } = req.params;
     
+    const before = await XPRule.findById(id);
+    
     const rule = await XPRule.findByIdAndUpdate(
       id,
       { $set: { isActive: false } },
@@ -185,6 +249,14 @@ exports.deleteXPRule = async (req, res) => {
       adminWallet: req.user.walletAddress
     });
     
+    await auditService.record(req, {
+      action: 'xp_rule.delete',
+      targetType: 'xp_rule',
+      targetId: rule._id,
+      before,
+      after: rule
+    });
+    
     res.status(200).json({
       success: true,
       data: rule,
@@ -209,12 +281,20 @@ exports.deleteXPRule = async (req, res) => {
 // ==================== LEADERBOARD MANAGEMENT ====================
 
 // @desc    Generate leaderboard snapshot
-// @route   POST /api/admin/leaderboard/generate
+// @route   POST /api/admin/leaderboard/generate, POST /api/leaderboard/admin/generate
 // @access  Private (Admin only)
 exports.generateLeaderboard = async (req, res) => {
   try {
     const { period = 'all-time' } = req.body;
     
+    const validPeriods = ['all-time', 'daily', 'weekly'];
+    if (!validPeriods.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. Must be one of: all-time, daily, weekly'
+      });
+    }
+    
     const snapshot = await leaderboardService.generateSnapshot(period);
     
     logger.info('Leaderboard snapshot generated by admin', {
@@ -223,6 +303,13 @@ exports.generateLeaderboard = async (req, res) => {
       adminWallet: req.user.walletAddress
     });
     
+    await auditService.record(req, {
+      action: 'leaderboard.generate',
+      targetType: 'leaderboard',
+      targetId: snapshot._id,
+      metadata: { period }
+    });
+    
     res.status(200).json({
       success: true,
       data: snapshot,
@@ -258,12 +345,26 @@ exports.createQuest = async (req, res) => {
       adminWallet: req.user.walletAddress
     });
     
+    await auditService.record(req, {
+      action: 'quest.create',
+      targetType: 'quest',
+      targetId: quest._id,
+      after: quest
+    });
+    
     res.status(201).json({
       success: true,
       data: quest,
       message: 'Quest created successfully'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Create quest error', {
       error: error.message,
       userId: req.user?.userId,
@@ -284,20 +385,37 @@ exports.createQuest = async (req, res) => {
 exports.updateQuest = async (req, res) => {
   try {
     const { id } = req.params;
-    const quest = await questService.updateQuest(id, req.body);
+    const { reason, ...updates } = req.body;
+    const before = await Quest.findById(id);
+    const quest = await questService.updateQuest(id, updates);
     
     logger.info('Quest updated by admin', {
       questId: id,
-      updates: req.body,
+      updates,
       adminWallet: req.user.walletAddress
     });
     
+    await auditService.record(req, {
+      action: 'quest.update',
+      targetType: 'quest',
+      targetId: quest._id,
+      before,
+      after: quest
+    });
+    
     res.status(200).json({
       success: true,
       data: quest,
       message: 'Quest updated successfully'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Update quest error', {
       error: error.message,
       questId: req.params.id,
@@ -313,4 +431,1297 @@ exports.updateQuest = async (req, res) => {
   }
 };
 
+// @desc    Backfill quest progress from historical events
+// @route   POST /api/admin/quests/backfill
+// @route   POST /api/admin/quests/:id/backfill
+// @access  Private (Admin only)
+exports.backfillQuestProgress = async (req, res) => {
+  try {
+    const questId = req.params.id || null;
+    const result = await questService.backfillQuestProgress(questId);
+    
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    
+    await auditService.record(req, {
+      action: 'quest.backfill',
+      targetType: 'quest',
+      targetId: questId,
+      metadata: {
+        quests: result.quests.map(({ questId, checked, updated, completed, failed }) => ({
+          questId,
+          checked,
+          updated,
+          completed,
+          failed
+        }))
+      }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Backfill quest progress error', {
+      error: error.message,
+      questId: req.params.id,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to backfill quest progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the daily quest pool, optionally with a user's selection for a day
+// @route   GET /api/admin/quests/pool
+// @access  Private (Admin only)
+exports.getQuestPool = async (req, res) => {
+  try {
+    const { user: identifier, date } = req.query;
+    const templates = await Quest.find({ 'pool.enabled': true })
+      .sort({ 'metadata.displayOrder': 1, createdAt: 1 })
+      .select('name cadence pool metadata.difficulty isActive startAt endAt');
+    
+    let selection;
+    
+    if (identifier) {
+      const user = await findUser(identifier);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      const day = date ? new Date(date) : new Date();
+      
+      if (Number.isNaN(day.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date'
+        });
+      }
+      
+      // Don't store a pick just because an admin looked at it
+      const picked = await Quest.getPoolSelection(user._id, day, { persist: false });
+      selection = {
+        userId: user._id,
+        date: day,
+        quests: picked.map(quest => ({
+          questId: quest._id,
+          name: quest.name,
+          difficulty: quest.metadata?.difficulty
+        }))
+      };
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        config: getPoolConfig(),
+        templates,
+        selection
+      }
+    });
+  } catch (error) {
+    logger.error('Get quest pool error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quest pool',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ==================== QUEST CHAINS ====================
+
+// Quest chain fields admins may set
+const QUEST_CHAIN_FIELDS = ['name', 'description', 'bonusXP', 'isActive', 'metadata'];
+
+// Pick the quest chain fields present in a request body
+const pickQuestChainFields = (body = {}) => {
+  const fields = {};
+  
+  for (const field of QUEST_CHAIN_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  
+  return fields;
+};
+
+// @desc    Get quest chains with their quests
+// @route   GET /api/admin/quest-chains
+// @access  Private (Admin only)
+exports.getQuestChains = async (req, res) => {
+  try {
+    const chains = await QuestChain.find().sort({ 'metadata.displayOrder': 1, createdAt: 1 });
+    const quests = await Quest.find({ questChainId: { $in: chains.map(chain => chain._id) } })
+      .sort({ chainOrder: 1, createdAt: 1 })
+      .select('name questChainId chainOrder prerequisites isActive');
+    
+    res.status(200).json({
+      success: true,
+      data: chains.map(chain => ({
+        ...chain.toObject(),
+        quests: quests.filter(quest => quest.questChainId.equals(chain._id))
+      }))
+    });
+  } catch (error) {
+    logger.error('Get quest chains error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quest chains',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create quest chain
+// @route   POST /api/admin/quest-chains
+// @access  Private (Admin only)
+exports.createQuestChain = async (req, res) => {
+  try {
+    const chain = await QuestChain.create(pickQuestChainFields(req.body));
+    
+    logger.info('Quest chain created', {
+      questChainId: chain._id,
+      name: chain.name,
+      bonusXP: chain.bonusXP,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: 'quest_chain.create',
+      targetType: 'quest_chain',
+      targetId: chain._id,
+      after: chain
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: chain,
+      message: 'Quest chain created successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Create quest chain error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create quest chain',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update quest chain
+// @route   PUT /api/admin/quest-chains/:id
+// @access  Private (Admin only)
+exports.updateQuestChain = async (req, res) => {
+  try {
+    const chain = await QuestChain.findById(req.params.id);
+    
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quest chain not found'
+      });
+    }
+    
+    const before = auditService.snapshot(chain);
+    
+    chain.set(pickQuestChainFields(req.body));
+    await chain.save();
+    
+    logger.info('Quest chain updated', {
+      questChainId: chain._id,
+      name: chain.name,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: 'quest_chain.update',
+      targetType: 'quest_chain',
+      targetId: chain._id,
+      before,
+      after: chain
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: chain,
+      message: 'Quest chain updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Update quest chain error', {
+      error: error.message,
+      questChainId: req.params.id,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quest chain',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ==================== USER & SESSION MANAGEMENT ====================
+
+// @desc    List a user's active sessions
+// @route   GET /api/admin/users/:userId/sessions
+// @access  Private (Admin only)
+exports.getUserSessions = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const sessions = await sessionService.getActiveSessions(user._id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        walletAddress: user.walletAddress,
+        sessions
+      }
+    });
+  } catch (error) {
+    logger.error('Get user sessions error', {
+      error: error.message,
+      targetUser: req.params.userId,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke all sessions of a user
+// @route   POST /api/admin/users/:userId/sessions/revoke
+// @access  Private (Admin only)
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const revokedCount = await sessionService.revokeAllSessions(user._id, 'admin_revoked', req.user.userId);
+    
+    logger.info('User sessions revoked by admin', {
+      targetUserId: user._id,
+      revokedCount,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: 'session.revoke_all',
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { walletAddress: user.walletAddress, revokedCount }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        revokedSessions: revokedCount
+      },
+      message: 'User sessions revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke user sessions error', {
+      error: error.message,
+      targetUser: req.params.userId,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke user sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke a single session
+// @route   DELETE /api/admin/sessions/:id
+// @access  Private (Admin only)
+exports.revokeSession = async (req, res) => {
+  try {
+    const Session = require('../models/Session');
+    
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    
+    const session = await Session.findById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    const before = { revokedAt: session.revokedAt, revokedReason: session.revokedReason };
+    const revoked = await sessionService.revokeSession(session.userId, session._id, 'admin_revoked', req.user.userId);
+    
+    logger.info('Session revoked by admin', {
+      sessionId: session._id,
+      targetUserId: session.userId,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: 'session.revoke',
+      targetType: 'session',
+      targetId: session._id,
+      before,
+      after: { revokedAt: revoked.revokedAt, revokedReason: revoked.revokedReason },
+      metadata: { userId: session.userId }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Admin revoke session error', {
+      error: error.message,
+      sessionId: req.params.id,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Activate or deactivate a user (deactivating revokes all sessions)
+// @route   PUT /api/admin/users/:userId/status
+// @access  Private (Admin only)
+exports.updateUserStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+    
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be a boolean'
+      });
+    }
+    
+    const user = await findUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user._id.toString() === req.user.userId.toString() && !isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+    
+    const wasActive = user.isActive;
+    user.isActive = isActive;
+    await user.save();
+    
+    let revokedCount = 0;
+    if (!isActive) {
+      revokedCount = await sessionService.revokeAllSessions(user._id, 'user_deactivated', req.user.userId);
+    }
+    
+    logger.info('User status updated by admin', {
+      targetUserId: user._id,
+      isActive,
+      revokedCount,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive },
+      metadata: { walletAddress: user.walletAddress, revokedCount }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        walletAddress: user.walletAddress,
+        isActive: user.isActive,
+        revokedSessions: revokedCount
+      },
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`
+    });
+  } catch (error) {
+    logger.error('Update user status error', {
+      error: error.message,
+      targetUser: req.params.userId,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ==================== XP ADJUSTMENTS ====================
+
+// @desc    Get a user's XP ledger
+// @route   GET /api/admin/users/:userId/xp-ledger
+// @access  Private (Admin only)
+exports.getUserLedger = async (req, res) => {
+  try {
+    const XPLedger = require('../models/XPLedger');
+    const { limit = 50, skip = 0, reason, startDate, endDate } = req.query;
+    
+    const user = await findUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const ledger = await XPLedger.getUserLedger(user._id, {
+      reason,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      startDate,
+      endDate
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        walletAddress: user.walletAddress,
+        totalXP: user.totalXP,
+        ledger
+      }
+    });
+  } catch (error) {
+    logger.error('Get user ledger error', {
+      error: error.message,
+      targetUser: req.params.userId,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get XP ledger',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Grant or deduct XP for a user
+// @route   POST /api/admin/users/:userId/xp
+// @access  Private (Admin only)
+exports.adjustUserXP = async (req, res) => {
+  try {
+    const { deltaXP, reason, type } = req.body;
+    
+    if (!Number.isInteger(deltaXP) || deltaXP === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'deltaXP must be a non-zero integer'
+      });
+    }
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for XP adjustments'
+      });
+    }
+    
+    if (type && !['admin_adjustment', 'penalty'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "type must be 'admin_adjustment' or 'penalty'"
+      });
+    }
+    
+    const user = await findUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const result = await xpService.adjustUserXP(user._id, deltaXP, reason.trim(), req.user.walletAddress, type);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    await auditService.record(req, {
+      action: deltaXP > 0 ? 'xp.grant' : 'xp.deduct',
+      targetType: 'xp_ledger',
+      targetId: result.entry._id,
+      before: { totalXP: user.totalXP },
+      after: { totalXP: result.entry.balanceAfter },
+      reason: reason.trim(),
+      metadata: { userId: user._id, walletAddress: user.walletAddress, deltaXP, type: result.entry.reason }
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: result.entry,
+      message: `${deltaXP > 0 ? 'Granted' : 'Deducted'} ${Math.abs(deltaXP)} XP`
+    });
+  } catch (error) {
+    logger.error('Adjust user XP error', {
+      error: error.message,
+      targetUser: req.params.userId,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust XP',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Reverse a ledger entry with a compensating entry
+// @route   POST /api/admin/xp-ledger/:id/reverse
+// @access  Private (Admin only)
+exports.reverseLedgerEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ledger entry ID'
+      });
+    }
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reverse XP'
+      });
+    }
+    
+    const result = await xpService.reverseLedgerEntry(id, reason.trim(), req.user.walletAddress);
+    
+    if (!result.success) {
+      return res.status(result.message === 'Ledger entry not found' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    await auditService.record(req, {
+      action: 'xp.reverse',
+      targetType: 'xp_ledger',
+      targetId: result.entry._id,
+      before: { reversedBy: null },
+      after: { reversedBy: result.reversal._id },
+      reason: reason.trim(),
+      metadata: {
+        userId: result.entry.userId,
+        originalReason: result.entry.reason,
+        deltaXP: result.reversal.deltaXP
+      }
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        entry: result.entry,
+        reversal: result.reversal
+      },
+      message: 'Ledger entry reversed successfully'
+    });
+  } catch (error) {
+    logger.error('Reverse ledger entry error', {
+      error: error.message,
+      entryId: req.params.id,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reverse ledger entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Compare user balances with the XP ledger (optionally repairing drift)
+// @route   POST /api/admin/xp/reconcile
+// @access  Private (Admin only)
+exports.reconcileXP = async (req, res) => {
+  try {
+    const repair = req.body?.repair === true;
+    
+    const report = await xpService.reconcileBalances({ repair });
+    
+    if (repair && report.repaired > 0) {
+      await auditService.record(req, {
+        action: 'xp.reconcile',
+        targetType: 'xp_ledger',
+        metadata: {
+          checked: report.checked,
+          repaired: report.mismatches.filter(mismatch => mismatch.repaired)
+        }
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Reconcile XP error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile XP balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ==================== CAMPAIGNS ====================
+
+// Campaign fields admins may set
+const CAMPAIGN_FIELDS = [
+  'name',
+  'description',
+  'multiplier',
+  'bonusXP',
+  'actionTypes',
+  'chainIds',
+  'tokenSymbols',
+  'contractAddresses',
+  'protocols',
+  'waitlistOnly',
+  'walletAddresses',
+  'stackable',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+// Pick the campaign fields present in a request body
+const pickCampaignFields = (body = {}) => {
+  const fields = {};
+  
+  for (const field of CAMPAIGN_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  
+  return fields;
+};
+
+// @desc    Get campaigns
+// @route   GET /api/admin/campaigns
+// @access  Private (Admin only)
+exports.getCampaigns = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    
+    const query = {};
+    
+    if (status === 'running') {
+      query.isActive = true;
+      query.startsAt = { $lte: now };
+      query.endsAt = { $gt: now };
+    } else if (status === 'scheduled') {
+      query.isActive = true;
+      query.startsAt = { $gt: now };
+    } else if (status === 'ended') {
+      query.endsAt = { $lte: now };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+    
+    const campaigns = await Campaign.find(query).sort({ startsAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      data: campaigns
+    });
+  } catch (error) {
+    logger.error('Get campaigns error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get campaigns',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create campaign
+// @route   POST /api/admin/campaigns
+// @access  Private (Admin only)
+exports.createCampaign = async (req, res) => {
+  try {
+    const fields = pickCampaignFields(req.body);
+    
+    if (!fields.name || !fields.startsAt || !fields.endsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, startsAt and endsAt are required'
+      });
+    }
+    
+    if (new Date(fields.endsAt) <= new Date(fields.startsAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'endsAt must be after startsAt'
+      });
+    }
+    
+    const campaign = await Campaign.create({
+      ...fields,
+      createdBy: req.user.walletAddress
+    });
+    
+    logger.info('Campaign created', {
+      campaignId: campaign._id,
+      name: campaign.name,
+      multiplier: campaign.multiplier,
+      bonusXP: campaign.bonusXP,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: 'campaign.create',
+      targetType: 'campaign',
+      targetId: campaign._id,
+      after: campaign
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: campaign,
+      message: 'Campaign created successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Create campaign error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update campaign
+// @route   PUT /api/admin/campaigns/:id
+// @access  Private (Admin only)
+exports.updateCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+    
+    const before = auditService.snapshot(campaign);
+    
+    campaign.set(pickCampaignFields(req.body));
+    
+    if (campaign.endsAt <= campaign.startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'endsAt must be after startsAt'
+      });
+    }
+    
+    await campaign.save();
+    
+    logger.info('Campaign updated', {
+      campaignId: campaign._id,
+      name: campaign.name,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: 'campaign.update',
+      targetType: 'campaign',
+      targetId: campaign._id,
+      before,
+      after: campaign
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: campaign,
+      message: 'Campaign updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    logger.error('Update campaign error', {
+      error: error.message,
+      campaignId: req.params.id,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    End a campaign early (soft delete)
+// @route   DELETE /api/admin/campaigns/:id
+// @access  Private (Admin only)
+exports.deleteCampaign = async (req, res) => {
+  try {
+    const before = await Campaign.findById(req.params.id);
+    
+    const campaign = await Campaign.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+    
+    logger.info('Campaign deactivated', {
+      campaignId: campaign._id,
+      name: campaign.name,
+      adminWallet: req.user.walletAddress
+    });
+    
+    await auditService.record(req, {
+      action: 'campaign.delete',
+      targetType: 'campaign',
+      targetId: campaign._id,
+      before,
+      after: campaign
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: campaign,
+      message: 'Campaign deactivated successfully'
+    });
+  } catch (error) {
+    logger.error('Delete campaign error', {
+      error: error.message,
+      campaignId: req.params.id,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete campaign',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ==================== ROLE MANAGEMENT ====================
+
+// @desc    List available roles and their permissions
+// @route   GET /api/admin/roles
+// @access  Private (Admin only)
+exports.getRoles = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: Object.entries(ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: role.permissions
+      }))
+    });
+  } catch (error) {
+    logger.error('Get roles error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List users holding admin roles
+// @route   GET /api/admin/admins
+// @access  Private (Admin only)
+exports.getAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({
+      $or: [{ roles: { $exists: true, $ne: [] } }, { isAdmin: true }]
+    }).sort({ createdAt: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: admins.map(admin => ({
+        userId: admin._id,
+        walletAddress: admin.walletAddress,
+        roles: admin.getRoles(),
+        isActive: admin.isActive
+      }))
+    });
+  } catch (error) {
+    logger.error('Get admins error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get admins',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Grant a role to a user
+// @route   POST /api/admin/users/:userId/roles
+// @access  Private (Admin only)
+exports.grantRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+    
+    const user = await findUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const rolesBefore = user.getRoles();
+    const granted = user.grantRole(role);
+    
+    if (granted) {
+      await user.save();
+    }
+    
+    logger.info('Role granted by admin', {
+      targetUserId: user._id,
+      role,
+      changed: granted,
+      adminWallet: req.user.walletAddress
+    });
+    
+    if (granted) {
+      await auditService.record(req, {
+        action: 'role.grant',
+        targetType: 'role',
+        targetId: user._id,
+        before: { roles: rolesBefore },
+        after: { roles: user.getRoles() },
+        metadata: { walletAddress: user.walletAddress, role }
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        walletAddress: user.walletAddress,
+        roles: user.getRoles()
+      },
+      message: granted ? `Role '${role}' granted successfully` : `User already has role '${role}'`
+    });
+  } catch (error) {
+    logger.error('Grant role error', {
+      error: error.message,
+      targetUser: req.params.userId,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke a role from a user
+// @route   DELETE /api/admin/users/:userId/roles/:role
+// @access  Private (Admin only)
+exports.revokeRole = async (req, res) => {
+  try {
+    const { role } = req.params;
+    
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+    
+    const user = await findUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Prevent admins from locking themselves (and everyone else) out of role management
+    if (role === 'super-admin' && user._id.toString() === req.user.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot revoke your own super-admin role'
+      });
+    }
+    
+    const rolesBefore = user.getRoles();
+    const revoked = user.revokeRole(role);
+    
+    if (revoked) {
+      await user.save();
+    }
+    
+    logger.info('Role revoked by admin', {
+      targetUserId: user._id,
+      role,
+      changed: revoked,
+      adminWallet: req.user.walletAddress
+    });
+    
+    if (revoked) {
+      await auditService.record(req, {
+        action: 'role.revoke',
+        targetType: 'role',
+        targetId: user._id,
+        before: { roles: rolesBefore },
+        after: { roles: user.getRoles() },
+        metadata: { walletAddress: user.walletAddress, role }
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        walletAddress: user.walletAddress,
+        roles: user.getRoles()
+      },
+      message: revoked ? `Role '${role}' revoked successfully` : `User does not have role '${role}'`
+    });
+  } catch (error) {
+    logger.error('Revoke role error', {
+      error: error.message,
+      targetUser: req.params.userId,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ==================== AUDIT LOG ====================
+
+// @desc    Get admin audit log
+// @route   GET /api/admin/audit-log
+// @access  Private (Admin only)
+exports.getAuditLog = async (req, res) => {
+  try {
+    const {
+      action,
+      targetType,
+      targetId,
+      actor,
+      requestId,
+      limit = 50,
+      skip = 0,
+      startDate,
+      endDate
+    } = req.query;
+    
+    const parsedLimit = Math.min(parseInt(limit) || 50, 200);
+    const parsedSkip = parseInt(skip) || 0;
+    
+    const { entries, total } = await auditService.getAuditLog({
+      action,
+      targetType,
+      targetId,
+      actorWallet: actor,
+      requestId,
+      limit: parsedLimit,
+      skip: parsedSkip,
+      startDate,
+      endDate
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        limit: parsedLimit,
+        skip: parsedSkip,
+        hasMore: parsedSkip + entries.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Get audit log error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = exports;
@@ -1,24 +1,20 @@
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Waitlist = require('../models/Waitlist');
 const web3Service = require('../services/web3.service');
+const sessionService = require('../services/session.service');
+const streakService = require('../services/streak.service');
+const chainConfig = require('../config/chains');
+const siwe = require('../utils/siwe');
+const { getBootstrapAdminWallets } = require('../config/roles');
 const logger = require('../utils/logger');
 
-// Generate JWT token
-const generateToken = (userId, walletAddress) => {
-  return jwt.sign(
-    { userId, walletAddress },
-    process.env.JWT_SECRET || 'your-secret-key-change-this',
-    { expiresIn: process.env.JWT_EXPIRY || '7d' }
-  );
-};
-
 // @desc    Request nonce for wallet authentication
 // @route   POST /api/auth/nonce
 // @access  Public
 exports.requestNonce = async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const { walletAddress, chainId, format } = req.body;
     
     if (!walletAddress) {
       return res.status(400).json({
@@ -35,6 +31,26 @@ exports.requestNonce = async (req, res) => {
       });
     }
     
+    const siweChainId = chainId ? Number(chainId) : chainConfig.getDefaultChainId();
+    
+    if (!chainConfig.getChainIds().includes(siweChainId)) {
+      return res.status(400).json({
+        success: false,
+        message: `Chain ${chainId} is not supported`
+      });
+    }
+    
+    // Existing frontends that don't ask for SIWE keep the legacy message while it's enabled
+    const { legacyEnabled } = siwe.getConfig();
+    const messageFormat = format || (legacyEnabled ? 'legacy' : 'siwe');
+    
+    if (!['siwe', 'legacy'].includes(messageFormat) || (messageFormat === 'legacy' && !legacyEnabled)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported sign-in message format'
+      });
+    }
+    
     const normalizedAddress = walletAddress.toLowerCase();
     
     // Find or create user
@@ -70,13 +86,22 @@ exports.requestNonce = async (req, res) => {
       });
     }
     
-    // Generate nonce
+    // Generate nonce, valid for as long as the SIWE message
     const nonce = user.generateNonce();
+    const { fields, message } = siwe.createMessage({
+      address: walletAddress,
+      nonce,
+      chainId: siweChainId,
+      requestId: req.requestId
+    });
+    user.nonceExpiry = new Date(fields.expirationTime);
     await user.save();
     
     logger.info('Nonce generated', {
       userId: user._id,
       walletAddress: normalizedAddress,
+      format: messageFormat,
+      chainId: siweChainId,
       requestId: req.requestId
     });
     
@@ -84,7 +109,17 @@ exports.requestNonce = async (req, res) => {
       success: true,
       data: {
         nonce,
-        message: `Sign this message to authenticate with Nuvia Finance: ${nonce}`
+        format: messageFormat,
+        message: messageFormat === 'siwe' ? message : siwe.buildLegacyMessage(nonce),
+        siwe: {
+          message,
+          domain: fields.domain,
+          uri: fields.uri,
+          chainId: fields.chainId,
+          issuedAt: fields.issuedAt,
+          expirationTime: fields.expirationTime,
+          requestId: fields.requestId
+        }
       }
     });
   } catch (error) {
@@ -107,9 +142,23 @@ exports.requestNonce = async (req, res) => {
 // @access  Public
 exports.verifySignature = async (req, res) => {
   try {
-    const { walletAddress, signature, nonce } = req.body;
+    const { walletAddress, signature, nonce, message } = req.body;
     
-    if (!walletAddress || !signature || !nonce) {
+    if (!walletAddress || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet address and signature are required'
+      });
+    }
+    
+    if (!message && !siwe.getConfig().legacyEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'A signed SIWE message is required'
+      });
+    }
+    
+    if (!message && !nonce) {
       return res.status(400).json({
         success: false,
         message: 'Wallet address, signature, and nonce are required'
@@ -128,17 +177,64 @@ exports.verifySignature = async (req, res) => {
       });
     }
     
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+    
+    let signedMessage = siwe.buildLegacyMessage(nonce);
+    let signedNonce = nonce;
+    let siweFields = null;
+    
+    if (message) {
+      try {
+        siweFields = siwe.parseMessage(message);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid SIWE message: ${error.message}`
+        });
+      }
+      
+      const validation = siwe.validateFields(siweFields, {
+        address: walletAddress,
+        nonce: user.nonce
+      });
+      
+      if (!validation.valid) {
+        logger.warn('SIWE message rejected', {
+          userId: user._id,
+          reason: validation.reason,
+          requestId: req.requestId
+        });
+        
+        return res.status(401).json({
+          success: false,
+          message: validation.reason
+        });
+      }
+      
+      signedMessage = message;
+      signedNonce = siweFields.nonce;
+    }
+    
     // Verify nonce
-    if (!user.verifyNonce(nonce)) {
+    if (!user.verifyNonce(signedNonce)) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired nonce. Please request a new one.'
       });
     }
     
-    // Verify signature
-    const message = `Sign this message to authenticate with Nuvia Finance: ${nonce}`;
-    const verification = await web3Service.verifySignature(message, signature, walletAddress);
+    // Verify signature (smart contract wallets are checked on the chain they signed for)
+    const verification = await web3Service.verifySignature(
+      signedMessage,
+      signature,
+      walletAddress,
+      siweFields?.chainId
+    );
     
     if (!verification.isValid) {
       return res.status(401).json({
@@ -150,6 +246,15 @@ exports.verifySignature = async (req, res) => {
     // Clear nonce
     user.clearNonce();
     
+    // Bootstrap super-admins from ADMIN_WALLETS (once per wallet)
+    if (getBootstrapAdminWallets().includes(normalizedAddress) && user.bootstrapSuperAdmin()) {
+      logger.info('Bootstrapped super-admin from ADMIN_WALLETS', {
+        userId: user._id,
+        walletAddress: normalizedAddress,
+        requestId: req.requestId
+      });
+    }
+    
     // Update login metadata
     if (!user.metadata.firstLoginAt) {
       user.metadata.firstLoginAt = new Date();
@@ -160,12 +265,20 @@ exports.verifySignature = async (req, res) => {
     
     await user.save();
     
-    // Generate JWT token
-    const token = generateToken(user._id, user.walletAddress);
+    await streakService.recordLogin(user._id);
+    
+    // Start a session with a short-lived access token and a rotating refresh token
+    const tokens = await sessionService.createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
     
     logger.info('User authenticated', {
       userId: user._id,
       walletAddress: normalizedAddress,
+      method: siweFields ? 'siwe' : 'legacy',
+      signatureType: verification.method,
+      chainId: siweFields?.chainId,
       requestId: req.requestId
     });
     
@@ -173,13 +286,15 @@ exports.verifySignature = async (req, res) => {
       success: true,
       message: 'Authentication successful',
       data: {
-        token,
+        ...tokens,
         user: {
           walletAddress: user.walletAddress,
           email: user.email,
           referralCode: user.referralCode,
           totalXP: user.totalXP,
-          isAdmin: user.isAdmin
+          isAdmin: user.isAdmin,
+          roles: user.getRoles(),
+          permissions: user.getPermissions()
         }
       }
     });
@@ -212,9 +327,20 @@ exports.getMe = async (req, res) => {
       });
     }
     
+    const streaks = await streakService.getUserStreaks(user._id);
+    
     res.status(200).json({
       success: true,
-      data: user.getStats()
+      data: {
+        ...user.getStats(),
+        roles: user.getRoles(),
+        permissions: user.getPermissions(),
+        streaks: {
+          login: streaks.login,
+          bestQuestStreak: Math.max(0, ...streaks.quests.map(streak => streak.best)),
+          freezes: streaks.freezes
+        }
+      }
     });
   } catch (error) {
     logger.error('Get me error', {
@@ -230,3 +356,151 @@ exports.getMe = async (req, res) => {
     });
   }
 };
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    const result = await sessionService.refreshSession(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    const { success, ...tokens } = result;
+    
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    logger.error('Refresh token error', {
+      error: error.message,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Log out the current session (or every session)
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    const { allSessions } = req.body || {};
+    let revokedCount = 1;
+    
+    if (allSessions) {
+      revokedCount = await sessionService.revokeAllSessions(req.user.userId, 'logout_all');
+    } else {
+      await sessionService.revokeSession(req.user.userId, req.user.sessionId, 'logout');
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+      data: {
+        revokedSessions: revokedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Logout error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user.userId, req.user.sessionId);
+    
+    res.status(200).json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Get sessions error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    
+    const session = await sessionService.revokeSession(req.user.userId, req.params.id, 'logout');
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke session error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
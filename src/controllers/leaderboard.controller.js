@@ -117,41 +117,3 @@ exports.getLatestSnapshot = async (req, res) => {
     });
   }
 };
-
-// @desc    Generate snapshot (Admin)
-// @route   POST /api/admin/leaderboard/generate
-// @access  Private (Admin only)
-exports.generateSnapshot = async (req, res) => {
-  try {
-    const { period = 'all-time' } = req.body;
-    
-    // Validate period
-    const validPeriods = ['all-time', 'daily', 'weekly'];
-    if (!validPeriods.includes(period)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid period. Must be one of: all-time, daily, weekly'
-      });
-    }
-    
-    const snapshot = await leaderboardService.generateSnapshot(period);
-    
-    res.status(200).json({
-      success: true,
-      data: snapshot,
-      message: 'Snapshot generated successfully'
-    });
-  } catch (error) {
-    logger.error('Generate snapshot error', {
-      error: error.message,
-      userId: req.user?.userId,
-      requestId: req.requestId
-    });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to generate snapshot',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-};
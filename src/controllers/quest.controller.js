@@ -1,4 +1,7 @@
+const Quest = require('../models/Quest');
 const questService = require('../services/quest.service');
+const streakService = require('../services/streak.service');
+const auditService = require('../services/audit.service');
 const logger = require('../utils/logger');
 
 // @desc    Get today's quests
@@ -7,11 +10,15 @@ const logger = require('../utils/logger');
 exports.getTodayQuests = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const quests = await questService.getTodayQuests(userId);
+    const { quests, streaks } = await questService.getTodayQuests(userId);
     
     res.status(200).json({
       success: true,
-      data: quests
+      data: quests,
+      streaks: {
+        login: streaks.login,
+        freezes: streaks.freezes
+      }
     });
   } catch (error) {
     logger.error('Get today quests error', {
@@ -55,6 +62,33 @@ exports.getAllQuests = async (req, res) => {
   }
 };
 
+// @desc    Get one-time quests
+// @route   GET /api/quests/one-time
+// @access  Private
+exports.getOneTimeQuests = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const quests = await questService.getOneTimeQuests(userId);
+    
+    res.status(200).json({
+      success: true,
+      data: quests
+    });
+  } catch (error) {
+    logger.error('Get one-time quests error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get one-time quests',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Claim quest reward
 // @route   POST /api/quests/claim
 // @access  Private
@@ -90,6 +124,84 @@ exports.claimQuestReward = async (req, res) => {
   }
 };
 
+// @desc    Get quest chains with progress
+// @route   GET /api/quests/chains
+// @access  Private
+exports.getQuestChains = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const chains = await questService.getQuestChains(userId);
+    
+    res.status(200).json({
+      success: true,
+      data: chains
+    });
+  } catch (error) {
+    logger.error('Get quest chains error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quest chains',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get login and quest streaks
+// @route   GET /api/quests/streaks
+// @access  Private
+exports.getStreaks = async (req, res) => {
+  try {
+    const streaks = await streakService.getUserStreaks(req.user.userId);
+    
+    res.status(200).json({
+      success: true,
+      data: streaks
+    });
+  } catch (error) {
+    logger.error('Get streaks error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get streaks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Buy a streak freeze with XP
+// @route   POST /api/quests/streaks/freeze
+// @access  Private
+exports.purchaseStreakFreeze = async (req, res) => {
+  try {
+    const result = await streakService.purchaseFreeze(req.user.userId);
+    
+    const statusCode = result.success ? 200 : 400;
+    
+    res.status(statusCode).json(result);
+  } catch (error) {
+    logger.error('Purchase streak freeze error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purchase streak freeze',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get quest history
 // @route   GET /api/quests/history
 // @access  Private
@@ -129,12 +241,26 @@ exports.createQuest = async (req, res) => {
   try {
     const quest = await questService.createQuest(req.body);
     
+    await auditService.record(req, {
+      action: 'quest.create',
+      targetType: 'quest',
+      targetId: quest._id,
+      after: quest
+    });
+    
     res.status(201).json({
       success: true,
       data: quest,
       message: 'Quest created successfully'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Create quest error', {
       error: error.message,
       userId: req.user?.userId,
@@ -155,7 +281,17 @@ exports.createQuest = async (req, res) => {
 exports.updateQuest = async (req, res) => {
   try {
     const { id } = req.params;
-    const quest = await questService.updateQuest(id, req.body);
+    const { reason, ...updates } = req.body;
+    const before = await Quest.findById(id);
+    const quest = await questService.updateQuest(id, updates);
+    
+    await auditService.record(req, {
+      action: 'quest.update',
+      targetType: 'quest',
+      targetId: quest._id,
+      before,
+      after: quest
+    });
     
     res.status(200).json({
       success: true,
@@ -163,6 +299,13 @@ exports.updateQuest = async (req, res) => {
       message: 'Quest updated successfully'
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     logger.error('Update quest error', {
       error: error.message,
       userId: req.user?.userId,
@@ -1,4 +1,5 @@
 const referralService = require('../services/referral.service');
+const auditService = require('../services/audit.service');
 const logger = require('../utils/logger');
 
 // @desc    Get my referral code and stats
@@ -151,7 +152,20 @@ exports.adminOverrideReferral = async (req, res) => {
       });
     }
     
-    const result = await referralService.adminOverrideReferral(referralId, action, reason);
+    const { before, ...result } = await referralService.adminOverrideReferral(referralId, action, reason);
+    
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    await auditService.record(req, {
+      action: `referral.${action}`,
+      targetType: 'referral',
+      targetId: referralId,
+      before,
+      after: result.referral,
+      reason
+    });
     
     res.status(200).json(result);
   } catch (error) {
@@ -1,6 +1,8 @@
 const Waitlist = require('../models/Waitlist');
 const User = require('../models/User');
 const XPLedger = require('../models/XPLedger');
+const QuestProgress = require('../models/QuestProgress');
+const questService = require('../services/quest.service');
 
 /**
  * Helper function to mask wallet address
@@ -118,6 +120,10 @@ exports.joinWaitlist = async (req, res, next) => {
 
     console.log('💾 Saved waitlist with referralCode:', waitlistEntry.referralCode);
 
+    // Joining links an email to the account, which can complete one-time profile quests
+    QuestProgress.evaluateQuests(existingUser._id, { profileChanged: true })
+      .catch(err => console.error('Profile quest evaluation error:', err.message));
+
     // Update referrer's count and reward XP if applicable
     if (referrerUser) {
       // Update waitlist count if they have a waitlist entry
@@ -139,6 +145,8 @@ exports.joinWaitlist = async (req, res, next) => {
           inviteeWallet: walletAddress
         }
       );
+
+      await questService.evaluateXPQuests(referrerUser._id);
     } else if (referrer) {
       // Old waitlist-only referral (no User account)
       await Waitlist.incrementReferralCount(referrer.referralCode);
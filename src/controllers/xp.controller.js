@@ -1,4 +1,5 @@
 const xpService = require('../services/xp.service');
+const holdingService = require('../services/holding.service');
 const logger = require('../utils/logger');
 
 // @desc    Submit event
@@ -16,23 +17,26 @@ exports.submitEvent = async (req, res) => {
       });
     }
     
-    // Use idempotency key if provided, otherwise generate from metadata
-    let dedupKey = idempotencyKey;
+    // Onchain events are verified asynchronously and always deduped globally
+    // per txHash + type, the idempotency key only applies to offchain events
+    const result = metadata?.txHash
+      ? await xpService.queueEvent(userId, type, metadata)
+      : await xpService.processEvent(userId, type, metadata || {}, idempotencyKey);
     
-    if (!dedupKey && metadata?.txHash) {
-      dedupKey = `${userId}_${type}_${metadata.txHash}`;
+    let statusCode = result.success ? 200 : 400;
+    if (result.pending) {
+      statusCode = 202;
     }
     
-    const result = await xpService.processEvent(userId, type, metadata || {}, dedupKey);
-    
-    const statusCode = result.success ? 200 : 400;
-    
     res.status(statusCode).json({
       success: result.success,
       message: result.message,
       data: {
         eventId: result.event?._id,
+        status: result.event?.status,
         xpAwarded: result.xpAwarded,
+        baseXP: result.baseXP,
+        campaigns: result.campaigns,
         nextAvailableAt: result.nextAvailableAt
       }
     });
@@ -81,10 +85,10 @@ exports.getMyXP = async (req, res) => {
 
 // @desc    Get active XP rules
 // @route   GET /api/xp/rules
-// @access  Public
+// @access  Public (per-user allowance when authenticated)
 exports.getRules = async (req, res) => {
   try {
-    const rules = await xpService.getActiveRules();
+    const rules = await xpService.getActiveRules(req.user?.userId);
     
     res.status(200).json({
       success: true,
@@ -104,6 +108,31 @@ exports.getRules = async (req, res) => {
   }
 };
 
+// @desc    Get running XP campaigns
+// @route   GET /api/xp/campaigns
+// @access  Public
+exports.getCampaigns = async (req, res) => {
+  try {
+    const campaigns = await xpService.getRunningCampaigns();
+    
+    res.status(200).json({
+      success: true,
+      data: campaigns
+    });
+  } catch (error) {
+    logger.error('Get campaigns error', {
+      error: error.message,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get campaigns',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get user XP ledger
 // @route   GET /api/xp/ledger
 // @access  Private
@@ -141,6 +170,32 @@ exports.getMyLedger = async (req, res) => {
   }
 };
 
+// @desc    Get user vault holdings and pending holding XP
+// @route   GET /api/xp/holdings
+// @access  Private
+exports.getMyHoldings = async (req, res) => {
+  try {
+    const holdings = await holdingService.getUserHoldings(req.user.userId);
+    
+    res.status(200).json({
+      success: true,
+      data: holdings
+    });
+  } catch (error) {
+    logger.error('Get my holdings error', {
+      error: error.message,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get holdings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get user events
 // @route   GET /api/events/me
 // @access  Private
@@ -178,3 +233,66 @@ exports.getMyEvents = async (req, res) => {
     });
   }
 };
+
+// @desc    Get event status
+// @route   GET /api/events/:id
+// @access  Private
+exports.getEventStatus = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    
+    const mongoose = require('mongoose');
+    const Event = require('../models/Event');
+    const XPLedger = require('../models/XPLedger');
+    
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+    
+    const event = await Event.findOne({ _id: id, userId });
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    
+    const ledgerEntries = await XPLedger.find({ eventId: event._id });
+    const xpAwarded = ledgerEntries.reduce((sum, entry) => sum + entry.deltaXP, 0);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        type: event.type,
+        status: event.status,
+        txHash: event.metadata?.txHash,
+        chainId: event.metadata?.chainId,
+        attempts: event.attempts,
+        nextAttemptAt: event.status === 'pending' ? event.nextAttemptAt : null,
+        errorMessage: event.errorMessage,
+        verifiedAt: event.verifiedAt,
+        processedAt: event.processedAt,
+        xpAwarded
+      }
+    });
+  } catch (error) {
+    logger.error('Get event status error', {
+      error: error.message,
+      userId: req.user?.userId,
+      eventId: req.params.id,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get event status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const sessionService = require('../services/session.service');
 const logger = require('../utils/logger');
 
 // Middleware to protect routes
@@ -18,17 +18,11 @@ exports.protect = async (req, res, next) => {
       });
     }
     
+    let decoded;
+    
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-this');
-      
-      // Attach user info to request
-      req.user = {
-        userId: decoded.userId,
-        walletAddress: decoded.walletAddress
-      };
-      
-      next();
+      decoded = sessionService.verifyAccessToken(token);
     } catch (error) {
       logger.error('Token verification failed', {
         error: error.message,
@@ -40,6 +34,32 @@ exports.protect = async (req, res, next) => {
         message: 'Not authorized. Invalid token.'
       });
     }
+    
+    // Reject tokens whose session was revoked or whose user was deactivated
+    const sessionCheck = await sessionService.validateSession(decoded);
+    
+    if (!sessionCheck.valid) {
+      logger.warn('Token rejected', {
+        userId: decoded.userId,
+        sessionId: decoded.sid,
+        reason: sessionCheck.reason,
+        requestId: req.requestId
+      });
+      
+      return res.status(401).json({
+        success: false,
+        message: `Not authorized. ${sessionCheck.reason}.`
+      });
+    }
+    
+    // Attach user info to request
+    req.user = {
+      userId: decoded.userId,
+      walletAddress: decoded.walletAddress,
+      sessionId: decoded.sid
+    };
+    
+    next();
   } catch (error) {
     logger.error('Auth middleware error', {
       error: error.message,
@@ -53,26 +73,42 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-exports.adminOnly = async (req, res, next) => {
+// Middleware for public routes that personalise the response when a token is sent;
+// a token that is sent but invalid is still rejected so clients know to refresh it
+exports.optionalAuth = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return exports.protect(req, res, next);
+  }
+  
+  next();
+};
+
+// Middleware factory to require admin permissions (all listed permissions must be granted)
+exports.requirePermission = (...permissions) => async (req, res, next) => {
   try {
     const User = require('../models/User');
     
     const user = await User.findById(req.user.userId);
+    const granted = user ? user.getPermissions() : [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
     
-    if (!user || !user.isAdmin) {
+    if (!user || missing.length > 0) {
       logger.warn('Unauthorized admin access attempt', {
         userId: req.user.userId,
         walletAddress: req.user.walletAddress,
+        missingPermissions: missing,
         requestId: req.requestId
       });
       
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: 'Access denied. Missing permission: ' + missing.join(', ')
       });
     }
     
+    req.user.roles = user.getRoles();
+    req.user.permissions = granted;
+    
     next();
   } catch (error) {
     logger.error('Admin middleware error', {
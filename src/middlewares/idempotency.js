@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Hash everything that makes two requests "the same request"
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body || {}]))
+    .digest('hex');
+};
+
+// Middleware honouring the Idempotency-Key header: the first response is stored and
+// replayed for retries with the same key until it expires. Must run after protect on
+// authenticated routes so keys are scoped per user.
+exports.idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  
+  if (!key) {
+    return next();
+  }
+  
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+  
+  const ttlMs = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * HOUR_MS;
+  const lockTimeoutMs = (parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 60) * 1000;
+  const requestHash = hashRequest(req);
+  
+  try {
+    let { record, created } = await IdempotencyRecord.reserve({
+      key,
+      scope: req.user?.userId ? req.user.userId.toString() : 'anonymous',
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash,
+      ttlMs
+    });
+    
+    if (!created) {
+      if (!record || record.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+      
+      if (record.status === 'completed') {
+        logger.info('Replaying idempotent response', {
+          key,
+          path: record.path,
+          requestId: req.requestId
+        });
+        
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+      
+      record = await IdempotencyRecord.takeOverStale(record, lockTimeoutMs);
+      
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    }
+    
+    // Capture the body the handler sends so it can be replayed
+    let responseBody;
+    const json = res.json.bind(res);
+    
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+    
+    res.on('finish', async () => {
+      try {
+        // Server errors are not stored so the client can retry with the same key
+        if (res.statusCode >= 500) {
+          await IdempotencyRecord.deleteOne({ _id: record._id });
+        } else {
+          await record.complete(res.statusCode, responseBody);
+        }
+      } catch (error) {
+        logger.error('Failed to store idempotent response', {
+          error: error.message,
+          key,
+          requestId: req.requestId
+        });
+      }
+    });
+    
+    next();
+  } catch (error) {
+    logger.error('Idempotency middleware error', {
+      error: error.message,
+      key,
+      userId: req.user?.userId,
+      requestId: req.requestId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Idempotency check failed'
+    });
+  }
+};
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorWallet: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  actorRoles: {
+    type: [String],
+    default: []
+  },
+  // Dotted action name, e.g. xp_rule.update, referral.override, role.grant
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['xp_rule', 'quest', 'referral', 'leaderboard', 'user', 'session', 'role', 'xp_ledger', 'campaign', 'quest_chain']
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Field-level diff between before and after
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    default: null
+  },
+  requestId: String,
+  ipAddress: String,
+  userAgent: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorWallet: 1, createdAt: -1 });
+
+// Fields that change on every save and would only add noise to diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Static method to compute a shallow field diff between two plain objects
+auditLogSchema.statics.diff = function(before, after) {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {})
+  ]);
+  
+  const changes = [];
+  
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  
+  return changes;
+};
+
+// Static method to query the audit log with filters and pagination
+auditLogSchema.statics.getAuditLog = async function(options = {}) {
+  const {
+    action = null,
+    targetType = null,
+    targetId = null,
+    actorWallet = null,
+    requestId = null,
+    limit = 50,
+    skip = 0,
+    startDate = null,
+    endDate = null
+  } = options;
+  
+  const query = {};
+  
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (actorWallet) query.actorWallet = actorWallet.toLowerCase();
+  if (requestId) query.requestId = requestId;
+  
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+  
+  const [entries, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .lean(),
+    this.countDocuments(query)
+  ]);
+  
+  return { entries, total };
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
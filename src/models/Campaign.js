@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Factor applied to the rule's base XP (e.g. 2 for "2x XP", 1.5 for "+50%")
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Flat XP added on top of the multiplied amount
+  bonusXP: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Event types the campaign applies to (empty means all)
+  actionTypes: {
+    type: [String],
+    default: []
+  },
+  // Event filters (empty means any)
+  chainIds: {
+    type: [Number],
+    default: []
+  },
+  tokenSymbols: {
+    type: [String],
+    default: []
+  },
+  contractAddresses: {
+    type: [String],
+    default: []
+  },
+  protocols: {
+    type: [String],
+    default: []
+  },
+  // Audience filters
+  waitlistOnly: {
+    type: Boolean,
+    default: false
+  },
+  walletAddresses: {
+    type: [String],
+    default: []
+  },
+  // Stackable campaigns compound with each other; a non-stackable one only applies on its own
+  stackable: {
+    type: Boolean,
+    default: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+campaignSchema.pre('validate', function(next) {
+  this.contractAddresses = this.contractAddresses.map(address => address.toLowerCase());
+  this.walletAddresses = this.walletAddresses.map(address => address.toLowerCase());
+  this.actionTypes = this.actionTypes.map(type => type.toLowerCase());
+  
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  
+  next();
+});
+
+// Static method to get campaigns running at a point in time, optionally for one event type
+campaignSchema.statics.getRunningCampaigns = async function(actionType = null, at = new Date()) {
+  const query = {
+    isActive: true,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at }
+  };
+  
+  if (actionType) {
+    query.$or = [
+      { actionTypes: { $size: 0 } },
+      { actionTypes: actionType }
+    ];
+  }
+  
+  return this.find(query).sort({ startsAt: 1 });
+};
+
+// Instance method to check if an event (and the user who sent it) qualifies
+// context: { metadata, walletAddress, onWaitlist }
+campaignSchema.methods.matches = function(context = {}) {
+  const metadata = context.metadata || {};
+  const lower = value => (value || '').toString().toLowerCase();
+  
+  if (this.chainIds.length > 0 && !this.chainIds.includes(Number(metadata.chainId))) {
+    return false;
+  }
+  
+  if (this.tokenSymbols.length > 0 &&
+    !this.tokenSymbols.some(symbol => lower(symbol) === lower(metadata.tokenSymbol))) {
+    return false;
+  }
+  
+  if (this.contractAddresses.length > 0 && !this.contractAddresses.includes(lower(metadata.contractAddress))) {
+    return false;
+  }
+  
+  if (this.protocols.length > 0 &&
+    !this.protocols.some(protocol => lower(protocol) === lower(metadata.protocol))) {
+    return false;
+  }
+  
+  if (this.walletAddresses.length > 0 && !this.walletAddresses.includes(lower(context.walletAddress))) {
+    return false;
+  }
+  
+  if (this.waitlistOnly && !context.onWaitlist) {
+    return false;
+  }
+  
+  return true;
+};
+
+// Static method to compute the boosted award for a base XP amount
+// Returns { xpAmount, baseXP, multiplier, bonusXP, campaigns }
+campaignSchema.statics.applyCampaigns = function(baseXP, campaigns = []) {
+  const effect = list => {
+    const multiplier = list.reduce((product, campaign) => product * campaign.multiplier, 1);
+    const bonusXP = list.reduce((sum, campaign) => sum + campaign.bonusXP, 0);
+    
+    return {
+      multiplier,
+      bonusXP,
+      xpAmount: Math.floor(baseXP * multiplier + bonusXP),
+      campaigns: list
+    };
+  };
+  
+  // Compare the stacked campaigns against each non-stackable one and keep the best
+  const options = [effect(campaigns.filter(campaign => campaign.stackable))];
+  
+  for (const campaign of campaigns.filter(c => !c.stackable)) {
+    options.push(effect([campaign]));
+  }
+  
+  const best = options.reduce((a, b) => (b.xpAmount > a.xpAmount ? b : a));
+  
+  return {
+    xpAmount: best.xpAmount,
+    baseXP,
+    multiplier: best.multiplier,
+    bonusXP: best.bonusXP,
+    campaigns: best.campaigns.map(campaign => ({
+      campaignId: campaign._id,
+      name: campaign.name,
+      multiplier: campaign.multiplier,
+      bonusXP: campaign.bonusXP
+    }))
+  };
+};
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+module.exports = Campaign;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// The pooled daily quests picked for a user for one day. Stored on first use so admin edits to
+// the pool later that day don't reshuffle quests the user may already be working on
+const dailyQuestSelectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  questIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quest'
+  }]
+}, {
+  timestamps: true
+});
+
+dailyQuestSelectionSchema.index({ userId: 1, periodStart: 1 }, { unique: true });
+
+// Static method to get a user's stored selection for a day, storing `questIds` if there is none.
+// The first stored pick wins when two requests race
+dailyQuestSelectionSchema.statics.getOrCreate = async function(userId, periodStart, questIds) {
+  try {
+    return await this.findOneAndUpdate(
+      { userId, periodStart },
+      { $setOnInsert: { questIds } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    
+    return this.findOne({ userId, periodStart });
+  }
+};
+
+const DailyQuestSelection = mongoose.model('DailyQuestSelection', dailyQuestSelectionSchema);
+
+module.exports = DailyQuestSelection;
@@ -17,6 +17,7 @@ const eventSchema = new mongoose.Schema({
       'borrow',
       'swap',
       'claim_faucet',
+      'withdraw',
       'complete_quest',
       'referral_verified',
       'select_strategy',
@@ -43,6 +44,8 @@ const eventSchema = new mongoose.Schema({
     tokenAddress: String,
     tokenSymbol: String,
     protocol: String,
+    // USD value of the verified amount at award time (amount-scaled XP rules)
+    valueUsd: Number,
     
     // For quest events
     questId: mongoose.Schema.Types.ObjectId,
@@ -76,6 +79,19 @@ const eventSchema = new mongoose.Schema({
   errorMessage: {
     type: String,
     default: null
+  },
+  // Onchain verification queue
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -86,18 +102,35 @@ eventSchema.index({ userId: 1, type: 1 });
 eventSchema.index({ userId: 1, occurredAt: -1 });
 eventSchema.index({ status: 1, createdAt: 1 });
 eventSchema.index({ 'metadata.txHash': 1 });
+eventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Static method to build the global dedup key for an onchain event.
+// Keyed by transaction rather than user so a tx can only ever be credited once.
+eventSchema.statics.buildOnchainDedupKey = function(type, chainId, txHash) {
+  return `onchain_${chainId}_${type}_${txHash.toLowerCase()}`;
+};
 
 // Static method to create event with dedup key
-eventSchema.statics.createEvent = async function(userId, type, metadata = {}, dedupKey = null) {
-  // Generate dedup key if not provided
-  if (!dedupKey) {
-    if (metadata.txHash) {
-      // For onchain events: userId + type + txHash
-      dedupKey = `${userId}_${type}_${metadata.txHash}`;
-    } else {
-      // For offchain events: userId + type + timestamp
-      dedupKey = `${userId}_${type}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+eventSchema.statics.createEvent = async function(userId, type, metadata = {}, dedupKey = null, options = {}) {
+  const { status = 'pending' } = options;
+  
+  if (metadata.txHash) {
+    // Onchain events always use the global key, client-supplied keys are ignored
+    dedupKey = this.buildOnchainDedupKey(type, metadata.chainId, metadata.txHash);
+    
+    // Also catch transactions credited before the global key existed
+    const credited = await this.findOne({
+      type,
+      'metadata.txHash': { $in: [metadata.txHash, metadata.txHash.toLowerCase()] },
+      status: { $in: ['verified', 'processed'] }
+    });
+    
+    if (credited) {
+      throw new Error('Event already exists (duplicate)');
     }
+  } else if (!dedupKey) {
+    // For offchain events: userId + type + timestamp
+    dedupKey = `${userId}_${type}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
   }
   
   try {
@@ -106,6 +139,8 @@ eventSchema.statics.createEvent = async function(userId, type, metadata = {}, de
       type,
       dedupKey,
       metadata,
+      status,
+      verifiedAt: status === 'verified' ? new Date() : null,
       occurredAt: metadata.occurredAt || new Date()
     });
     
@@ -147,6 +182,28 @@ eventSchema.statics.getUserEvents = async function(userId, options = {}) {
     .skip(skip);
 };
 
+// Static method to claim the next pending onchain event that is due for verification.
+// Pushing nextAttemptAt forward acts as a lease so concurrent workers skip it.
+eventSchema.statics.claimNextPending = async function(leaseMs = 60000) {
+  const now = new Date();
+  
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      'metadata.txHash': { $exists: true, $ne: null },
+      nextAttemptAt: { $lte: now }
+    },
+    {
+      $set: {
+        nextAttemptAt: new Date(now.getTime() + leaseMs),
+        lastAttemptAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
 // Instance method to mark as verified
 eventSchema.methods.markVerified = async function() {
   this.status = 'verified';
@@ -161,13 +218,46 @@ eventSchema.methods.markProcessed = async function() {
   return this.save();
 };
 
-// Instance method to mark as failed
-eventSchema.methods.markFailed = async function(errorMessage) {
+// Instance method to mark as failed. Only pass releaseKey when the transaction was never validly
+// attributed to the user (proof, verification or ownership failure); rule, cooldown and limit
+// failures keep the key so the tx can't be resubmitted to earn in a later period
+eventSchema.methods.markFailed = async function(errorMessage, { releaseKey = false } = {}) {
   this.status = 'failed';
   this.errorMessage = errorMessage;
+  
+  if (releaseKey) {
+    this.releaseDedupKey();
+  }
+  return this.save();
+};
+
+// Instance method to mark as rejected (onchain verification gave up, or the block was reorged out).
+// releaseKey as in markFailed: only when no XP remains credited for the transaction
+eventSchema.methods.markRejected = async function(errorMessage, { releaseKey = false } = {}) {
+  this.status = 'rejected';
+  this.errorMessage = errorMessage;
+  
+  if (releaseKey) {
+    this.releaseDedupKey();
+  }
+  return this.save();
+};
+
+// Instance method to schedule another verification attempt
+eventSchema.methods.scheduleRetry = async function(errorMessage, delayMs) {
+  this.errorMessage = errorMessage;
+  this.nextAttemptAt = new Date(Date.now() + delayMs);
   return this.save();
 };
 
+// Instance method to free the global onchain key so a failed (or hijacked)
+// submission doesn't block the rightful owner from submitting the transaction
+eventSchema.methods.releaseDedupKey = function() {
+  if (this.metadata?.txHash && !this.dedupKey.includes(':failed:')) {
+    this.dedupKey = `${this.dedupKey}:failed:${this._id}`;
+  }
+};
+
 const Event = mongoose.model('Event', eventSchema);
 
 module.exports = Event;
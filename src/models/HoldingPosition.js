@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// A user's share balance in one vault, with holding points accrued since the last daily payout
+const holdingPositionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  vaultAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  tokenSymbol: {
+    type: String,
+    required: true
+  },
+  // Raw vault share balance at the last snapshot
+  shares: {
+    type: String,
+    default: '0'
+  },
+  // Underlying assets (whole tokens) and their USD value at the last snapshot
+  assets: {
+    type: Number,
+    default: 0
+  },
+  valueUsd: {
+    type: Number,
+    default: 0
+  },
+  lastSnapshotAt: {
+    type: Date,
+    default: null
+  },
+  // Holding XP accrued but not yet posted to the ledger (fractional)
+  pendingXP: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  accruingSince: {
+    type: Date,
+    default: null
+  },
+  lastPostedAt: {
+    type: Date,
+    default: null
+  },
+  totalPostedXP: {
+    type: Number,
+    default: 0
+  },
+  totalForfeitedXP: {
+    type: Number,
+    default: 0
+  },
+  lastForfeitedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+holdingPositionSchema.index({ userId: 1, chainId: 1, vaultAddress: 1 }, { unique: true });
+holdingPositionSchema.index({ pendingXP: 1 });
+
+// Static method to get or create a position
+holdingPositionSchema.statics.getOrCreate = async function(user, chainId, vaultAddress, tokenSymbol) {
+  return this.findOneAndUpdate(
+    { userId: user._id, chainId, vaultAddress: vaultAddress.toLowerCase() },
+    {
+      $setOnInsert: {
+        walletAddress: user.walletAddress,
+        tokenSymbol
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to drop pending accrual after a withdrawal; returns the forfeited amount
+holdingPositionSchema.statics.forfeitPending = async function(userId, chainId, vaultAddress) {
+  const position = await this.findOneAndUpdate(
+    { userId, chainId, vaultAddress: vaultAddress.toLowerCase(), pendingXP: { $gt: 0 } },
+    [{
+      $set: {
+        totalForfeitedXP: { $add: ['$totalForfeitedXP', '$pendingXP'] },
+        pendingXP: 0,
+        accruingSince: null,
+        lastForfeitedAt: '$$NOW'
+      }
+    }],
+    { new: false }
+  );
+  
+  return position ? position.pendingXP : 0;
+};
+
+const HoldingPosition = mongoose.model('HoldingPosition', holdingPositionSchema);
+
+module.exports = HoldingPosition;
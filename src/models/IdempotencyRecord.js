@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  // Client-supplied Idempotency-Key header
+  key: {
+    type: String,
+    required: true
+  },
+  // Who the key belongs to: user id for authenticated requests, "anonymous" otherwise
+  scope: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of method, path and body; a retry must match it exactly
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Stored responses are replayed until this time, then removed by the TTL index
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyRecordSchema.index({ key: 1, scope: 1 }, { unique: true });
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to reserve a key; returns { record, created } where created is false if the key was already used
+idempotencyRecordSchema.statics.reserve = async function({ key, scope, method, path, requestHash, ttlMs }) {
+  try {
+    const record = await this.create({
+      key,
+      scope,
+      method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+    
+    return { record, created: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    
+    const record = await this.findOne({ key, scope });
+    return { record, created: false };
+  }
+};
+
+// Static method to take over an in-progress reservation whose request never finished (e.g. the process crashed)
+idempotencyRecordSchema.statics.takeOverStale = async function(record, lockTimeoutMs) {
+  return this.findOneAndUpdate(
+    {
+      _id: record._id,
+      status: 'in_progress',
+      updatedAt: { $lte: new Date(Date.now() - lockTimeoutMs) }
+    },
+    { $set: { updatedAt: new Date() } },
+    { new: true, timestamps: false }
+  );
+};
+
+// Instance method to store the response for later replays
+idempotencyRecordSchema.methods.complete = async function(statusCode, body) {
+  this.status = 'completed';
+  this.responseStatus = statusCode;
+  this.responseBody = body === undefined ? null : body;
+  await this.save();
+  return this;
+};
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+
+module.exports = IdempotencyRecord;
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const indexerCursorSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Last block whose logs have been fully indexed
+  lastBlock: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Hashes of recently indexed blocks, used to detect reorgs
+  recentBlocks: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  // Log group (txHash_eventType) that failed in the current batch and how often it has failed
+  failure: {
+    key: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String
+  },
+  // Log groups skipped after too many failures, kept for manual follow-up
+  failedGroups: [{
+    _id: false,
+    txHash: String,
+    eventType: String,
+    blockNumber: Number,
+    attempts: Number,
+    error: String,
+    failedAt: Date
+  }],
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastReorgAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get or create cursor for a chain
+indexerCursorSchema.statics.getOrCreate = async function(chainId, startBlock) {
+  let cursor = await this.findOne({ chainId });
+  
+  if (!cursor) {
+    cursor = await this.create({
+      chainId,
+      lastBlock: Math.max(startBlock, 0),
+      recentBlocks: []
+    });
+  }
+  
+  return cursor;
+};
+
+// Instance method to count a failed attempt at a log group; returns the attempts so far
+indexerCursorSchema.methods.recordFailure = async function(key, errorMessage) {
+  const attempts = this.failure?.key === key ? this.failure.attempts + 1 : 1;
+  
+  this.failure = { key, attempts, lastError: errorMessage };
+  await this.save();
+  
+  return attempts;
+};
+
+// Instance method to give up on a log group so the cursor can move past it
+indexerCursorSchema.methods.recordFailedGroup = async function(group, attempts, errorMessage) {
+  this.failedGroups.push({
+    txHash: group.txHash,
+    eventType: group.eventType,
+    blockNumber: group.blockNumber,
+    attempts,
+    error: errorMessage,
+    failedAt: new Date()
+  });
+  this.failure = { key: null, attempts: 0 };
+  
+  return this.save();
+};
+
+// Instance method to advance cursor and remember block hashes
+indexerCursorSchema.methods.advance = async function(lastBlock, blocks = [], maxRecentBlocks = 64) {
+  const known = new Map(this.recentBlocks.map(block => [block.number, block.hash]));
+  
+  for (const block of blocks) {
+    known.set(block.number, block.hash);
+  }
+  
+  this.recentBlocks = Array.from(known.entries())
+    .map(([number, hash]) => ({ number, hash }))
+    .sort((a, b) => a.number - b.number)
+    .slice(-maxRecentBlocks);
+  this.lastBlock = lastBlock;
+  this.failure = { key: null, attempts: 0 };
+  this.lastRunAt = new Date();
+  
+  return this.save();
+};
+
+// Instance method to rewind cursor to a common ancestor after a reorg
+indexerCursorSchema.methods.rewind = async function(ancestorBlock) {
+  this.recentBlocks = this.recentBlocks.filter(block => block.number <= ancestorBlock);
+  // Orphaned groups are gone from the chain; anything re-mined is indexed again
+  this.failedGroups = this.failedGroups.filter(group => group.blockNumber <= ancestorBlock);
+  this.failure = { key: null, attempts: 0 };
+  this.lastBlock = ancestorBlock;
+  this.lastReorgAt = new Date();
+  
+  return this.save();
+};
+
+const IndexerCursor = mongoose.model('IndexerCursor', indexerCursorSchema);
+
+module.exports = IndexerCursor;
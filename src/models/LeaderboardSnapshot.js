@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const periodService = require('../utils/period');
 
 const leaderboardSnapshotSchema = new mongoose.Schema({
   period: {
@@ -57,19 +58,9 @@ leaderboardSnapshotSchema.statics.createSnapshot = async function(period) {
   if (period === 'all-time') {
     startAt = new Date(0); // Beginning of time
     endAt = now;
-  } else if (period === 'daily') {
-    startAt = new Date(now);
-    startAt.setHours(0, 0, 0, 0);
-    endAt = new Date(now);
-    endAt.setHours(23, 59, 59, 999);
-  } else if (period === 'weekly') {
-    const dayOfWeek = now.getDay();
-    startAt = new Date(now);
-    startAt.setDate(now.getDate() - dayOfWeek);
-    startAt.setHours(0, 0, 0, 0);
-    endAt = new Date(startAt);
-    endAt.setDate(endAt.getDate() + 6);
-    endAt.setHours(23, 59, 59, 999);
+  } else {
+    // Same boundaries as daily/weekly quests
+    ({ periodStart: startAt, periodEnd: endAt } = periodService.getPeriod(period, now));
   }
   
   const snapshot = await this.create({
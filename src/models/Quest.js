@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const periodService = require('../utils/period');
+const { getPoolConfig, DIFFICULTIES } = require('../config/questPool');
 
 const questSchema = new mongoose.Schema({
   name: {
@@ -37,17 +40,62 @@ const questSchema = new mongoose.Schema({
       ],
       required: true
     },
-    eventType: String, // For event_count type
+    eventType: String, // For event_count / action_once (and deposit_amount, defaults to deposit)
     targetCount: Number, // For event_count type
     targetAmount: String, // For deposit_amount type
+    // For deposit_amount: sum USD value or whole tokens (token needs tokenSymbol)
+    amountBasis: {
+      type: String,
+      enum: ['usd', 'token']
+    },
+    tokenSymbol: String,
+    chainId: Number,
     targetXP: Number, // For xp_threshold type
-    customLogic: mongoose.Schema.Types.Mixed // For custom type
+    // For custom type: { op: 'and' | 'or', conditions: [...] }, see validateCustomLogic
+    customLogic: mongoose.Schema.Types.Mixed
   },
   rewardXP: {
     type: Number,
     required: true,
     min: 0
   },
+  // Unlock conditions: every prerequisite quest claimed (in any period) and the XP balance reached
+  prerequisites: {
+    questIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quest'
+    }],
+    minXP: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // Journey this quest belongs to and its position in it
+  questChainId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestChain',
+    default: null,
+    index: true
+  },
+  chainOrder: {
+    type: Number,
+    default: 0
+  },
+  // Daily quest pool template: shown only to users it is picked for (see getPoolSelection)
+  pool: {
+    enabled: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    // Relative chance of being picked; 0 keeps the template out of rotation
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0
+    }
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -75,7 +123,214 @@ const questSchema = new mongoose.Schema({
 questSchema.index({ cadence: 1, isActive: 1 });
 questSchema.index({ startAt: 1, endAt: 1 });
 
-// Static method to get active quests
+const MAX_LOGIC_DEPTH = 3;
+const MAX_LOGIC_CONDITIONS = 10;
+const GROUP_KEYS = ['op', 'conditions'];
+const EVENT_CONDITION_KEYS = ['eventType', 'eventTypes', 'chainIds', 'tokenSymbols', 'protocols', 'minCount', 'minAmount', 'amountBasis'];
+// Account facts a { profile } condition can check: a linked email or a waitlist signup
+const PROFILE_FIELDS = ['email', 'waitlist'];
+
+const isNonNegativeNumber = value => value !== '' && value !== null && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+// Check a customLogic tree; returns an error message or null.
+// A group is { op: 'and' | 'or', conditions: [...] }; a condition is either a nested group,
+// { minXP }, { profile } or an event filter { eventType(s), chainIds, tokenSymbols, protocols } with
+// minCount (default 1) and/or minAmount (amountBasis 'usd' by default, or 'token')
+const validateCustomLogic = (logic, depth = 1) => {
+  if (!logic || typeof logic !== 'object' || Array.isArray(logic)) {
+    return 'customLogic must be an object';
+  }
+  
+  if (!['and', 'or'].includes(logic.op)) {
+    return 'customLogic group op must be "and" or "or"';
+  }
+  
+  if (!Array.isArray(logic.conditions) || logic.conditions.length === 0) {
+    return 'customLogic group needs at least one condition';
+  }
+  
+  if (logic.conditions.length > MAX_LOGIC_CONDITIONS) {
+    return `customLogic groups can have at most ${MAX_LOGIC_CONDITIONS} conditions`;
+  }
+  
+  const unknownGroupKey = Object.keys(logic).find(key => !GROUP_KEYS.includes(key));
+  if (unknownGroupKey) {
+    return `Unknown customLogic key: ${unknownGroupKey}`;
+  }
+  
+  for (const condition of logic.conditions) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return 'customLogic conditions must be objects';
+    }
+    
+    if (condition.op !== undefined) {
+      if (depth >= MAX_LOGIC_DEPTH) {
+        return `customLogic can be nested at most ${MAX_LOGIC_DEPTH} levels deep`;
+      }
+      
+      const error = validateCustomLogic(condition, depth + 1);
+      if (error) return error;
+      continue;
+    }
+    
+    if (condition.minXP !== undefined) {
+      if (Object.keys(condition).length > 1) {
+        return 'minXP conditions cannot be combined with event filters';
+      }
+      
+      if (!isNonNegativeNumber(condition.minXP)) {
+        return 'minXP must be a non-negative number';
+      }
+      continue;
+    }
+    
+    if (condition.profile !== undefined) {
+      if (Object.keys(condition).length > 1) {
+        return 'profile conditions cannot be combined with other keys';
+      }
+      
+      if (!PROFILE_FIELDS.includes(condition.profile)) {
+        return `profile must be one of: ${PROFILE_FIELDS.join(', ')}`;
+      }
+      continue;
+    }
+    
+    const unknownKey = Object.keys(condition).find(key => !EVENT_CONDITION_KEYS.includes(key));
+    if (unknownKey) {
+      return `Unknown customLogic condition key: ${unknownKey}`;
+    }
+    
+    if (condition.eventType !== undefined && typeof condition.eventType !== 'string') {
+      return 'eventType must be a string';
+    }
+    
+    for (const key of ['eventTypes', 'chainIds', 'tokenSymbols', 'protocols']) {
+      if (condition[key] !== undefined && !Array.isArray(condition[key])) {
+        return `${key} must be an array`;
+      }
+    }
+    
+    if (condition.chainIds && condition.chainIds.some(chainId => !Number.isInteger(Number(chainId)))) {
+      return 'chainIds must be integers';
+    }
+    
+    if (condition.minCount !== undefined && !isNonNegativeNumber(condition.minCount)) {
+      return 'minCount must be a non-negative number';
+    }
+    
+    if (condition.minAmount !== undefined && !isNonNegativeNumber(condition.minAmount)) {
+      return 'minAmount must be a non-negative number';
+    }
+    
+    if (condition.amountBasis !== undefined && !['usd', 'token'].includes(condition.amountBasis)) {
+      return 'amountBasis must be "usd" or "token"';
+    }
+    
+    if (condition.amountBasis === 'token' && (!condition.tokenSymbols || condition.tokenSymbols.length !== 1)) {
+      return 'amountBasis "token" needs exactly one tokenSymbol';
+    }
+  }
+  
+  return null;
+};
+
+const escapeRegex = value => value.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match on any of the values
+const anyOf = values => ({ $in: values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) });
+
+// Whole-token or USD amount of a processed event; only verified onchain amounts count
+const getEventAmount = (event, basis) => {
+  if (!event.metadata?.txHash) {
+    return 0;
+  }
+  
+  // valueUsd is recorded when the event is awarded and the token has a price
+  if (basis === 'usd') {
+    return event.metadata.valueUsd || 0;
+  }
+  
+  return parseFloat(event.metadata.amount) || 0;
+};
+
+questSchema.pre('validate', function(next) {
+  const rules = this.rules || {};
+  
+  if (['event_count', 'action_once'].includes(rules.type) && !rules.eventType) {
+    this.invalidate('rules.eventType', `eventType is required for ${rules.type} quests`);
+  }
+  
+  if (rules.type === 'event_count' && rules.targetCount !== undefined && !(rules.targetCount >= 1)) {
+    this.invalidate('rules.targetCount', 'targetCount must be at least 1');
+  }
+  
+  if (rules.type === 'xp_threshold' && !(rules.targetXP > 0)) {
+    this.invalidate('rules.targetXP', 'targetXP must be a positive number for xp_threshold quests');
+  }
+  
+  if (rules.type === 'deposit_amount') {
+    if (!isNonNegativeNumber(rules.targetAmount) || Number(rules.targetAmount) <= 0) {
+      this.invalidate('rules.targetAmount', 'targetAmount must be a positive number for deposit_amount quests');
+    }
+    
+    if (rules.amountBasis === 'token' && !rules.tokenSymbol) {
+      this.invalidate('rules.tokenSymbol', 'tokenSymbol is required when amountBasis is token');
+    }
+  }
+  
+  if (rules.type === 'custom') {
+    const error = validateCustomLogic(rules.customLogic);
+    
+    if (error) {
+      this.invalidate('rules.customLogic', error);
+    }
+  }
+  
+  if (this.pool?.enabled && this.cadence !== 'daily') {
+    this.invalidate('pool.enabled', 'Only daily quests can be in the quest pool');
+  }
+  
+  next();
+});
+
+// Prerequisites must exist and must not lead back to this quest
+questSchema.pre('validate', async function() {
+  const questIds = (this.prerequisites?.questIds || []).map(questId => questId.toString());
+  
+  if (questIds.length === 0 || !this.isModified('prerequisites.questIds')) {
+    return;
+  }
+  
+  const existing = await this.constructor.countDocuments({ _id: { $in: questIds } });
+  
+  if (existing < new Set(questIds).size) {
+    this.invalidate('prerequisites.questIds', 'Prerequisite quest not found');
+    return;
+  }
+  
+  // Walk the prerequisite graph looking for this quest
+  const id = this._id.toString();
+  const seen = new Set();
+  let frontier = questIds;
+  
+  while (frontier.length > 0) {
+    if (frontier.includes(id)) {
+      this.invalidate('prerequisites.questIds', 'Quest prerequisites cannot form a cycle');
+      return;
+    }
+    
+    frontier.forEach(questId => seen.add(questId));
+    
+    const quests = await this.constructor.find({ _id: { $in: frontier } }).select('prerequisites.questIds');
+    
+    frontier = quests
+      .flatMap(quest => quest.prerequisites?.questIds || [])
+      .map(questId => questId.toString())
+      .filter(questId => !seen.has(questId));
+  }
+});
+
+// Static method to get active quests, optionally of one cadence or any of a list of cadences
 questSchema.statics.getActiveQuests = async function(cadence = null) {
   const now = new Date();
   const query = {
@@ -88,7 +343,7 @@ questSchema.statics.getActiveQuests = async function(cadence = null) {
   };
   
   if (cadence) {
-    query.cadence = cadence;
+    query.cadence = Array.isArray(cadence) ? { $in: cadence } : cadence;
   }
   
   return this.find(query).sort({ 'metadata.displayOrder': 1, createdAt: 1 });
@@ -99,6 +354,432 @@ questSchema.statics.getTodayQuests = async function() {
   return this.getActiveQuests('daily');
 };
 
+// Static method to get the active daily pool templates
+questSchema.statics.getActivePool = async function() {
+  const quests = await this.getActiveQuests('daily');
+  return quests.filter(quest => quest.pool?.enabled);
+};
+
+// Static method to pick a user's pooled quests for the day starting at periodStart.
+// Weighted sampling without replacement: each template draws a seeded key u^(1/weight)
+// and the highest keys win, so the pick is stable for the day and differs per user
+questSchema.statics.selectFromPool = function(pool, userId, periodStart, config = getPoolConfig()) {
+  const ranked = pool
+    .filter(quest => quest.pool?.weight > 0)
+    .map(quest => {
+      const hash = crypto.createHash('sha256')
+        .update(`${userId}:${periodStart.toISOString()}:${quest._id}`)
+        .digest();
+      // 48 random bits mapped into (0, 1)
+      const u = (hash.readUIntBE(0, 6) + 1) / (2 ** 48 + 1);
+      
+      return { quest, key: Math.log(u) / quest.pool.weight };
+    })
+    .sort((a, b) => b.key - a.key);
+  
+  const picked = [];
+  
+  if (config.balanceDifficulty) {
+    for (const difficulty of DIFFICULTIES) {
+      const best = ranked.find(entry => (entry.quest.metadata?.difficulty || 'easy') === difficulty);
+      
+      if (best && picked.length < config.size) {
+        picked.push(best);
+      }
+    }
+  }
+  
+  for (const entry of ranked) {
+    if (picked.length >= config.size) break;
+    
+    if (!picked.includes(entry)) {
+      picked.push(entry);
+    }
+  }
+  
+  return picked.map(entry => entry.quest);
+};
+
+// Static method to get a user's pooled quests for the day containing `date`. The pick is made
+// from the pool as it is on the user's first request of the day and stored, so later pool edits
+// only take effect the next day; persist: false previews the pick without storing it
+questSchema.statics.getPoolSelection = async function(userId, date = new Date(), { persist = true } = {}) {
+  const DailyQuestSelection = mongoose.model('DailyQuestSelection');
+  const { periodStart } = periodService.getPeriod('daily', date);
+  
+  let selection = await DailyQuestSelection.findOne({ userId, periodStart });
+  
+  if (!selection) {
+    const picked = this.selectFromPool(await this.getActivePool(), userId, periodStart);
+    
+    if (!persist) {
+      return picked;
+    }
+    
+    selection = await DailyQuestSelection.getOrCreate(userId, periodStart, picked.map(quest => quest._id));
+  }
+  
+  // Keep the stored order; templates deleted since then are dropped
+  const quests = await this.find({ _id: { $in: selection.questIds } });
+  const byId = new Map(quests.map(quest => [quest._id.toString(), quest]));
+  
+  return selection.questIds.map(questId => byId.get(questId.toString())).filter(Boolean);
+};
+
+// Static method to get many users' picks for the day containing `date`, loading stored picks in
+// batches: a user without one gets a preview from the current pool, which is not stored.
+// Returns Map userId -> Set of picked quest ids
+questSchema.statics.getPoolSelections = async function(userIds, date = new Date(), batchSize = 500) {
+  const DailyQuestSelection = mongoose.model('DailyQuestSelection');
+  const { periodStart } = periodService.getPeriod('daily', date);
+  const pool = await this.getActivePool();
+  const selections = new Map();
+  
+  for (let i = 0; i < userIds.length; i += batchSize) {
+    const batch = userIds.slice(i, i + batchSize);
+    const stored = await DailyQuestSelection.find({ userId: { $in: batch }, periodStart })
+      .select('userId questIds')
+      .lean();
+    const storedIds = new Map(stored.map(selection => [selection.userId.toString(), selection.questIds]));
+    
+    for (const userId of batch) {
+      const questIds = storedIds.get(userId.toString()) ||
+        this.selectFromPool(pool, userId, periodStart).map(quest => quest._id);
+      
+      selections.set(userId.toString(), new Set(questIds.map(questId => questId.toString())));
+    }
+  }
+  
+  return selections;
+};
+
+// Static method to drop pooled quests that weren't picked for the user today
+questSchema.statics.filterForUser = async function(userId, quests, date = new Date()) {
+  if (!quests.some(quest => quest.pool?.enabled)) {
+    return quests;
+  }
+  
+  const selected = new Set(
+    (await this.getPoolSelection(userId, date)).map(quest => quest._id.toString())
+  );
+  
+  return quests.filter(quest => !quest.pool?.enabled || selected.has(quest._id.toString()));
+};
+
+// Static method to load what's needed to check unlock conditions for a user
+questSchema.statics.getUnlockContext = async function(userId, quests) {
+  const QuestProgress = mongoose.model('QuestProgress');
+  const User = mongoose.model('User');
+  
+  const prerequisiteIds = [...new Set(
+    quests.flatMap(quest => (quest.prerequisites?.questIds || []).map(questId => questId.toString()))
+  )];
+  
+  const [claimedIds, prerequisiteQuests, user] = await Promise.all([
+    prerequisiteIds.length > 0
+      ? QuestProgress.distinct('questId', { userId, questId: { $in: prerequisiteIds }, isClaimed: true, revokedAt: null })
+      : [],
+    prerequisiteIds.length > 0
+      ? this.find({ _id: { $in: prerequisiteIds } }).select('name')
+      : [],
+    User.findById(userId).select('totalXP')
+  ]);
+  
+  return {
+    claimedQuestIds: new Set(claimedIds.map(id => id.toString())),
+    questNames: new Map(prerequisiteQuests.map(quest => [quest._id.toString(), quest.name])),
+    totalXP: user ? user.totalXP : 0
+  };
+};
+
+// Instance method to check a user's unlock state, given getUnlockContext()
+// Returns { isLocked, requirements: { quests: [{ questId, name, isClaimed }], minXP, currentXP } }
+questSchema.methods.getUnlockStatus = function(context) {
+  const minXP = this.prerequisites?.minXP || 0;
+  const quests = (this.prerequisites?.questIds || []).map(questId => ({
+    questId,
+    name: context.questNames.get(questId.toString()) || null,
+    isClaimed: context.claimedQuestIds.has(questId.toString())
+  }));
+  
+  return {
+    isLocked: quests.some(quest => !quest.isClaimed) || context.totalXP < minXP,
+    requirements: {
+      quests,
+      minXP,
+      currentXP: context.totalXP
+    }
+  };
+};
+
+// Instance method to check if an event, XP change, profile change or claimed quest can move this
+// quest's progress. change: { eventType }, { xpChanged: true }, { profileChanged: true }
+// or { unlockedBy: questId }
+questSchema.methods.isAffectedBy = function(change = {}) {
+  const rules = this.rules || {};
+  
+  if (change.profileChanged) {
+    return rules.type === 'custom' && JSON.stringify(rules.customLogic || {}).includes('"profile"');
+  }
+  
+  if (change.unlockedBy) {
+    return (this.prerequisites?.questIds || []).some(questId => questId.toString() === change.unlockedBy.toString());
+  }
+  
+  if (change.xpChanged) {
+    return rules.type === 'xp_threshold' ||
+      (this.prerequisites?.minXP || 0) > 0 ||
+      (rules.type === 'custom' && JSON.stringify(rules.customLogic || {}).includes('"minXP"'));
+  }
+  
+  switch (rules.type) {
+    case 'event_count':
+    case 'action_once':
+      return rules.eventType === change.eventType;
+    case 'deposit_amount':
+      return (rules.eventType || 'deposit') === change.eventType;
+    case 'custom':
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Instance method to find users who may have progress on this quest in a period (null period =
+// full history): users with matching events, XP earned or profile facts the rules depend on
+questSchema.methods.findCandidateUserIds = async function(periodStart = null, periodEnd = null) {
+  const Event = mongoose.model('Event');
+  const XPLedger = mongoose.model('XPLedger');
+  const User = mongoose.model('User');
+  const rules = this.rules || {};
+  
+  // Event types the rules count (null = any type) and whether XP or profile facts matter
+  let eventTypes = [];
+  let usesXP = rules.type === 'xp_threshold';
+  let usesProfile = false;
+  
+  const collect = (condition) => {
+    if (condition.op) {
+      condition.conditions.forEach(collect);
+    } else if (condition.minXP !== undefined) {
+      usesXP = true;
+    } else if (condition.profile !== undefined) {
+      usesProfile = true;
+    } else if (condition.eventType || (condition.eventTypes && condition.eventTypes.length > 0)) {
+      eventTypes?.push(...(condition.eventTypes || [condition.eventType]));
+    } else {
+      eventTypes = null;
+    }
+  };
+  
+  if (rules.type === 'custom' && rules.customLogic) {
+    collect(rules.customLogic);
+  } else if (rules.type === 'deposit_amount') {
+    eventTypes.push(rules.eventType || 'deposit');
+  } else if (rules.eventType) {
+    eventTypes.push(rules.eventType);
+  }
+  
+  const queries = [];
+  
+  if (eventTypes === null || eventTypes.length > 0) {
+    const query = { status: 'processed' };
+    
+    if (periodStart) {
+      query.occurredAt = { $gte: periodStart, $lte: periodEnd };
+    }
+    
+    if (eventTypes) {
+      query.type = { $in: eventTypes };
+    }
+    
+    queries.push(Event.distinct('userId', query));
+  }
+  
+  if (usesXP) {
+    queries.push(periodStart
+      ? XPLedger.distinct('userId', { createdAt: { $gte: periodStart, $lte: periodEnd } })
+      : User.distinct('_id', { totalXP: { $gt: 0 } }));
+  }
+  
+  if (usesProfile) {
+    const Waitlist = mongoose.model('Waitlist');
+    const wallets = await Waitlist.distinct('walletAddress');
+    
+    queries.push(User.distinct('_id', {
+      $or: [
+        { email: { $exists: true, $nin: [null, ''] } },
+        { walletAddress: { $in: wallets } }
+      ]
+    }));
+  }
+  
+  const results = await Promise.all(queries);
+  
+  return [...new Set(results.flat().map(id => id.toString()))];
+};
+
+// Instance method to compute a user's progress from their events and ledger for a period
+// (null period = one-time quest, evaluated against the user's full history).
+// Returns { progressValue, targetValue }
+questSchema.methods.evaluateProgress = async function(userId, periodStart = null, periodEnd = null) {
+  const Event = mongoose.model('Event');
+  const XPLedger = mongoose.model('XPLedger');
+  const User = mongoose.model('User');
+  const rules = this.rules || {};
+  
+  const window = periodStart ? { $gte: periodStart, $lte: periodEnd } : null;
+  
+  const findEvents = (filter = {}) => {
+    const query = { userId, status: 'processed' };
+    
+    if (window) {
+      query.occurredAt = window;
+    }
+    const eventTypes = filter.eventTypes || (filter.eventType ? [filter.eventType] : []);
+    
+    if (eventTypes.length > 0) {
+      query.type = { $in: eventTypes };
+    }
+    
+    if (filter.chainIds && filter.chainIds.length > 0) {
+      query['metadata.chainId'] = { $in: filter.chainIds.map(Number) };
+    }
+    
+    if (filter.tokenSymbols && filter.tokenSymbols.length > 0) {
+      query['metadata.tokenSymbol'] = anyOf(filter.tokenSymbols);
+    }
+    
+    if (filter.protocols && filter.protocols.length > 0) {
+      query['metadata.protocol'] = anyOf(filter.protocols);
+    }
+    
+    return Event.find(query).select('type metadata.txHash metadata.amount metadata.valueUsd').lean();
+  };
+  
+  // Balance for one-time quests, XP earned within the period otherwise
+  const getXP = async () => {
+    if (!periodStart) {
+      const user = await User.findById(userId).select('totalXP');
+      return user ? user.totalXP : 0;
+    }
+    
+    const [result] = await XPLedger.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          createdAt: window
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$deltaXP' } } }
+    ]);
+    
+    return result ? Math.max(result.total, 0) : 0;
+  };
+  
+  const checkProfile = async (field) => {
+    const Waitlist = mongoose.model('Waitlist');
+    const user = await User.findById(userId).select('email walletAddress');
+    
+    if (!user) {
+      return false;
+    }
+    
+    if (field === 'email' && user.email) {
+      return true;
+    }
+    
+    // Joining the waitlist links an email to the wallet even if the account has none
+    return Boolean(await Waitlist.exists({ walletAddress: user.walletAddress }));
+  };
+  
+  const checkCondition = async (condition) => {
+    if (condition.op) {
+      for (const child of condition.conditions) {
+        const satisfied = await checkCondition(child);
+        
+        // Short-circuit like the boolean operators
+        if (condition.op === 'or' && satisfied) return true;
+        if (condition.op === 'and' && !satisfied) return false;
+      }
+      
+      return condition.op === 'and';
+    }
+    
+    if (condition.minXP !== undefined) {
+      return (await getXP()) >= Number(condition.minXP);
+    }
+    
+    if (condition.profile !== undefined) {
+      return checkProfile(condition.profile);
+    }
+    
+    const events = await findEvents(condition);
+    const minCount = condition.minCount !== undefined
+      ? Number(condition.minCount)
+      : (condition.minAmount !== undefined ? 0 : 1);
+    
+    if (events.length < minCount) {
+      return false;
+    }
+    
+    if (condition.minAmount !== undefined) {
+      const basis = condition.amountBasis || 'usd';
+      const total = events.reduce((sum, event) => sum + getEventAmount(event, basis), 0);
+      return total >= Number(condition.minAmount);
+    }
+    
+    return true;
+  };
+  
+  switch (rules.type) {
+    case 'event_count': {
+      const events = await findEvents({ eventType: rules.eventType });
+      return { progressValue: events.length, targetValue: rules.targetCount || 1 };
+    }
+    
+    case 'action_once': {
+      const events = await findEvents({ eventType: rules.eventType });
+      return { progressValue: Math.min(events.length, 1), targetValue: 1 };
+    }
+    
+    case 'deposit_amount': {
+      const basis = rules.amountBasis || (rules.tokenSymbol ? 'token' : 'usd');
+      const events = await findEvents({
+        eventType: rules.eventType || 'deposit',
+        chainIds: rules.chainId ? [rules.chainId] : [],
+        tokenSymbols: rules.tokenSymbol ? [rules.tokenSymbol] : []
+      });
+      
+      const total = events.reduce((sum, event) => sum + getEventAmount(event, basis), 0);
+      return { progressValue: total, targetValue: Number(rules.targetAmount) };
+    }
+    
+    case 'xp_threshold':
+      return { progressValue: await getXP(), targetValue: rules.targetXP };
+    
+    case 'custom': {
+      // Progress counts the satisfied top-level conditions; 'or' needs just one
+      const logic = rules.customLogic;
+      let satisfied = 0;
+      
+      for (const condition of logic.conditions) {
+        if (await checkCondition(condition)) {
+          satisfied++;
+        }
+      }
+      
+      return {
+        progressValue: logic.op === 'or' ? Math.min(satisfied, 1) : satisfied,
+        targetValue: logic.op === 'or' ? 1 : logic.conditions.length
+      };
+    }
+    
+    default:
+      return { progressValue: 0, targetValue: 1 };
+  }
+};
+
 // Instance method to check if quest is currently active
 questSchema.methods.isCurrentlyActive = function() {
   const now = new Date();
@@ -110,6 +791,8 @@ questSchema.methods.isCurrentlyActive = function() {
   return true;
 };
 
+questSchema.statics.validateCustomLogic = validateCustomLogic;
+
 const Quest = mongoose.model('Quest', questSchema);
 
 module.exports = Quest;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// A journey of quests (linked through Quest.questChainId) that pays a bonus once every quest is claimed
+const questChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  bonusXP: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  metadata: {
+    icon: String,
+    displayOrder: {
+      type: Number,
+      default: 0
+    },
+    extra: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get a user's progress through a chain
+// Returns { chain, quests, claimedCount, totalCount, isComplete }
+questChainSchema.statics.getUserChainStatus = async function(chain, userId) {
+  const Quest = mongoose.model('Quest');
+  const QuestProgress = mongoose.model('QuestProgress');
+  
+  const quests = await Quest.find({ questChainId: chain._id, isActive: true })
+    .sort({ chainOrder: 1, createdAt: 1 })
+    .select('name chainOrder');
+  
+  const claimedIds = await QuestProgress.distinct('questId', {
+    userId,
+    questId: { $in: quests.map(quest => quest._id) },
+    isClaimed: true,
+    revokedAt: null
+  });
+  
+  const claimed = new Set(claimedIds.map(id => id.toString()));
+  
+  return {
+    chain,
+    quests: quests.map(quest => ({
+      questId: quest._id,
+      name: quest.name,
+      chainOrder: quest.chainOrder,
+      isClaimed: claimed.has(quest._id.toString())
+    })),
+    claimedCount: claimed.size,
+    totalCount: quests.length,
+    isComplete: quests.length > 0 && claimed.size === quests.length
+  };
+};
+
+// Static method to pay the chain bonus once the user has claimed every quest in it.
+// Returns the XP awarded (0 if incomplete, no bonus or already paid)
+questChainSchema.statics.awardBonusIfComplete = async function(questChainId, userId) {
+  const XPLedger = mongoose.model('XPLedger');
+  const chain = await this.findById(questChainId);
+  
+  if (!chain || !chain.isActive || chain.bonusXP <= 0) {
+    return 0;
+  }
+  
+  const status = await this.getUserChainStatus(chain, userId);
+  
+  if (!status.isComplete) {
+    return 0;
+  }
+  
+  try {
+    await XPLedger.addXP(
+      userId,
+      chain.bonusXP,
+      'quest_chain_bonus',
+      `Completed quest chain: ${chain.name}`,
+      { extra: { questChainId: chain._id } },
+      null,
+      { idempotencyKey: `quest-chain:${chain._id}:${userId}` }
+    );
+  } catch (error) {
+    // Bonus is paid once per user and chain
+    if (error.code === 'DUPLICATE_LEDGER_ENTRY') {
+      return 0;
+    }
+    throw error;
+  }
+  
+  return chain.bonusXP;
+};
+
+const QuestChain = mongoose.model('QuestChain', questChainSchema);
+
+module.exports = QuestChain;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const periodService = require('../utils/period');
+const logger = require('../utils/logger');
 
 const questProgressSchema = new mongoose.Schema({
   questId: {
@@ -18,6 +20,11 @@ const questProgressSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Target the progress was last evaluated against (count, amount or XP)
+  targetValue: {
+    type: Number,
+    default: null
+  },
   isCompleted: {
     type: Boolean,
     default: false,
@@ -36,12 +43,21 @@ const questProgressSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Set when an admin reverses the reward; the claim stays closed so it can't be paid again
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revocationReason: {
+    type: String,
+    default: null
+  },
   lastEventId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Event',
     default: null
   },
-  // For daily/weekly quests, track the period
+  // For daily/weekly quests, track the period (null for one-time quests: one record per user, ever)
   periodStart: {
     type: Date,
     default: null
@@ -62,69 +78,63 @@ const questProgressSchema = new mongoose.Schema({
 });
 
 // Compound indexes
-questProgressSchema.index({ userId: 1, questId: 1 });
+questProgressSchema.index({ userId: 1, questId: 1, periodStart: 1 }, { unique: true });
 questProgressSchema.index({ userId: 1, isCompleted: 1 });
 questProgressSchema.index({ userId: 1, isClaimed: 1 });
 questProgressSchema.index({ questId: 1, isCompleted: 1 });
 
-// Static method to get or create progress
+// Static method to get or create progress for the current period (the single record for one-time quests)
 questProgressSchema.statics.getOrCreate = async function(userId, questId, periodStart = null, periodEnd = null) {
   const Quest = mongoose.model('Quest');
-  const quest = await Quest.findById(questId);
+  const quest = await Quest.findById(questId).select('cadence');
   
   if (!quest) {
     throw new Error('Quest not found');
   }
   
-  // For daily/weekly quests, find progress for current period
-  let query = { userId, questId };
-  
-  if (quest.cadence !== 'one-time' && periodStart && periodEnd) {
-    query.periodStart = periodStart;
-    query.periodEnd = periodEnd;
-  }
-  
-  let progress = await this.findOne(query);
+  const isOneTime = quest.cadence === 'one-time';
+  const query = {
+    userId,
+    questId,
+    periodStart: isOneTime ? null : periodStart
+  };
   
-  if (!progress) {
-    progress = await this.create({
-      userId,
-      questId,
-      periodStart: quest.cadence !== 'one-time' ? periodStart : null,
-      periodEnd: quest.cadence !== 'one-time' ? periodEnd : null
-    });
+  // Upsert so concurrent events can't create two records for the same period
+  try {
+    return await this.findOneAndUpdate(
+      query,
+      { $setOnInsert: { periodEnd: isOneTime ? null : periodEnd } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Lost the insert race; the other request's record is there now
+    if (error.code === 11000) {
+      return this.findOne(query);
+    }
+    throw error;
   }
-  
-  return progress;
 };
 
-// Static method to get user's active quests with progress
+// Static method to get user's active quests with progress (pooled quests only if picked for them today)
 questProgressSchema.statics.getUserQuestsWithProgress = async function(userId, cadence = null) {
   const Quest = mongoose.model('Quest');
-  const activeQuests = await Quest.getActiveQuests(cadence);
-  
   const now = new Date();
-  let periodStart, periodEnd;
+  const activeQuests = await Quest.filterForUser(userId, await Quest.getActiveQuests(cadence), now);
   
-  if (cadence === 'daily') {
-    periodStart = new Date(now.setHours(0, 0, 0, 0));
-    periodEnd = new Date(now.setHours(23, 59, 59, 999));
-  } else if (cadence === 'weekly') {
-    const dayOfWeek = now.getDay();
-    periodStart = new Date(now.setDate(now.getDate() - dayOfWeek));
-    periodStart.setHours(0, 0, 0, 0);
-    periodEnd = new Date(periodStart);
-    periodEnd.setDate(periodEnd.getDate() + 6);
-    periodEnd.setHours(23, 59, 59, 999);
-  }
+  const unlockContext = await Quest.getUnlockContext(userId, activeQuests);
   
   const questsWithProgress = await Promise.all(
     activeQuests.map(async (quest) => {
+      // Each quest's own cadence decides its period (cadence filter may be null)
+      const { periodStart, periodEnd } = periodService.getPeriod(quest.cadence, now);
       const progress = await this.getOrCreate(userId, quest._id, periodStart, periodEnd);
+      const unlock = quest.getUnlockStatus(unlockContext);
       
       return {
         quest: quest.toObject(),
-        progress: progress.toObject()
+        progress: progress.toObject(),
+        isLocked: unlock.isLocked,
+        unlockRequirements: unlock.requirements
       };
     })
   );
@@ -132,44 +142,178 @@ questProgressSchema.statics.getUserQuestsWithProgress = async function(userId, c
   return questsWithProgress;
 };
 
-// Instance method to update progress
-questProgressSchema.methods.updateProgress = async function(incrementBy = 1, eventId = null) {
+// Instance method to store a fresh evaluation; completion is sticky once reached
+questProgressSchema.methods.applyEvaluation = async function({ progressValue, targetValue }, eventId = null) {
+  // Claimed progress is frozen
+  if (this.isClaimed) {
+    return this;
+  }
+  
+  const update = {
+    $set: {
+      progressValue: Math.max(progressValue, 0),
+      targetValue
+    }
+  };
+  
+  if (eventId) {
+    update.$set.lastEventId = eventId;
+  }
+  
+  if (progressValue >= targetValue && !this.isCompleted) {
+    update.$set.isCompleted = true;
+    update.$set.completedAt = new Date();
+  }
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isClaimed: false },
+    update,
+    { new: true }
+  );
+  
+  return updated || this;
+};
+
+// Static method to re-evaluate a user's active quests after an event, XP change or claim
+// change: see Quest.isAffectedBy; returns the updated progress records. Locked quests and pooled
+// quests not picked for the user today are skipped
+questProgressSchema.statics.evaluateQuests = async function(userId, change = {}, eventId = null) {
   const Quest = mongoose.model('Quest');
-  const quest = await Quest.findById(this.questId);
+  const now = new Date();
+  const affected = await Quest.filterForUser(
+    userId,
+    (await Quest.getActiveQuests()).filter(quest => quest.isAffectedBy(change)),
+    now
+  );
+  const updated = [];
   
-  if (!quest) {
-    throw new Error('Quest not found');
+  if (affected.length === 0) {
+    return updated;
   }
   
-  // Don't update if already completed and claimed
-  if (this.isClaimed) {
-    return this;
+  const unlockContext = await Quest.getUnlockContext(userId, affected);
+  
+  for (const quest of affected) {
+    const result = await this.evaluateQuest(quest, userId, unlockContext, eventId, now);
+    
+    if (result) {
+      updated.push(result);
+    }
   }
   
-  this.progressValue += incrementBy;
-  if (eventId) {
-    this.lastEventId = eventId;
+  return updated;
+};
+
+// Static method to recompute one quest's progress for a user in the period containing `now`.
+// Returns the updated record, or null when the quest is locked or already claimed
+questProgressSchema.statics.evaluateQuest = async function(quest, userId, unlockContext, eventId = null, now = new Date()) {
+  if (quest.getUnlockStatus(unlockContext).isLocked) {
+    return null;
   }
   
-  // Check if quest is completed
-  let targetValue = 1; // Default for action_once
+  const { periodStart, periodEnd } = periodService.getPeriod(quest.cadence, now);
+  const progress = await this.getOrCreate(userId, quest._id, periodStart, periodEnd);
   
-  if (quest.rules.type === 'event_count') {
-    targetValue = quest.rules.targetCount || 1;
-  } else if (quest.rules.type === 'xp_threshold') {
-    const User = mongoose.model('User');
-    const user = await User.findById(this.userId);
-    targetValue = quest.rules.targetXP;
-    this.progressValue = user.totalXP; // Use actual XP as progress
+  if (progress.isClaimed) {
+    return null;
   }
   
-  if (this.progressValue >= targetValue && !this.isCompleted) {
-    this.isCompleted = true;
-    this.completedAt = new Date();
+  const evaluation = await quest.evaluateProgress(userId, periodStart, periodEnd);
+  const result = await progress.applyEvaluation(evaluation, eventId);
+  
+  if (result.isCompleted && !progress.isCompleted && quest.cadence !== 'one-time') {
+    try {
+      await result.recordStreak(quest.cadence);
+    } catch (error) {
+      // Progress is already saved; the streak just isn't extended for this period
+      logger.error('Failed to record quest streak', {
+        userId,
+        questId: quest._id,
+        error: error.message
+      });
+    }
   }
   
-  await this.save();
-  return this;
+  return result;
+};
+
+// Static method to recompute a quest's current-period progress from history for every user
+// who could have made progress (e.g. after the quest is created mid-period or its rules change).
+// Returns { questId, name, periodStart, checked, updated, completed, failed }
+questProgressSchema.statics.backfillQuest = async function(quest, now = new Date()) {
+  const Quest = mongoose.model('Quest');
+  const { periodStart, periodEnd } = periodService.getPeriod(quest.cadence, now);
+  
+  const report = {
+    questId: quest._id,
+    name: quest.name,
+    periodStart,
+    checked: 0,
+    updated: 0,
+    completed: 0,
+    failed: 0
+  };
+  
+  const [candidates, existing] = await Promise.all([
+    quest.findCandidateUserIds(periodStart, periodEnd),
+    this.distinct('userId', { questId: quest._id, periodStart })
+  ]);
+  
+  let userIds = [...new Set([...candidates, ...existing].map(id => id.toString()))];
+  
+  // A pooled quest only counts for users it was picked for today. Users who haven't loaded their
+  // quests yet are previewed rather than given a stored pick by an admin backfill
+  if (quest.pool?.enabled) {
+    const selections = await Quest.getPoolSelections(userIds, now);
+    
+    userIds = userIds.filter(userId => selections.get(userId).has(quest._id.toString()));
+  }
+  
+  for (const userId of userIds) {
+    report.checked++;
+    
+    try {
+      const unlockContext = await Quest.getUnlockContext(userId, [quest]);
+      const wasCompleted = await this.exists({ userId, questId: quest._id, periodStart, isCompleted: true });
+      const result = await this.evaluateQuest(quest, userId, unlockContext, null, now);
+      
+      if (!result) {
+        continue;
+      }
+      
+      report.updated++;
+      
+      if (result.isCompleted && !wasCompleted) {
+        report.completed++;
+      }
+    } catch (error) {
+      // One bad user shouldn't stop the rest of the backfill
+      report.failed++;
+      logger.error('Quest backfill error', {
+        error: error.message,
+        questId: quest._id,
+        userId
+      });
+    }
+  }
+  
+  return report;
+};
+
+// Instance method to extend the quest's streak for this (completed) period
+questProgressSchema.methods.recordStreak = async function(cadence) {
+  const Streak = mongoose.model('Streak');
+  
+  const { streak } = await Streak.recordPeriod(
+    this.userId,
+    { type: 'quest', questId: this.questId, cadence },
+    this.periodStart
+  );
+  
+  this.metadata.streak = streak.current;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { 'metadata.streak': streak.current } });
+  
+  return streak;
 };
 
 // Instance method to claim reward
@@ -190,18 +334,44 @@ questProgressSchema.methods.claimReward = async function() {
     throw new Error('Quest not found');
   }
   
-  // Add XP reward
-  await XPLedger.addXP(
-    this.userId,
-    quest.rewardXP,
-    'complete_quest',
-    `Completed quest: ${quest.name}`,
-    { questId: this.questId }
+  // Flip isClaimed atomically so concurrent claims can't both pay out
+  const claimedAt = new Date();
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isCompleted: true, isClaimed: false },
+    { $set: { isClaimed: true, claimedAt } },
+    { new: true }
   );
   
+  if (!claimed) {
+    throw new Error('Reward already claimed');
+  }
+  
+  // One payout per user, quest and period, enforced by the ledger's unique key
+  const period = this.periodStart ? this.periodStart.toISOString() : 'once';
+  
+  try {
+    await XPLedger.addXP(
+      this.userId,
+      quest.rewardXP,
+      'complete_quest',
+      `Completed quest: ${quest.name}`,
+      { questId: this.questId, progressId: this._id },
+      null,
+      { idempotencyKey: `quest:${this.questId}:${period}:${this.userId}` }
+    );
+  } catch (error) {
+    // Already paid for this period, keep the claim
+    if (error.code !== 'DUPLICATE_LEDGER_ENTRY') {
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { isClaimed: false, claimedAt: null } }
+      );
+      throw error;
+    }
+  }
+  
   this.isClaimed = true;
-  this.claimedAt = new Date();
-  await this.save();
+  this.claimedAt = claimedAt;
   
   return this;
 };
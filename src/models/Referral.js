@@ -223,31 +223,81 @@ referralSchema.methods.distributeRewards = async function(inviterXP = 500, invit
   
   const XPLedger = mongoose.model('XPLedger');
   
-  // Add XP to inviter
-  await XPLedger.addXP(
-    this.inviterUserId,
-    inviterXP,
-    'referral_reward_inviter',
-    `Referral reward for inviting user`,
-    { referralId: this._id }
+  // Move to rewarded atomically so concurrent verifications can't both pay out
+  const rewardedAt = new Date();
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'verified' },
+    {
+      $set: {
+        status: 'rewarded',
+        rewardedAt,
+        'rewardDistributed.inviterXP': inviterXP,
+        'rewardDistributed.inviteeXP': inviteeXP
+      }
+    },
+    { new: true }
   );
   
-  // Add XP to invitee
-  await XPLedger.addXP(
-    this.inviteeUserId,
-    inviteeXP,
-    'referral_reward_invitee',
-    `Referral reward for joining`,
-    { referralId: this._id }
-  );
+  if (!claimed) {
+    throw new Error('Referral rewards already distributed');
+  }
+  
+  const rewards = [
+    {
+      userId: this.inviterUserId,
+      amount: inviterXP,
+      reason: 'referral_reward_inviter',
+      description: 'Referral reward for inviting user',
+      side: 'inviter'
+    },
+    {
+      userId: this.inviteeUserId,
+      amount: inviteeXP,
+      reason: 'referral_reward_invitee',
+      description: 'Referral reward for joining',
+      side: 'invitee'
+    }
+  ];
+  
+  try {
+    for (const reward of rewards) {
+      try {
+        await XPLedger.addXP(
+          reward.userId,
+          reward.amount,
+          reward.reason,
+          reward.description,
+          { referralId: this._id },
+          null,
+          { idempotencyKey: `referral:${this._id}:${reward.side}` }
+        );
+      } catch (error) {
+        // This side was already paid, e.g. by an earlier attempt that failed halfway
+        if (error.code !== 'DUPLICATE_LEDGER_ENTRY') {
+          throw error;
+        }
+      }
+    }
+  } catch (error) {
+    // Put the referral back so the remaining reward can be retried
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $set: {
+          status: 'verified',
+          rewardedAt: null,
+          'rewardDistributed.inviterXP': 0,
+          'rewardDistributed.inviteeXP': 0
+        }
+      }
+    );
+    throw error;
+  }
   
-  // Update referral record
   this.rewardDistributed.inviterXP = inviterXP;
   this.rewardDistributed.inviteeXP = inviteeXP;
   this.status = 'rewarded';
-  this.rewardedAt = new Date();
-  
-  await this.save();
+  this.rewardedAt = rewardedAt;
   
   return this;
 };
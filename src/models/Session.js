@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated out, used to detect token reuse
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String,
+  userAgent: String,
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'refresh_token_reuse', 'admin_revoked', 'user_deactivated', null],
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Refresh tokens kept for reuse detection per session
+const MAX_PREVIOUS_TOKENS = 20;
+
+// Static method to generate a random refresh token
+sessionSchema.statics.generateRefreshToken = function() {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+// Static method to hash a refresh token for storage/lookup
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to start a new session and return its refresh token
+sessionSchema.statics.createSession = async function(userId, ttlMs, metadata = {}) {
+  const refreshToken = this.generateRefreshToken();
+  
+  const session = await this.create({
+    userId,
+    refreshTokenHash: this.hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + ttlMs),
+    ipAddress: metadata.ipAddress,
+    userAgent: metadata.userAgent
+  });
+  
+  return { session, refreshToken };
+};
+
+// Static method to atomically swap a refresh token for a new one
+sessionSchema.statics.rotateRefreshToken = async function(refreshToken, metadata = {}) {
+  const tokenHash = this.hashToken(refreshToken);
+  const nextToken = this.generateRefreshToken();
+  
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: this.hashToken(nextToken),
+        lastUsedAt: new Date(),
+        ipAddress: metadata.ipAddress,
+        userAgent: metadata.userAgent
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+  
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+  
+  // A rotated-out token being presented again means it leaked; kill the whole session
+  const reused = await this.findOne({ previousTokenHashes: tokenHash });
+  
+  if (reused && !reused.revokedAt) {
+    await reused.revoke('refresh_token_reuse');
+  }
+  
+  return { session: null, reused: !!reused };
+};
+
+// Static method to get active sessions for a user
+sessionSchema.statics.getActiveSessions = async function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('-refreshTokenHash -previousTokenHashes')
+    .sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, revokedBy = null, exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  
+  const result = await this.updateMany(filter, {
+    $set: {
+      revokedAt: new Date(),
+      revokedReason: reason,
+      revokedBy
+    }
+  });
+  
+  return result.modifiedCount;
+};
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = async function(reason, revokedBy = null) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const periodService = require('../utils/period');
+const { getMilestones, getFreezeConfig } = require('../config/streaks');
+
+// A run of consecutive periods: the daily login streak or completions of one daily/weekly quest
+const streakSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // 'login' or 'quest:<questId>'
+  key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['login', 'quest'],
+    required: true
+  },
+  questId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quest',
+    default: null
+  },
+  cadence: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  current: {
+    type: Number,
+    default: 0
+  },
+  best: {
+    type: Number,
+    default: 0
+  },
+  // First period of the current run; milestone bonuses are paid once per run
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  lastPeriodStart: {
+    type: Date,
+    default: null
+  },
+  freezesUsed: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+streakSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Count the periods skipped between two period starts (0 when consecutive), up to limit + 1
+const countMissedPeriods = (cadence, lastPeriodStart, periodStart, limit) => {
+  let missed = 0;
+  let next = periodService.getNextReset(cadence, lastPeriodStart);
+  
+  while (next < periodStart && missed <= limit) {
+    missed++;
+    next = periodService.getNextReset(cadence, next);
+  }
+  
+  return missed;
+};
+
+// Static method to extend a streak for the period containing `at`. Missed days of a daily
+// streak are covered with the user's freezes when they have enough, otherwise it restarts.
+// Returns { streak, extended, freezesUsed, bonusXP, freezesEarned }
+streakSchema.statics.recordPeriod = async function(userId, { type, questId = null, cadence }, at = new Date()) {
+  const User = mongoose.model('User');
+  const key = type === 'quest' ? `quest:${questId}` : type;
+  const { periodStart } = periodService.getPeriod(cadence, at);
+  
+  const streak = await this.findOneAndUpdate(
+    { userId, key },
+    { $setOnInsert: { type, questId, cadence } },
+    { upsert: true, new: true }
+  );
+  
+  if (streak.lastPeriodStart && streak.lastPeriodStart >= periodStart) {
+    return { streak, extended: false, freezesUsed: 0, bonusXP: 0, freezesEarned: 0 };
+  }
+  
+  const { maxFreezes } = getFreezeConfig();
+  let continues = false;
+  let freezesUsed = 0;
+  
+  if (streak.lastPeriodStart && streak.current > 0) {
+    const missed = countMissedPeriods(cadence, streak.lastPeriodStart, periodStart, maxFreezes);
+    
+    if (missed === 0) {
+      continues = true;
+    } else if (cadence === 'daily' && missed <= maxFreezes) {
+      // All or nothing: a partly covered gap still breaks the streak
+      const paid = await User.updateOne(
+        { _id: userId, streakFreezes: { $gte: missed } },
+        { $inc: { streakFreezes: -missed } }
+      );
+      
+      if (paid.modifiedCount === 1) {
+        continues = true;
+        freezesUsed = missed;
+      }
+    }
+  }
+  
+  const current = continues ? streak.current + 1 : 1;
+  
+  // Only one request may record a given period
+  const updated = await this.findOneAndUpdate(
+    { _id: streak._id, lastPeriodStart: streak.lastPeriodStart },
+    {
+      $set: {
+        current,
+        best: Math.max(streak.best, current),
+        startedAt: continues ? streak.startedAt : periodStart,
+        lastPeriodStart: periodStart
+      },
+      $inc: { freezesUsed }
+    },
+    { new: true }
+  );
+  
+  if (!updated) {
+    if (freezesUsed > 0) {
+      await User.updateOne({ _id: userId }, { $inc: { streakFreezes: freezesUsed } });
+    }
+    
+    return { streak, extended: false, freezesUsed: 0, bonusXP: 0, freezesEarned: 0 };
+  }
+  
+  const bonusXP = await updated.awardMilestone();
+  const freezesEarned = await updated.awardEarnedFreeze();
+  
+  return { streak: updated, extended: true, freezesUsed, bonusXP, freezesEarned };
+};
+
+// Instance method to pay the milestone bonus for the current length, if there is one
+streakSchema.methods.awardMilestone = async function() {
+  const XPLedger = mongoose.model('XPLedger');
+  const milestone = getMilestones(this.type === 'login' ? 'login' : this.cadence)
+    .find(m => m.length === this.current);
+  
+  if (!milestone) {
+    return 0;
+  }
+  
+  const label = this.type === 'login' ? 'day login' : `${this.cadence === 'daily' ? 'day' : 'week'} quest`;
+  
+  try {
+    await XPLedger.addXP(
+      this.userId,
+      milestone.bonusXP,
+      'streak_bonus',
+      `${milestone.length}-${label} streak`,
+      {
+        questId: this.questId,
+        extra: { streakKey: this.key, streakLength: milestone.length, startedAt: this.startedAt }
+      },
+      null,
+      { idempotencyKey: `streak:${this.userId}:${this.key}:${this.startedAt.toISOString()}:${milestone.length}` }
+    );
+  } catch (error) {
+    // Already paid for this run
+    if (error.code === 'DUPLICATE_LEDGER_ENTRY') {
+      return 0;
+    }
+    throw error;
+  }
+  
+  return milestone.bonusXP;
+};
+
+// Instance method to grant a freeze every N consecutive login days (up to the cap)
+streakSchema.methods.awardEarnedFreeze = async function() {
+  const User = mongoose.model('User');
+  const { maxFreezes, earnEveryDays } = getFreezeConfig();
+  
+  if (this.type !== 'login' || !earnEveryDays || this.current % earnEveryDays !== 0) {
+    return 0;
+  }
+  
+  const result = await User.updateOne(
+    { _id: this.userId, streakFreezes: { $lt: maxFreezes } },
+    { $inc: { streakFreezes: 1 } }
+  );
+  
+  return result.modifiedCount;
+};
+
+// Instance method to get the streak as of now. A streak whose gap can no longer be covered
+// by the user's freezes reads as 0 even before the next period is recorded
+streakSchema.methods.getStatus = function(freezesAvailable = 0, at = new Date()) {
+  const { periodStart } = periodService.getPeriod(this.cadence, at);
+  const { maxFreezes } = getFreezeConfig();
+  let current = this.current;
+  
+  if (!this.lastPeriodStart) {
+    current = 0;
+  } else if (this.lastPeriodStart < periodStart) {
+    const missed = countMissedPeriods(this.cadence, this.lastPeriodStart, periodStart, maxFreezes);
+    const coverable = missed === 0 ||
+      (this.cadence === 'daily' && missed <= Math.min(freezesAvailable, maxFreezes));
+    
+    if (!coverable) {
+      current = 0;
+    }
+  }
+  
+  return {
+    current,
+    best: this.best,
+    lastPeriodStart: this.lastPeriodStart,
+    extendedThisPeriod: Boolean(this.lastPeriodStart && this.lastPeriodStart >= periodStart)
+  };
+};
+
+const Streak = mongoose.model('Streak', streakSchema);
+
+module.exports = Streak;
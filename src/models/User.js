@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { customAlphabet } = require('nanoid');
+const { ROLE_NAMES, getPermissionsForRoles } = require('../config/roles');
 
 // Generate custom referral code: NUV-XXXXXX format
 const generateReferralCode = () => {
@@ -42,6 +43,12 @@ const userSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Streak freezes (grace days) held, earned or bought with XP
+  streakFreezes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   nonce: {
     type: String,
     default: null
@@ -63,10 +70,23 @@ const userSchema = new mongoose.Schema({
     },
     suspiciousReasons: [String]
   },
+  // Legacy full-admin flag, kept in sync with the super-admin role
   isAdmin: {
     type: Boolean,
     default: false
   },
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLE_NAMES
+    }],
+    default: []
+  },
+  // When super-admin was granted from ADMIN_WALLETS; the wallet is only bootstrapped once
+  adminBootstrappedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -79,6 +99,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ totalXP: -1 }); // For leaderboard queries
 userSchema.index({ createdAt: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ roles: 1 });
 
 // Pre-save middleware to generate referral code
 userSchema.pre('save', async function(next) {
@@ -136,6 +157,72 @@ userSchema.methods.getStats = function() {
   };
 };
 
+// Instance method to get effective admin roles (legacy isAdmin counts as super-admin)
+userSchema.methods.getRoles = function() {
+  const roles = [...(this.roles || [])];
+  
+  if (this.isAdmin && !roles.includes('super-admin')) {
+    roles.push('super-admin');
+  }
+  
+  return roles;
+};
+
+// Instance method to get all permissions granted by the user's roles
+userSchema.methods.getPermissions = function() {
+  return getPermissionsForRoles(this.getRoles());
+};
+
+// Instance method to check a single permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Instance method to move the legacy isAdmin flag into roles before roles are edited,
+// so recomputing isAdmin from roles doesn't drop a legacy super-admin
+userSchema.methods.adoptLegacyAdmin = function() {
+  if (this.isAdmin && !this.roles.includes('super-admin')) {
+    this.roles.push('super-admin');
+  }
+};
+
+// Instance method to grant a role; returns false if already held
+userSchema.methods.grantRole = function(role) {
+  this.adoptLegacyAdmin();
+  
+  if (this.getRoles().includes(role)) {
+    return false;
+  }
+  
+  this.roles.push(role);
+  this.isAdmin = this.roles.includes('super-admin');
+  return true;
+};
+
+// Instance method to revoke a role; returns false if not held
+userSchema.methods.revokeRole = function(role) {
+  this.adoptLegacyAdmin();
+  
+  if (!this.getRoles().includes(role)) {
+    return false;
+  }
+  
+  this.roles = this.roles.filter(r => r !== role);
+  this.isAdmin = this.roles.includes('super-admin');
+  return true;
+};
+
+// Instance method to grant super-admin to an ADMIN_WALLETS wallet the first time it signs in.
+// Later sign-ins leave its roles alone so revoking super-admin sticks; returns true if granted
+userSchema.methods.bootstrapSuperAdmin = function() {
+  if (this.adminBootstrappedAt) {
+    return false;
+  }
+  
+  this.adminBootstrappedAt = new Date();
+  return this.grantRole('super-admin');
+};
+
 // Instance method to generate nonce for authentication
 userSchema.methods.generateNonce = function() {
   const nanoid = customAlphabet('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', 32);
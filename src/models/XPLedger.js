@@ -32,12 +32,19 @@ const xpLedgerSchema = new mongoose.Schema({
       'borrow',
       'swap',
       'claim_faucet',
+      'withdraw',
       'complete_quest',
+      'quest_chain_bonus',
+      'streak_bonus',
+      'streak_freeze',
       'referral_reward_inviter',
       'referral_reward_invitee',
       'select_strategy',
       'admin_adjustment',
       'penalty',
+      'chain_reorg',
+      'reversal',
+      'holding_reward',
       'other'
     ]
   },
@@ -45,56 +52,186 @@ const xpLedgerSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Compensating entry this one reverses, and the entry that reversed this one
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'XPLedger',
+    default: null,
+    index: true
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'XPLedger',
+    default: null
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  },
+  // Unique key for one-off payouts (quest claims, referral rewards); no key means no constraint
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
   metadata: {
     questId: mongoose.Schema.Types.ObjectId,
+    // Quest progress record (user + period) a complete_quest entry paid for
+    progressId: mongoose.Schema.Types.ObjectId,
     referralId: mongoose.Schema.Types.ObjectId,
     ruleId: mongoose.Schema.Types.ObjectId,
     adminWallet: String,
+    // USD value of the event the XP was awarded for
+    valueUsd: Number,
+    // Campaign boosts: rule base amount, combined multiplier/bonus and the campaigns applied
+    baseXP: Number,
+    multiplier: Number,
+    bonusXP: Number,
+    campaignIds: [mongoose.Schema.Types.ObjectId],
+    campaigns: [{
+      _id: false,
+      campaignId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      multiplier: Number,
+      bonusXP: Number
+    }],
     extra: mongoose.Schema.Types.Mixed
   }
 }, {
   timestamps: true
 });
 
+// Error thrown when a payout with the same idempotency key was already written
+const duplicateEntryError = (entry) => {
+  const error = new Error('Duplicate ledger entry');
+  error.code = 'DUPLICATE_LEDGER_ENTRY';
+  error.entry = entry;
+  return error;
+};
+
 // Compound indexes for common queries
 xpLedgerSchema.index({ userId: 1, createdAt: -1 });
 xpLedgerSchema.index({ reason: 1 });
+xpLedgerSchema.index({ 'metadata.campaignIds': 1 });
+xpLedgerSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 // eventId already indexed via "index: true" on field definition
 
-// Static method to add XP entry
-xpLedgerSchema.statics.addXP = async function(userId, deltaXP, reason, description = '', metadata = {}, eventId = null) {
+// Static method to add XP entry.
+// The conditional $inc (which can't overdraw) and the entry recording the balance it produced
+// are written in one transaction, so User.totalXP and the ledger can't drift apart
+xpLedgerSchema.statics.addXP = async function(userId, deltaXP, reason, description = '', metadata = {}, eventId = null, options = {}) {
   const User = mongoose.model('User');
   
-  // Get current user XP
-  const user = await User.findById(userId);
-  if (!user) {
-    throw new Error('User not found');
+  // Don't touch the balance at all when this payout already exists
+  if (options.idempotencyKey) {
+    const existing = await this.findOne({ idempotencyKey: options.idempotencyKey });
+    
+    if (existing) {
+      throw duplicateEntryError(existing);
+    }
   }
   
-  const balanceAfter = user.totalXP + deltaXP;
+  const filter = { _id: userId };
   
   // Ensure balance doesn't go negative
-  if (balanceAfter < 0) {
-    throw new Error('Insufficient XP balance');
+  if (deltaXP < 0) {
+    filter.totalXP = { $gte: -deltaXP };
   }
   
-  // Create ledger entry
-  const entry = await this.create({
-    userId,
-    eventId,
-    deltaXP,
-    balanceAfter,
-    reason,
-    description,
-    metadata
-  });
+  const session = await this.startSession();
+  let entry;
   
-  // Update user total XP
-  await User.findByIdAndUpdate(userId, { totalXP: balanceAfter });
+  try {
+    // Retried as a whole on transient errors such as a write conflict on the user
+    await session.withTransaction(async () => {
+      const user = await User.findOneAndUpdate(
+        filter,
+        { $inc: { totalXP: deltaXP } },
+        { new: true, projection: { totalXP: 1 }, session }
+      );
+      
+      if (!user) {
+        const exists = await User.exists({ _id: userId }).session(session);
+        throw new Error(exists ? 'Insufficient XP balance' : 'User not found');
+      }
+      
+      [entry] = await this.create([{
+        userId,
+        eventId,
+        deltaXP,
+        balanceAfter: user.totalXP,
+        reason,
+        description,
+        metadata,
+        ...options
+      }], { session });
+    });
+  } catch (error) {
+    // Lost a race with a concurrent write of the same payout
+    if (error.code === 11000 && options.idempotencyKey) {
+      throw duplicateEntryError(await this.findOne({ idempotencyKey: options.idempotencyKey }));
+    }
+    
+    throw error;
+  } finally {
+    await session.endSession();
+  }
   
   return entry;
 };
 
+// Static method to reverse an entry with a compensating entry (entries are never deleted)
+xpLedgerSchema.statics.reverseEntry = async function(entryId, description = '', metadata = {}) {
+  const entry = await this.findById(entryId);
+  
+  if (!entry) {
+    throw new Error('Ledger entry not found');
+  }
+  
+  if (entry.reversalOf) {
+    throw new Error('Cannot reverse a reversal entry');
+  }
+  
+  // Claim the entry first so concurrent requests can't reverse it twice
+  const claimed = await this.findOneAndUpdate(
+    { _id: entryId, reversedAt: null },
+    { $set: { reversedAt: new Date() } },
+    { new: true }
+  );
+  
+  if (!claimed) {
+    throw new Error('Ledger entry has already been reversed');
+  }
+  
+  try {
+    const reversal = await this.addXP(
+      entry.userId,
+      -entry.deltaXP,
+      'reversal',
+      description || `Reversal of ${entry.reason} entry`,
+      {
+        questId: entry.metadata?.questId,
+        referralId: entry.metadata?.referralId,
+        ruleId: entry.metadata?.ruleId,
+        ...metadata
+      },
+      entry.eventId,
+      { reversalOf: entry._id }
+    );
+    
+    // The payout's idempotency key stays reserved so a reversed reward can't be paid again
+    claimed.reversedBy = reversal._id;
+    await claimed.save();
+    
+    return { entry: claimed, reversal };
+  } catch (error) {
+    await this.updateOne({ _id: entryId }, { $set: { reversedAt: null } });
+    throw error;
+  }
+};
+
 // Static method to get user ledger
 xpLedgerSchema.statics.getUserLedger = async function(userId, options = {}) {
   const {
@@ -132,6 +269,16 @@ xpLedgerSchema.statics.calculateTotalXP = async function(userId) {
   return result.length > 0 ? result[0].total : 0;
 };
 
+// Static method to sum ledger XP per user for a batch of users
+xpLedgerSchema.statics.sumByUsers = async function(userIds) {
+  const result = await this.aggregate([
+    { $match: { userId: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: '$userId', total: { $sum: '$deltaXP' } } }
+  ]);
+  
+  return new Map(result.map(row => [row._id.toString(), row.total]));
+};
+
 // Static method to get XP summary by reason
 xpLedgerSchema.statics.getXPSummary = async function(userId) {
   return this.aggregate([
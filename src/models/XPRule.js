@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const periodService = require('../utils/period');
 
 const xpRuleSchema = new mongoose.Schema({
   actionType: {
@@ -36,6 +37,91 @@ const xpRuleSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Further count caps per calendar week/month (reset timezone) and per user lifetime; 0/null means no limit
+  weeklyLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  monthlyLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // e.g. 1 for "first deposit only"
+  lifetimeLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Count cap over a sliding window of rollingWindowHours (e.g. 3 per 24h)
+  rollingWindowHours: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  rollingLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Cap on XP (not count) earned from this action per calendar day; the last award is trimmed to fit
+  dailyXPLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Amount-scaled award evaluated against the verified amount; "flat" always awards xpAmount.
+  // An event that can't be valued (no amount or no token price) only earns minXP
+  formula: {
+    type: {
+      type: String,
+      enum: ['flat', 'per_unit', 'tiered', 'logarithmic'],
+      default: 'flat'
+    },
+    // What the formula is evaluated against: USD value or token units
+    basis: {
+      type: String,
+      enum: ['usd', 'token'],
+      default: 'usd'
+    },
+    // per_unit: XP per unitSize of value; logarithmic: XP per tenfold increase of value / unitSize
+    rate: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    unitSize: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    // tiered: the highest bracket whose minValue is reached sets the award
+    tiers: [{
+      _id: false,
+      minValue: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      xpAmount: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    // Caps applied to the computed award
+    minXP: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    maxXP: {
+      type: Number,
+      default: null,
+      min: 0
+    }
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -58,6 +144,33 @@ const xpRuleSchema = new mongoose.Schema({
 // Indexes
 xpRuleSchema.index({ actionType: 1, isActive: 1 });
 
+xpRuleSchema.pre('validate', function(next) {
+  const formula = this.formula || {};
+  
+  if (['per_unit', 'logarithmic'].includes(formula.type) && !(formula.rate > 0)) {
+    this.invalidate('formula.rate', `A positive rate is required for ${formula.type} formulas`);
+  }
+  
+  if (formula.type === 'tiered' && (!formula.tiers || formula.tiers.length === 0)) {
+    this.invalidate('formula.tiers', 'At least one tier is required for tiered formulas');
+  }
+  
+  if (!!this.rollingWindowHours !== !!this.rollingLimit) {
+    this.invalidate('rollingLimit', 'rollingWindowHours and rollingLimit must be set together');
+  }
+  
+  if (formula.unitSize !== undefined && formula.unitSize !== null && formula.unitSize <= 0) {
+    this.invalidate('formula.unitSize', 'unitSize must be greater than 0');
+  }
+  
+  if (formula.minXP !== null && formula.maxXP !== null &&
+    formula.minXP !== undefined && formula.maxXP !== undefined && formula.minXP > formula.maxXP) {
+    this.invalidate('formula.maxXP', 'maxXP must be greater than or equal to minXP');
+  }
+  
+  next();
+});
+
 // Static method to get active rules
 xpRuleSchema.statics.getActiveRules = async function() {
   return this.find({ isActive: true }).sort({ actionType: 1 });
@@ -104,7 +217,8 @@ xpRuleSchema.statics.validateEvent = async function(actionType, eventMetadata =
 };
 
 // Instance method to check if user can earn XP (cooldown check)
-xpRuleSchema.methods.canUserEarnXP = async function(userId) {
+// excludeEventId keeps the event being evaluated from counting against itself
+xpRuleSchema.methods.canUserEarnXP = async function(userId, excludeEventId = null) {
   if (this.cooldownMinutes === 0) {
     return { canEarn: true };
   }
@@ -113,12 +227,18 @@ xpRuleSchema.methods.canUserEarnXP = async function(userId) {
   const cooldownMs = this.cooldownMinutes * 60 * 1000;
   const cutoffTime = new Date(Date.now() - cooldownMs);
   
-  const recentEvent = await Event.findOne({
+  const query = {
     userId,
     type: this.actionType,
     status: { $in: ['verified', 'processed'] },
     occurredAt: { $gte: cutoffTime }
-  }).sort({ occurredAt: -1 });
+  };
+  
+  if (excludeEventId) {
+    query._id = { $ne: excludeEventId };
+  }
+  
+  const recentEvent = await Event.findOne(query).sort({ occurredAt: -1 });
   
   if (recentEvent) {
     const remainingMs = cooldownMs - (Date.now() - recentEvent.occurredAt.getTime());
@@ -134,35 +254,196 @@ xpRuleSchema.methods.canUserEarnXP = async function(userId) {
   return { canEarn: true };
 };
 
-// Instance method to check daily limit
-xpRuleSchema.methods.checkDailyLimit = async function(userId) {
-  if (!this.dailyLimit) {
-    return { withinLimit: true };
-  }
+// Count limits checked before awarding, in the order they're reported
+const COUNT_LIMITS = [
+  { key: 'daily', field: 'dailyLimit', period: 'daily', label: 'Daily' },
+  { key: 'weekly', field: 'weeklyLimit', period: 'weekly', label: 'Weekly' },
+  { key: 'monthly', field: 'monthlyLimit', period: 'monthly', label: 'Monthly' },
+  { key: 'lifetime', field: 'lifetimeLimit', period: 'lifetime', label: 'Lifetime' }
+];
+
+// Start and end (exclusive) of the period containing `now`, from the shared period service
+const getPeriodWindow = (period, now = new Date()) => {
+  const { periodStart } = periodService.getPeriod(period, now);
   
+  return { start: periodStart, end: periodService.getNextReset(period, now) };
+};
+
+// Instance method to compute usage against every configured limit
+// Returns [{ key, unit, limit, used, remaining, resetsAt }]
+xpRuleSchema.methods.getLimitUsage = async function(userId, excludeEventId = null, now = new Date()) {
   const Event = mongoose.model('Event');
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
+  const XPLedger = mongoose.model('XPLedger');
   
-  const todayCount = await Event.countDocuments({
-    userId,
-    type: this.actionType,
-    status: { $in: ['verified', 'processed'] },
-    occurredAt: { $gte: startOfDay }
-  });
+  // Only settled events count: others still verified are in flight like the one being checked,
+  // and counting them would let two concurrent events reject each other
+  const countEvents = async (since) => {
+    const query = {
+      userId,
+      type: this.actionType,
+      status: 'processed'
+    };
+    
+    if (since) {
+      query.occurredAt = { $gte: since };
+    }
+    
+    if (excludeEventId) {
+      query._id = { $ne: excludeEventId };
+    }
+    
+    return Event.countDocuments(query);
+  };
   
-  if (todayCount >= this.dailyLimit) {
+  const usage = [];
+  
+  for (const { key, field, period } of COUNT_LIMITS) {
+    if (!this[field]) continue;
+    
+    const { start, end } = getPeriodWindow(period, now);
+    const used = await countEvents(start);
+    
+    usage.push({
+      key,
+      unit: 'count',
+      limit: this[field],
+      used,
+      remaining: Math.max(this[field] - used, 0),
+      resetsAt: end
+    });
+  }
+  
+  if (this.rollingWindowHours && this.rollingLimit) {
+    const used = await countEvents(new Date(now.getTime() - this.rollingWindowHours * 60 * 60 * 1000));
+    
+    usage.push({
+      key: 'rolling',
+      unit: 'count',
+      windowHours: this.rollingWindowHours,
+      limit: this.rollingLimit,
+      used,
+      remaining: Math.max(this.rollingLimit - used, 0),
+      resetsAt: null
+    });
+  }
+  
+  if (this.dailyXPLimit) {
+    const { start, end } = getPeriodWindow('daily', now);
+    
+    // Reversed awards don't count towards the cap
+    const [result] = await XPLedger.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          reason: this.actionType,
+          reversedAt: null,
+          createdAt: { $gte: start }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$deltaXP' } } }
+    ]);
+    
+    const used = result ? result.total : 0;
+    
+    usage.push({
+      key: 'dailyXP',
+      unit: 'xp',
+      limit: this.dailyXPLimit,
+      used,
+      remaining: Math.max(this.dailyXPLimit - used, 0),
+      resetsAt: end
+    });
+  }
+  
+  return usage;
+};
+
+// Instance method to check count and XP limits before awarding
+// remainingXP is the most XP that may still be awarded (null when uncapped)
+xpRuleSchema.methods.checkLimits = async function(userId, excludeEventId = null, now = new Date()) {
+  const usage = await this.getLimitUsage(userId, excludeEventId, now);
+  
+  for (const entry of usage) {
+    if (entry.remaining > 0) continue;
+    
+    let reason;
+    if (entry.key === 'rolling') {
+      reason = `Limit of ${entry.limit} per ${entry.windowHours} hours reached`;
+    } else if (entry.key === 'dailyXP') {
+      reason = `Daily XP limit of ${entry.limit} reached`;
+    } else {
+      const { label } = COUNT_LIMITS.find(limit => limit.key === entry.key);
+      reason = `${label} limit of ${entry.limit} reached`;
+    }
+    
     return {
       withinLimit: false,
-      reason: `Daily limit of ${this.dailyLimit} reached`,
-      currentCount: todayCount
+      reason,
+      limit: entry.key,
+      resetsAt: entry.resetsAt,
+      usage
     };
   }
   
+  const xpCap = usage.find(entry => entry.key === 'dailyXP');
+  
   return {
     withinLimit: true,
-    currentCount: todayCount,
-    remaining: this.dailyLimit - todayCount
+    remainingXP: xpCap ? xpCap.remaining : null,
+    usage
+  };
+};
+
+// Instance method to compute the award for a valued event
+// valuation: { units, valueUsd } where units is the token amount in whole tokens
+xpRuleSchema.methods.calculateXP = function(valuation = {}) {
+  const formula = this.formula || {};
+  const type = formula.type || 'flat';
+  
+  if (type === 'flat') {
+    return { xpAmount: this.xpAmount, formula: type };
+  }
+  
+  const basis = formula.basis || 'usd';
+  const value = basis === 'usd' ? valuation.valueUsd : valuation.units;
+  
+  // Never fall back to the flat amount: an unpriced token would earn the fixed reward again
+  if (value === null || value === undefined || !Number.isFinite(value)) {
+    return {
+      xpAmount: Math.floor(formula.minXP || 0),
+      formula: type,
+      unvalued: true,
+      reason: basis === 'usd' ? 'Event could not be valued in USD' : 'Event has no amount'
+    };
+  }
+  
+  const unitSize = formula.unitSize || 1;
+  let xpAmount;
+  
+  if (type === 'per_unit') {
+    xpAmount = formula.rate * (value / unitSize);
+  } else if (type === 'logarithmic') {
+    xpAmount = formula.rate * Math.log10(1 + value / unitSize);
+  } else if (type === 'tiered') {
+    const tier = [...formula.tiers]
+      .sort((a, b) => b.minValue - a.minValue)
+      .find(t => value >= t.minValue);
+    xpAmount = tier ? tier.xpAmount : 0;
+  }
+  
+  if (formula.minXP !== null && formula.minXP !== undefined) {
+    xpAmount = Math.max(xpAmount, formula.minXP);
+  }
+  
+  if (formula.maxXP !== null && formula.maxXP !== undefined) {
+    xpAmount = Math.min(xpAmount, formula.maxXP);
+  }
+  
+  return {
+    xpAmount: Math.floor(xpAmount),
+    formula: type,
+    basis,
+    value
   };
 };
 
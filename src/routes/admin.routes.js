@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotency');
+const { PERMISSIONS } = require('../config/roles');
 
 /**
  * @swagger
@@ -16,7 +18,7 @@ const { protect, adminOnly } = require('../middlewares/authMiddleware');
  *       200:
  *         description: XP rules retrieved successfully
  */
-router.get('/xp-rules', protect, adminOnly, adminController.getAllXPRules);
+router.get('/xp-rules', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getAllXPRules);
 
 /**
  * @swagger
@@ -57,6 +59,26 @@ router.get('/xp-rules', protect, adminOnly, adminController.getAllXPRules);
  *                 type: number
  *                 example: 20
  *                 description: Maximum times per week (0 = unlimited)
+ *               monthlyLimit:
+ *                 type: number
+ *                 example: 60
+ *                 description: Maximum times per calendar month (0 = unlimited)
+ *               lifetimeLimit:
+ *                 type: number
+ *                 example: 1
+ *                 description: Maximum times per user ever, e.g. 1 for first deposit only (0 = unlimited)
+ *               rollingWindowHours:
+ *                 type: number
+ *                 example: 24
+ *                 description: Sliding window length for rollingLimit
+ *               rollingLimit:
+ *                 type: number
+ *                 example: 3
+ *                 description: Maximum times within the last rollingWindowHours
+ *               dailyXPLimit:
+ *                 type: number
+ *                 example: 1000
+ *                 description: Maximum XP per day from this action; the last award is trimmed to fit
  *               minAmount:
  *                 type: string
  *                 example: "10"
@@ -67,6 +89,8 @@ router.get('/xp-rules', protect, adminOnly, adminController.getAllXPRules);
  *                   type: number
  *                 example: [84532]
  *                 description: Valid chain IDs for blockchain actions
+ *               formula:
+ *                 $ref: '#/components/schemas/XPFormula'
  *               description:
  *                 type: string
  *                 example: "Complete a new action"
@@ -84,7 +108,7 @@ router.get('/xp-rules', protect, adminOnly, adminController.getAllXPRules);
  *       201:
  *         description: XP rule created successfully
  */
-router.post('/xp-rules', protect, adminOnly, adminController.createXPRule);
+router.post('/xp-rules', protect, requirePermission(PERMISSIONS.XP_RULES_WRITE), idempotent, adminController.createXPRule);
 
 /**
  * @swagger
@@ -129,7 +153,7 @@ router.post('/xp-rules', protect, adminOnly, adminController.createXPRule);
  *       200:
  *         description: XP rule updated successfully
  */
-router.put('/xp-rules/:id', protect, adminOnly, adminController.updateXPRule);
+router.put('/xp-rules/:id', protect, requirePermission(PERMISSIONS.XP_RULES_WRITE), idempotent, adminController.updateXPRule);
 
 /**
  * @swagger
@@ -150,7 +174,7 @@ router.put('/xp-rules/:id', protect, adminOnly, adminController.updateXPRule);
  *       200:
  *         description: XP rule deleted successfully
  */
-router.delete('/xp-rules/:id', protect, adminOnly, adminController.deleteXPRule);
+router.delete('/xp-rules/:id', protect, requirePermission(PERMISSIONS.XP_RULES_DELETE), idempotent, adminController.deleteXPRule);
 
 /**
  * @swagger
@@ -175,8 +199,10 @@ router.delete('/xp-rules/:id', protect, adminOnly, adminController.deleteXPRule)
  *     responses:
  *       200:
  *         description: Snapshot generated successfully
+ *       400:
+ *         description: Invalid period
  */
-router.post('/leaderboard/generate', protect, adminOnly, adminController.generateLeaderboard);
+router.post('/leaderboard/generate', protect, requirePermission(PERMISSIONS.LEADERBOARD_GENERATE), idempotent, adminController.generateLeaderboard);
 
 /**
  * @swagger
@@ -210,19 +236,39 @@ router.post('/leaderboard/generate', protect, adminOnly, adminController.generat
  *                 type: string
  *                 enum: [daily, weekly, one-time]
  *               rules:
- *                 type: object
- *                 description: Quest completion rules
+ *                 $ref: '#/components/schemas/QuestRules'
  *               rewardXP:
  *                 type: number
  *                 example: 100
+ *               prerequisites:
+ *                 type: object
+ *                 description: Quest stays locked until these quests are claimed and the user has minXP
+ *                 properties:
+ *                   questIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   minXP:
+ *                     type: number
+ *                     example: 0
+ *               questChainId:
+ *                 type: string
+ *                 description: Quest chain this quest belongs to
+ *               chainOrder:
+ *                 type: number
+ *                 example: 1
+ *               pool:
+ *                 $ref: '#/components/schemas/QuestPool'
  *               isActive:
  *                 type: boolean
  *                 default: true
  *     responses:
  *       201:
  *         description: Quest created successfully
+ *       400:
+ *         description: Invalid quest rules
  */
-router.post('/quests', protect, adminOnly, adminController.createQuest);
+router.post('/quests', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, adminController.createQuest);
 
 /**
  * @swagger
@@ -255,11 +301,749 @@ router.post('/quests', protect, adminOnly, adminController.createQuest);
  *               isActive:
  *                 type: boolean
  *               rules:
- *                 type: object
+ *                 $ref: '#/components/schemas/QuestRules'
+ *               pool:
+ *                 $ref: '#/components/schemas/QuestPool'
  *     responses:
  *       200:
  *         description: Quest updated successfully
+ *       400:
+ *         description: Invalid quest rules
+ */
+router.put('/quests/:id', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, adminController.updateQuest);
+
+/**
+ * @swagger
+ * /api/admin/quests/pool:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get the daily quest pool (Admin only)
+ *     description: |
+ *       List pool templates (daily quests with pool.enabled) and the selection settings
+ *       (DAILY_QUEST_POOL_SIZE, DAILY_QUEST_POOL_BALANCED). Pass user to see the quests
+ *       picked for that user on a given day: the stored pick once the user has loaded their
+ *       quests that day, otherwise a preview from the current pool (not stored).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID, wallet address or email
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Day to preview (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Pool templates, settings and optional selection
+ *       404:
+ *         description: User not found
+ */
+router.get('/quests/pool', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getQuestPool);
+
+/**
+ * @swagger
+ * /api/admin/quests/backfill:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Backfill all quest progress (Admin only)
+ *     description: |
+ *       Recompute every active quest's progress for the current period (full history for one-time
+ *       quests) from processed events and the XP ledger. Completion is never revoked and claimed
+ *       progress is left alone.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Backfill report per quest
+ */
+router.post('/quests/backfill', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, adminController.backfillQuestProgress);
+
+/**
+ * @swagger
+ * /api/admin/quests/{id}/backfill:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Backfill one quest's progress (Admin only)
+ *     description: |
+ *       Recompute a quest's progress for the current period from historical events, e.g. after it
+ *       was created mid-week. Runs automatically on quest creation and rule changes unless
+ *       QUEST_AUTO_BACKFILL=false.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Backfill report
+ *       404:
+ *         description: Quest not found
+ */
+router.post('/quests/:id/backfill', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, adminController.backfillQuestProgress);
+
+/**
+ * @swagger
+ * /api/admin/quest-chains:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List quest chains (Admin only)
+ *     description: Get all quest chains with the quests linked to each (via quest.questChainId)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quest chains retrieved successfully
+ */
+router.get('/quest-chains', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getQuestChains);
+
+/**
+ * @swagger
+ * /api/admin/quest-chains:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create quest chain (Admin only)
+ *     description: |
+ *       Create an onboarding journey. Quests join it by setting questChainId (and chainOrder); bonusXP is
+ *       paid once per user after every active quest in the chain has been claimed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Getting Started"
+ *               description:
+ *                 type: string
+ *               bonusXP:
+ *                 type: number
+ *                 example: 250
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *               metadata:
+ *                 type: object
+ *                 properties:
+ *                   icon:
+ *                     type: string
+ *                   displayOrder:
+ *                     type: number
+ *     responses:
+ *       201:
+ *         description: Quest chain created successfully
+ *       400:
+ *         description: Invalid quest chain
+ */
+router.post('/quest-chains', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, adminController.createQuestChain);
+
+/**
+ * @swagger
+ * /api/admin/quest-chains/{id}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update quest chain (Admin only)
+ *     description: Update a quest chain's name, description, bonus or status
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               bonusXP:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Quest chain updated successfully
+ *       404:
+ *         description: Quest chain not found
+ */
+router.put('/quest-chains/:id', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, adminController.updateQuestChain);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sessions:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List user sessions (Admin only)
+ *     description: Get a user's active sessions by user ID, wallet address or email
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId/sessions', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getUserSessions);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sessions/revoke:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Revoke all user sessions (Admin only)
+ *     description: Sign a user out everywhere; their access tokens stop working immediately
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/sessions/revoke', protect, requirePermission(PERMISSIONS.SESSIONS_REVOKE), idempotent, adminController.revokeUserSessions);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/status:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Activate or deactivate user (Admin only)
+ *     description: Deactivated users cannot sign in, and all of their sessions are revoked
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User status updated successfully
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:userId/status', protect, requirePermission(PERMISSIONS.USERS_STATUS), idempotent, adminController.updateUserStatus);
+
+/**
+ * @swagger
+ * /api/admin/sessions/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Revoke session (Admin only)
+ *     description: Revoke a single session by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, requirePermission(PERMISSIONS.SESSIONS_REVOKE), idempotent, adminController.revokeSession);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/xp-ledger:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get user XP ledger (Admin only)
+ *     description: List a user's ledger entries, including reversal links, to pick entries to reverse
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Ledger retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId/xp-ledger', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getUserLedger);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/xp:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Grant or deduct XP (Admin only)
+ *     description: |
+ *       Add a ledger entry for a user. Positive amounts are recorded as admin_adjustment and
+ *       negative amounts as penalty unless `type` is given. A reason is mandatory.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deltaXP
+ *               - reason
+ *             properties:
+ *               deltaXP:
+ *                 type: integer
+ *                 example: -250
+ *               reason:
+ *                 type: string
+ *                 example: "Sybil farming on referral program"
+ *               type:
+ *                 type: string
+ *                 enum: [admin_adjustment, penalty]
+ *     responses:
+ *       201:
+ *         description: XP adjusted successfully
+ *       400:
+ *         description: Invalid amount, missing reason or insufficient XP balance
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/xp', protect, requirePermission(PERMISSIONS.XP_ADJUST), idempotent, adminController.adjustUserXP);
+
+/**
+ * @swagger
+ * /api/admin/xp-ledger/{id}/reverse:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reverse ledger entry (Admin only)
+ *     description: |
+ *       Create a compensating entry that cancels a ledger entry. Reversing a quest reward
+ *       revokes that period's claim (it cannot be claimed again); reversing a referral reward
+ *       clears it on the referral.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entry reversed successfully
+ *       400:
+ *         description: Entry already reversed, is itself a reversal, or balance is insufficient
+ *       404:
+ *         description: Ledger entry not found
+ */
+router.post('/xp-ledger/:id/reverse', protect, requirePermission(PERMISSIONS.XP_ADJUST), idempotent, adminController.reverseLedgerEntry);
+
+/**
+ * @swagger
+ * /api/admin/xp/reconcile:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reconcile XP balances (Admin only)
+ *     description: |
+ *       Compare every user's totalXP with their XP ledger sum and report mismatches.
+ *       With repair=true, drifted balances are reset to the ledger sum.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               repair:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ */
+router.post('/xp/reconcile', protect, requirePermission(PERMISSIONS.XP_ADJUST), idempotent, adminController.reconcileXP);
+
+/**
+ * @swagger
+ * /api/admin/campaigns:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List XP campaigns (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, scheduled, ended, inactive]
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ */
+router.get('/campaigns', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getCampaigns);
+
+/**
+ * @swagger
+ * /api/admin/campaigns:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create XP campaign (Admin only)
+ *     description: |
+ *       Time-boxed XP boost. The final award is floor(baseXP * multiplier + bonusXP); stackable
+ *       campaigns compound, a non-stackable campaign is only used when it beats the stacked total.
+ *       Empty filter lists match everything.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startsAt
+ *               - endsAt
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "2x XP on supply weekend"
+ *               description:
+ *                 type: string
+ *               multiplier:
+ *                 type: number
+ *                 example: 2
+ *               bonusXP:
+ *                 type: number
+ *                 example: 0
+ *               actionTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["supply"]
+ *               chainIds:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *               tokenSymbols:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["cbBTC"]
+ *               contractAddresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Vault / contract addresses the event must target
+ *               protocols:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               waitlistOnly:
+ *                 type: boolean
+ *                 description: Only users whose wallet joined the waitlist
+ *               walletAddresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               stackable:
+ *                 type: boolean
+ *                 default: true
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully
+ *       400:
+ *         description: Invalid campaign
+ */
+router.post('/campaigns', protect, requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), idempotent, adminController.createCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update XP campaign (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Campaign updated successfully
+ *       400:
+ *         description: Invalid campaign
+ *       404:
+ *         description: Campaign not found
+ */
+router.put('/campaigns/:id', protect, requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), idempotent, adminController.updateCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Deactivate XP campaign (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign deactivated successfully
+ *       404:
+ *         description: Campaign not found
+ */
+router.delete('/campaigns/:id', protect, requirePermission(PERMISSIONS.CAMPAIGNS_WRITE), idempotent, adminController.deleteCampaign);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List roles (Admin only)
+ *     description: Get available admin roles and the permissions each one grants
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ */
+router.get('/roles', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getRoles);
+
+/**
+ * @swagger
+ * /api/admin/admins:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List admins (Admin only)
+ *     description: Get all users holding at least one admin role
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Admins retrieved successfully
+ */
+router.get('/admins', protect, requirePermission(PERMISSIONS.ADMIN_READ), adminController.getAdmins);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/roles:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Grant role (Admin only)
+ *     description: Grant an admin role to a user by user ID, wallet address or email
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, quest-manager, fraud-reviewer, super-admin]
+ *     responses:
+ *       200:
+ *         description: Role granted successfully
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/roles', protect, requirePermission(PERMISSIONS.ROLES_MANAGE), idempotent, adminController.grantRole);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/roles/{role}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Revoke role (Admin only)
+ *     description: Revoke an admin role from a user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [viewer, quest-manager, fraud-reviewer, super-admin]
+ *     responses:
+ *       200:
+ *         description: Role revoked successfully
+ *       404:
+ *         description: User not found
+ */
+router.delete('/users/:userId/roles/:role', protect, requirePermission(PERMISSIONS.ROLES_MANAGE), idempotent, adminController.revokeRole);
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get audit log (Admin only)
+ *     description: Search the record of admin mutations, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: xp_rule.update
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [xp_rule, quest, referral, leaderboard, user, session, role, xp_ledger]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         description: Wallet address of the admin who made the change
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit log entries with before/after values and field-level changes
  */
-router.put('/quests/:id', protect, adminOnly, adminController.updateQuest);
+router.get('/audit-log', protect, requirePermission(PERMISSIONS.AUDIT_READ), adminController.getAuditLog);
 
 module.exports = router;
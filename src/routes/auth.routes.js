@@ -9,7 +9,10 @@ const { protect } = require('../middlewares/authMiddleware');
  *   post:
  *     tags: [Authentication]
  *     summary: Request nonce for wallet signature
- *     description: Get a nonce to sign with your wallet for authentication
+ *     description: |
+ *       Get a nonce and a Sign-In with Ethereum (EIP-4361) message to sign with your wallet.
+ *       While SIWE_LEGACY_SIGNIN is enabled, `message` holds the legacy free-form message
+ *       unless `format` is `siwe`; the SIWE message is always returned in `siwe.message`.
  *     requestBody:
  *       required: true
  *       content:
@@ -22,6 +25,13 @@ const { protect } = require('../middlewares/authMiddleware');
  *               walletAddress:
  *                 type: string
  *                 example: "0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb"
+ *               chainId:
+ *                 type: integer
+ *                 description: Chain the wallet is connected to (defaults to DEFAULT_CHAIN_ID)
+ *                 example: 84532
+ *               format:
+ *                 type: string
+ *                 enum: [siwe, legacy]
  *     responses:
  *       200:
  *         description: Nonce generated successfully
@@ -37,8 +47,32 @@ const { protect } = require('../middlewares/authMiddleware');
  *                   properties:
  *                     nonce:
  *                       type: string
+ *                     format:
+ *                       type: string
+ *                       enum: [siwe, legacy]
  *                     message:
  *                       type: string
+ *                     siwe:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                         domain:
+ *                           type: string
+ *                         uri:
+ *                           type: string
+ *                         chainId:
+ *                           type: integer
+ *                         issuedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         expirationTime:
+ *                           type: string
+ *                           format: date-time
+ *                         requestId:
+ *                           type: string
+ *       400:
+ *         description: Invalid wallet address, chain or message format
  */
 router.post('/nonce', authController.requestNonce);
 
@@ -48,7 +82,12 @@ router.post('/nonce', authController.requestNonce);
  *   post:
  *     tags: [Authentication]
  *     summary: Verify wallet signature and get JWT token
- *     description: Submit signed message to get JWT token for authentication
+ *     description: |
+ *       Submit the signed SIWE message to get a JWT token. The message's domain, URI, chain ID,
+ *       nonce, issued-at, expiration and not-before fields are validated before the signature.
+ *       Smart contract wallets are verified via EIP-1271, including EIP-6492 signatures from
+ *       wallets that are not deployed yet, on the chain ID in the message.
+ *       Legacy clients may send `nonce` instead of `message` while SIWE_LEGACY_SIGNIN is enabled.
  *     requestBody:
  *       required: true
  *       content:
@@ -58,7 +97,6 @@ router.post('/nonce', authController.requestNonce);
  *             required:
  *               - walletAddress
  *               - signature
- *               - nonce
  *             properties:
  *               walletAddress:
  *                 type: string
@@ -66,8 +104,12 @@ router.post('/nonce', authController.requestNonce);
  *               signature:
  *                 type: string
  *                 example: "0x..."
+ *               message:
+ *                 type: string
+ *                 description: The exact SIWE message that was signed
  *               nonce:
  *                 type: string
+ *                 description: Legacy flow only
  *                 example: "abc123..."
  *     responses:
  *       200:
@@ -84,8 +126,23 @@ router.post('/nonce', authController.requestNonce);
  *                   properties:
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token (JWT_EXPIRY)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for POST /api/auth/refresh
+ *                     expiresIn:
+ *                       type: string
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     sessionId:
+ *                       type: string
  *                     user:
  *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Invalid signature, nonce or SIWE message fields
+ *       403:
+ *         description: Account is deactivated
  */
 router.post('/verify', authController.verifySignature);
 
@@ -95,7 +152,7 @@ router.post('/verify', authController.verifySignature);
  *   get:
  *     tags: [Authentication]
  *     summary: Get current user profile
- *     description: Get authenticated user's profile information
+ *     description: Get authenticated user's profile information and streaks.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -109,8 +166,111 @@ router.post('/verify', authController.verifySignature);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/User'
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/User'
+ *                     - type: object
+ *                       properties:
+ *                         streaks:
+ *                           type: object
+ *                           properties:
+ *                             login:
+ *                               $ref: '#/components/schemas/Streak'
+ *                             bestQuestStreak:
+ *                               type: number
+ *                             freezes:
+ *                               $ref: '#/components/schemas/StreakFreezes'
  */
 router.get('/me', protect, authController.getMe);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Refresh access token
+ *     description: |
+ *       Exchange a refresh token for a new access token and refresh token. Each refresh token
+ *       can be used once; presenting an already-used token revokes the whole session. A refresh
+ *       counts as the day's login for the login streak, like signing in.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Log out
+ *     description: Revoke the current session, or every session when allSessions is true
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allSessions:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', protect, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List active sessions
+ *     description: Get the current user's active sessions; the one used for this request is flagged as current
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ */
+router.get('/sessions', protect, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Revoke a session
+ *     description: Sign out one of the current user's sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, authController.revokeSession);
+
 module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const leaderboardController = require('../controllers/leaderboard.controller');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
+const adminController = require('../controllers/admin.controller');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotency');
+const { PERMISSIONS } = require('../config/roles');
 
 /**
  * @swagger
@@ -125,7 +128,7 @@ router.get('/snapshot/latest', leaderboardController.getLatestSnapshot);
  *   post:
  *     tags: [Admin]
  *     summary: Generate leaderboard snapshot (Admin only)
- *     description: Manually trigger leaderboard snapshot generation
+ *     description: Manually trigger leaderboard snapshot generation (same as POST /api/admin/leaderboard/generate, audited as leaderboard.generate)
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -142,7 +145,9 @@ router.get('/snapshot/latest', leaderboardController.getLatestSnapshot);
  *     responses:
  *       200:
  *         description: Snapshot generated successfully
+ *       400:
+ *         description: Invalid period
  */
-router.post('/admin/generate', protect, adminOnly, leaderboardController.generateSnapshot);
+router.post('/admin/generate', protect, requirePermission(PERMISSIONS.LEADERBOARD_GENERATE), idempotent, adminController.generateLeaderboard);
 
 module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const questController = require('../controllers/quest.controller');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotency');
+const { PERMISSIONS } = require('../config/roles');
 
 /**
  * @swagger
@@ -9,7 +11,10 @@ const { protect, adminOnly } = require('../middlewares/authMiddleware');
  *   get:
  *     tags: [Quests]
  *     summary: Get today's quests
- *     description: Get today's daily quests with progress
+ *     description: |
+ *       Get today's daily quests with progress: the fixed daily quests plus the user's own pick
+ *       from the daily quest pool, made on their first request of the day and kept until the
+ *       daily reset.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -47,24 +52,245 @@ const { protect, adminOnly } = require('../middlewares/authMiddleware');
  *                             type: boolean
  *                           isClaimed:
  *                             type: boolean
+ *                       streak:
+ *                         type: object
+ *                         description: Consecutive periods this quest was completed
+ *                         properties:
+ *                           current:
+ *                             type: number
+ *                           best:
+ *                             type: number
+ *                 streaks:
+ *                   type: object
+ *                   properties:
+ *                     login:
+ *                       $ref: '#/components/schemas/Streak'
+ *                     freezes:
+ *                       $ref: '#/components/schemas/StreakFreezes'
  */
 router.get('/today', protect, questController.getTodayQuests);
 
+/**
+ * @swagger
+ * /api/quests/streaks:
+ *   get:
+ *     tags: [Quests]
+ *     summary: Get streaks
+ *     description: Get the daily login streak, per-quest streaks and the streak freeze balance
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Streaks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     login:
+ *                       $ref: '#/components/schemas/Streak'
+ *                     quests:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Streak'
+ *                           - type: object
+ *                             properties:
+ *                               questId:
+ *                                 type: string
+ *                               cadence:
+ *                                 type: string
+ *                                 enum: [daily, weekly]
+ *                     freezes:
+ *                       $ref: '#/components/schemas/StreakFreezes'
+ */
+router.get('/streaks', protect, questController.getStreaks);
+
+/**
+ * @swagger
+ * /api/quests/streaks/freeze:
+ *   post:
+ *     tags: [Quests]
+ *     summary: Buy a streak freeze
+ *     description: Spend XP on a freeze that covers one missed day of a daily streak
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Streak freeze purchased
+ *       400:
+ *         description: Not enough XP, freeze cap reached or purchases disabled
+ *       409:
+ *         description: Idempotency-Key reused with a different payload or still in progress
+ */
+router.post('/streaks/freeze', protect, idempotent, questController.purchaseStreakFreeze);
+
 /**
  * @swagger
  * /api/quests:
  *   get:
  *     tags: [Quests]
  *     summary: Get all active quests
- *     description: Get all active quests with user progress
+ *     description: |
+ *       Get all active daily and weekly quests with user progress (one-time quests are listed at
+ *       /api/quests/one-time). Quests with prerequisites stay locked until every
+ *       prerequisite quest has been claimed and the user has the minimum XP; quest.questChainId and
+ *       quest.prerequisites.questIds describe the quest tree.
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Active quests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       quest:
+ *                         type: object
+ *                       progress:
+ *                         type: object
+ *                       isLocked:
+ *                         type: boolean
+ *                       unlockRequirements:
+ *                         type: object
+ *                         properties:
+ *                           quests:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 questId:
+ *                                   type: string
+ *                                 name:
+ *                                   type: string
+ *                                 isClaimed:
+ *                                   type: boolean
+ *                           minXP:
+ *                             type: number
+ *                             example: 500
+ *                           currentXP:
+ *                             type: number
+ *                             example: 320
  */
 router.get('/', protect, questController.getAllQuests);
 
+/**
+ * @swagger
+ * /api/quests/one-time:
+ *   get:
+ *     tags: [Quests]
+ *     summary: Get one-time quests
+ *     description: |
+ *       Get one-time quests (e.g. first supply, link email) with user progress. They are evaluated
+ *       against the user's full history, so activity from before the quest was created counts, and
+ *       each can be claimed once ever.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One-time quests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       quest:
+ *                         type: object
+ *                       progress:
+ *                         type: object
+ *                         properties:
+ *                           progressValue:
+ *                             type: number
+ *                           targetValue:
+ *                             type: number
+ *                           isCompleted:
+ *                             type: boolean
+ *                           isClaimed:
+ *                             type: boolean
+ *                       isLocked:
+ *                         type: boolean
+ *                       unlockRequirements:
+ *                         type: object
+ */
+router.get('/one-time', protect, questController.getOneTimeQuests);
+
+/**
+ * @swagger
+ * /api/quests/chains:
+ *   get:
+ *     tags: [Quests]
+ *     summary: Get quest chains
+ *     description: Get active quest chains (onboarding journeys) with the user's claimed quests and completion bonus
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quest chains retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       chain:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: "Getting Started"
+ *                           bonusXP:
+ *                             type: number
+ *                             example: 250
+ *                       quests:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             questId:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             chainOrder:
+ *                               type: number
+ *                             isClaimed:
+ *                               type: boolean
+ *                       claimedCount:
+ *                         type: number
+ *                       totalCount:
+ *                         type: number
+ *                       isComplete:
+ *                         type: boolean
+ */
+router.get('/chains', protect, questController.getQuestChains);
+
 /**
  * @swagger
  * /api/quests/claim:
@@ -74,6 +300,8 @@ router.get('/', protect, questController.getAllQuests);
  *     description: Claim XP reward for completed quest
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -105,8 +333,14 @@ router.get('/', protect, questController.getAllQuests);
  *                     xpAwarded:
  *                       type: number
  *                       example: 25
+ *                     chainBonusXP:
+ *                       type: number
+ *                       description: Bonus paid when this claim completes the quest's chain
+ *                       example: 0
+ *       409:
+ *         description: Idempotency-Key reused with a different payload or still in progress
  */
-router.post('/claim', protect, questController.claimQuestReward);
+router.post('/claim', protect, idempotent, questController.claimQuestReward);
 
 /**
  * @swagger
@@ -168,7 +402,7 @@ router.get('/history', protect, questController.getQuestHistory);
  *       201:
  *         description: Quest created successfully
  */
-router.post('/admin', protect, adminOnly, questController.createQuest);
+router.post('/admin', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, questController.createQuest);
 
 /**
  * @swagger
@@ -200,6 +434,6 @@ router.post('/admin', protect, adminOnly, questController.createQuest);
  *       200:
  *         description: Quest updated successfully
  */
-router.put('/admin/:id', protect, adminOnly, questController.updateQuest);
+router.put('/admin/:id', protect, requirePermission(PERMISSIONS.QUESTS_WRITE), idempotent, questController.updateQuest);
 
 module.exports = router;
@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const referralController = require('../controllers/referral.controller');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotency');
+const { PERMISSIONS } = require('../config/roles');
 
 // Public routes
 router.get('/verify/:code', referralController.verifyReferralCode);
 
 // Protected routes
 router.get('/me', protect, referralController.getMyReferral);
-router.post('/track', protect, referralController.trackReferral);
+router.post('/track', protect, idempotent, referralController.trackReferral);
 router.get('/history', protect, referralController.getMyReferralHistory);
 
 // Admin routes
-router.post('/admin/override', protect, adminOnly, referralController.adminOverrideReferral);
+router.post('/admin/override', protect, requirePermission(PERMISSIONS.REFERRALS_OVERRIDE), idempotent, referralController.adminOverrideReferral);
 
 module.exports = router;
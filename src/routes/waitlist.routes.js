@@ -7,6 +7,7 @@ const {
   verifyReferralValidation,
   handleValidationErrors
 } = require('../middlewares/validation');
+const { idempotent } = require('../middlewares/idempotency');
 
 /**
  * @swagger
@@ -15,6 +16,8 @@ const {
  *     tags: [Waitlist]
  *     summary: Join the waitlist
  *     description: Register for the waitlist with email and/or wallet address
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -57,11 +60,14 @@ const {
  *                       example: "https://nuviafinance.com/waitlist?ref=NUVIA-ABC123"
  *       400:
  *         description: Already registered or invalid data
+ *       409:
+ *         description: Idempotency-Key reused with a different payload or still in progress
  */
 router.post(
   '/join',
   joinWaitlistValidation,
   handleValidationErrors,
+  idempotent,
   waitlistController.joinWaitlist
 );
 
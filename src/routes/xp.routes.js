@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const xpController = require('../controllers/xp.controller');
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, optionalAuth } = require('../middlewares/authMiddleware');
+const { idempotent } = require('../middlewares/idempotency');
 
 /**
  * @swagger
@@ -9,7 +10,12 @@ const { protect } = require('../middlewares/authMiddleware');
  *   get:
  *     tags: [XP System]
  *     summary: Get all active XP rules
- *     description: Retrieve list of all active XP earning rules
+ *     description: |
+ *       Retrieve list of all active XP earning rules. When called with a bearer token, each rule
+ *       includes an `allowance` object with the user's remaining count/XP per limit window.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: XP rules retrieved successfully
@@ -25,7 +31,20 @@ const { protect } = require('../middlewares/authMiddleware');
  *                   items:
  *                     $ref: '#/components/schemas/XPRule'
  */
-router.get('/rules', xpController.getRules);
+router.get('/rules', optionalAuth, xpController.getRules);
+
+/**
+ * @swagger
+ * /api/xp/campaigns:
+ *   get:
+ *     tags: [XP System]
+ *     summary: Get running XP campaigns
+ *     description: Campaigns currently boosting XP (multipliers and flat bonuses) and the events they apply to
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ */
+router.get('/campaigns', xpController.getCampaigns);
 
 /**
  * @swagger
@@ -87,15 +106,37 @@ router.get('/me', protect, xpController.getMyXP);
  */
 router.get('/ledger', protect, xpController.getMyLedger);
 
+/**
+ * @swagger
+ * /api/xp/holdings:
+ *   get:
+ *     tags: [XP System]
+ *     summary: Get vault holdings and pending holding XP
+ *     description: |
+ *       Vault balances from the latest snapshot and holding XP accrued since the last daily payout.
+ *       Pending holding XP for a vault is forfeited when the user withdraws from it.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Holdings retrieved successfully
+ */
+router.get('/holdings', protect, xpController.getMyHoldings);
+
 /**
  * @swagger
  * /api/events:
  *   post:
  *     tags: [XP System]
  *     summary: Submit event to earn XP
- *     description: Submit user action/event to earn XP points
+ *     description: |
+ *       Submit user action/event to earn XP points. Offchain events are processed immediately.
+ *       Onchain events (with txHash) are stored as pending and verified asynchronously once the
+ *       transaction has enough confirmations - poll GET /api/events/{id} for the outcome.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -115,7 +156,7 @@ router.get('/ledger', protect, xpController.getMyLedger);
  *                   txHash:
  *                     type: string
  *                     example: "0x..."
- *                     description: Required for onchain events (deposit, supply, claim_faucet)
+ *                     description: Required for onchain events (deposit, supply, claim_faucet); deposit and supply are rejected without it, and other event types are rejected with it
  *                   chainId:
  *                     type: number
  *                     example: 84532
@@ -127,11 +168,11 @@ router.get('/ledger', protect, xpController.getMyLedger);
  *                   amount:
  *                     type: string
  *                     example: "100"
- *                     description: Amount for deposit/supply events
+ *                     description: Informational only for onchain events - the amount is decoded from the transaction logs
  *               idempotencyKey:
  *                 type: string
  *                 example: "deposit-1234567890"
- *                 description: Optional key to prevent duplicate processing
+ *                 description: Optional key to prevent duplicate processing of offchain events. Onchain events are deduplicated globally by txHash and type, and the transaction must be sent by (or deposit to) the authenticated wallet
  *     responses:
  *       200:
  *         description: Event processed successfully
@@ -153,8 +194,14 @@ router.get('/ledger', protect, xpController.getMyLedger);
  *                     xpAwarded:
  *                       type: number
  *                       example: 50
+ *       202:
+ *         description: Onchain event queued for verification
+ *       400:
+ *         description: Unknown event type, missing or unexpected transaction, or the event was not awarded
+ *       409:
+ *         description: Idempotency-Key reused with a different payload or still in progress
  */
-router.post('/', protect, xpController.submitEvent);
+router.post('/', protect, idempotent, xpController.submitEvent);
 
 /**
  * @swagger
@@ -182,4 +229,52 @@ router.post('/', protect, xpController.submitEvent);
  */
 router.get('/me', protect, xpController.getMyEvents);
 
+/**
+ * @swagger
+ * /api/events/{id}:
+ *   get:
+ *     tags: [XP System]
+ *     summary: Get event status
+ *     description: Poll the verification status of a submitted event (pending, verified, processed, failed or rejected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID returned by POST /api/events
+ *     responses:
+ *       200:
+ *         description: Event status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eventId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, verified, processed, failed, rejected]
+ *                     attempts:
+ *                       type: number
+ *                     nextAttemptAt:
+ *                       type: string
+ *                       format: date-time
+ *                     errorMessage:
+ *                       type: string
+ *                     xpAwarded:
+ *                       type: number
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id', protect, xpController.getEventStatus);
+
 module.exports = router;
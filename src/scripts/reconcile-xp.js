@@ -0,0 +1,55 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const xpService = require('../services/xp.service');
+const logger = require('../utils/logger');
+
+/**
+ * XP Balance Reconciliation Script
+ *
+ * Compares every user's totalXP with the sum of their XP ledger entries.
+ * - Reports users whose balance has drifted from the ledger
+ * - With --repair, resets drifted balances to the ledger sum
+ *
+ * Usage: npm run reconcile-xp [-- --repair]
+ */
+
+async function reconcileXP() {
+  try {
+    const repair = process.argv.includes('--repair');
+
+    logger.info('Starting XP balance reconciliation...', { repair });
+
+    // Connect to database
+    await connectDB();
+
+    const report = await xpService.reconcileBalances({ repair, settleMs: 0 });
+
+    console.log('\n📊 Reconciliation Summary:');
+    console.log(`👥 Checked: ${report.checked}`);
+    console.log(`⚠️  Mismatches: ${report.mismatches.length}`);
+
+    report.mismatches.forEach(mismatch => {
+      console.log(`   - ${mismatch.walletAddress}: totalXP ${mismatch.totalXP}, ledger ${mismatch.ledgerXP} (diff ${mismatch.diff})${mismatch.repaired ? ' ✅ repaired' : ''}`);
+    });
+
+    if (repair) {
+      console.log(`🔧 Repaired: ${report.repaired}`);
+      console.log(`⏭️  Skipped: ${report.skipped}`);
+    } else if (report.mismatches.length > 0) {
+      console.log('\nℹ️  Run with --repair to reset these balances to the ledger sum');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('XP balance reconciliation failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    console.error('\n❌ Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run reconciliation
+reconcileXP();
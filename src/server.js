@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
+const periodService = require('./utils/period');
 const errorHandler = require('./middlewares/errorHandler');
 const { specs, swaggerUi } = require('./config/swagger');
 
@@ -19,6 +20,10 @@ const adminRoutes = require('./routes/admin.routes');
 
 // Import workers
 const leaderboardWorker = require('./workers/leaderboard.worker');
+const eventVerificationWorker = require('./workers/eventVerification.worker');
+const chainIndexerWorker = require('./workers/chainIndexer.worker');
+const xpReconciliationWorker = require('./workers/xpReconciliation.worker');
+const holdingWorker = require('./workers/holding.worker');
 
 const app = express();
 
@@ -62,7 +67,8 @@ app.use(helmet({
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 };
 app.use(cors(corsOptions));
@@ -128,12 +134,19 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, swaggerOptions));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  const workerStatus = leaderboardWorker.getStatus();
+  const workerStatus = {
+    leaderboard: leaderboardWorker.getStatus(),
+    eventVerification: eventVerificationWorker.getStatus(),
+    chainIndexer: chainIndexerWorker.getStatus(),
+    xpReconciliation: xpReconciliationWorker.getStatus(),
+    holding: holdingWorker.getStatus()
+  };
   
   res.status(200).json({
     success: true,
     message: 'Server is running',
     timestamp: new Date().toISOString(),
+    periods: periodService.getConfig(),
     workers: workerStatus
   });
 });
@@ -166,12 +179,27 @@ const server = app.listen(PORT, () => {
   
   // Start workers
   leaderboardWorker.start();
+  eventVerificationWorker.start();
+  xpReconciliationWorker.start();
+  
+  // The indexer can be turned off where another instance already follows the chain
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    chainIndexerWorker.start();
+  }
+  
+  if (process.env.HOLDING_XP_ENABLED !== 'false') {
+    holdingWorker.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   leaderboardWorker.stop();
+  eventVerificationWorker.stop();
+  chainIndexerWorker.stop();
+  xpReconciliationWorker.stop();
+  holdingWorker.stop();
   server.close(() => {
     logger.info('HTTP server closed');
   });
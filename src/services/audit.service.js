@@ -0,0 +1,54 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+class AuditService {
+  // Convert a mongoose document (or plain object) into a JSON-safe snapshot
+  snapshot(doc) {
+    if (!doc) return null;
+    
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(plain));
+  }
+  
+  // Record an admin mutation (reason defaults to req.body.reason); failures are logged but never break the request
+  async record(req, { action, targetType, targetId = null, before = null, after = null, reason = null, metadata = {} }) {
+    try {
+      const beforeSnapshot = this.snapshot(before);
+      const afterSnapshot = this.snapshot(after);
+      
+      return await AuditLog.create({
+        actorId: req.user?.userId || null,
+        actorWallet: req.user?.walletAddress || null,
+        actorRoles: req.user?.roles || [],
+        action,
+        targetType,
+        targetId: targetId ? targetId.toString() : null,
+        before: beforeSnapshot,
+        after: afterSnapshot,
+        changes: AuditLog.diff(beforeSnapshot, afterSnapshot),
+        reason: reason || req.body?.reason || null,
+        requestId: req.requestId,
+        ipAddress: req.ip,
+        userAgent: req.get ? req.get('user-agent') : undefined,
+        metadata
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log', {
+        error: error.message,
+        action,
+        targetType,
+        targetId,
+        actorWallet: req.user?.walletAddress,
+        requestId: req.requestId
+      });
+      return null;
+    }
+  }
+  
+  // Search audit log entries
+  async getAuditLog(options = {}) {
+    return AuditLog.getAuditLog(options);
+  }
+}
+
+module.exports = new AuditService();
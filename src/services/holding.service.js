@@ -0,0 +1,285 @@
+const { ethers } = require('ethers');
+const HoldingPosition = require('../models/HoldingPosition');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const XPLedger = require('../models/XPLedger');
+const web3Service = require('./web3.service');
+const questService = require('./quest.service');
+const contractRegistry = require('../utils/contractRegistry');
+const abiRegistry = require('../utils/abiRegistry');
+const periodService = require('../utils/period');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class HoldingService {
+  constructor() {
+    // XP earned per $1 held for a full day
+    this.xpPerUsdDay = parseFloat(process.env.HOLDING_XP_PER_USD_DAY) || 0.01;
+    // Positions worth less than this don't accrue
+    this.minValueUsd = parseFloat(process.env.HOLDING_MIN_VALUE_USD) || 1;
+    // Longest gap between snapshots that still accrues (e.g. after downtime)
+    this.maxAccrualMs = (parseFloat(process.env.HOLDING_MAX_ACCRUAL_HOURS) || 24) * HOUR_MS;
+  }
+  
+  // Get the registered vaults on a chain as [{ tokenSymbol, address }]
+  getVaults(chainId) {
+    return Object.entries(contractRegistry.getAllVaults(chainId))
+      .filter(([, address]) => address)
+      .map(([tokenSymbol, address]) => ({ tokenSymbol, address: address.toLowerCase() }));
+  }
+  
+  // Read a wallet's share balance and its underlying assets from a vault
+  async readVaultBalance(chainId, vaultAddress, walletAddress) {
+    const provider = web3Service.getProvider(chainId);
+    const vault = new ethers.Contract(vaultAddress, abiRegistry.getABI('vault'), provider);
+    
+    const shares = await vault.balanceOf(walletAddress);
+    const assets = shares > 0n ? await vault.convertToAssets(shares) : 0n;
+    
+    return { shares, assets };
+  }
+  
+  // Users that may hold vault shares: anyone with a credited deposit or an open position
+  async getCandidateUserIds() {
+    const [depositors, holders] = await Promise.all([
+      Event.distinct('userId', { type: 'deposit', status: { $in: ['verified', 'processed'] } }),
+      HoldingPosition.distinct('userId', { shares: { $ne: '0' } })
+    ]);
+    
+    const ids = new Map();
+    for (const id of [...depositors, ...holders]) {
+      ids.set(id.toString(), id);
+    }
+    
+    return Array.from(ids.values());
+  }
+  
+  // Snapshot every candidate user's vault balances and accrue holding XP
+  async snapshotAll(now = new Date()) {
+    const stats = { users: 0, positions: 0, accrued: 0, forfeited: 0, errors: 0 };
+    const userIds = await this.getCandidateUserIds();
+    
+    const chains = contractRegistry.getChainIds()
+      .filter(chainId => web3Service.hasProvider(chainId))
+      .map(chainId => ({ chainId, vaults: this.getVaults(chainId) }))
+      .filter(chain => chain.vaults.length > 0);
+    
+    if (chains.length === 0) {
+      return stats;
+    }
+    
+    for (const userId of userIds) {
+      const user = await User.findById(userId).select('walletAddress isActive');
+      
+      if (!user || !user.isActive) {
+        continue;
+      }
+      
+      stats.users++;
+      
+      for (const { chainId, vaults } of chains) {
+        for (const vault of vaults) {
+          try {
+            const result = await this.snapshotPosition(user, chainId, vault, now);
+            stats.positions++;
+            stats.accrued += result.accruedXP;
+            stats.forfeited += result.forfeitedXP;
+          } catch (error) {
+            stats.errors++;
+            logger.error('Holding snapshot failed', {
+              userId,
+              chainId,
+              vault: vault.address,
+              error: error.message
+            });
+          }
+        }
+      }
+    }
+    
+    logger.info('Holding snapshot completed', stats);
+    
+    return stats;
+  }
+  
+  // Snapshot one vault position: accrue XP for the time since the last snapshot at the
+  // previous value, or forfeit pending XP if the balance went down (withdrawal)
+  async snapshotPosition(user, chainId, vault, now = new Date()) {
+    const { shares, assets } = await this.readVaultBalance(chainId, vault.address, user.walletAddress);
+    
+    const position = await HoldingPosition.getOrCreate(user, chainId, vault.address, vault.tokenSymbol);
+    
+    const decimals = contractRegistry.getTokenDecimals(vault.tokenSymbol, chainId) ?? 18;
+    const priceUsd = contractRegistry.getTokenPrice(vault.tokenSymbol, chainId);
+    const assetUnits = Number(ethers.formatUnits(assets, decimals));
+    const valueUsd = priceUsd !== null ? assetUnits * priceUsd : 0;
+    
+    if (priceUsd === null && shares > 0n) {
+      logger.warn('No USD price for vault token, holding XP not accrued', {
+        chainId,
+        tokenSymbol: vault.tokenSymbol
+      });
+    }
+    
+    const previousShares = BigInt(position.shares || '0');
+    const withdrew = shares < previousShares;
+    
+    let accruedXP = 0;
+    let forfeitedXP = 0;
+    
+    if (withdrew) {
+      forfeitedXP = await this.forfeitOnWithdrawal(user._id, chainId, vault.address);
+    } else if (position.lastSnapshotAt && position.valueUsd >= this.minValueUsd) {
+      const elapsedMs = Math.min(now - position.lastSnapshotAt, this.maxAccrualMs);
+      accruedXP = elapsedMs > 0 ? position.valueUsd * (elapsedMs / DAY_MS) * this.xpPerUsdDay : 0;
+    }
+    
+    // Only apply if no other snapshot touched the position in the meantime
+    const update = {
+      $set: {
+        shares: shares.toString(),
+        assets: assetUnits,
+        valueUsd,
+        lastSnapshotAt: now
+      }
+    };
+    
+    if (accruedXP > 0) {
+      update.$inc = { pendingXP: accruedXP };
+      
+      if (!position.accruingSince) {
+        update.$set.accruingSince = position.lastSnapshotAt;
+      }
+    }
+    
+    const updated = await HoldingPosition.findOneAndUpdate(
+      { _id: position._id, lastSnapshotAt: position.lastSnapshotAt },
+      update,
+      { new: true }
+    );
+    
+    return { accruedXP: updated ? accruedXP : 0, forfeitedXP };
+  }
+  
+  // Drop pending holding XP for a vault after a withdrawal (Withdraw event or lower balance)
+  async forfeitOnWithdrawal(userId, chainId, vaultAddress) {
+    if (!vaultAddress || !chainId) {
+      return 0;
+    }
+    
+    const forfeitedXP = await HoldingPosition.forfeitPending(userId, Number(chainId), vaultAddress);
+    
+    if (forfeitedXP > 0) {
+      logger.info('Holding XP forfeited after withdrawal', {
+        userId,
+        chainId,
+        vault: vaultAddress,
+        forfeitedXP
+      });
+    }
+    
+    return forfeitedXP;
+  }
+  
+  // Post whole pending holding XP to the ledger (runs daily); fractions carry over
+  async postDailyRewards(now = new Date()) {
+    const stats = { positions: 0, xpPosted: 0, errors: 0 };
+    // Day key follows the shared reset boundary, not the UTC date
+    const day = periodService.getPeriod('daily', now).periodStart.toISOString();
+    
+    const positions = await HoldingPosition.find({ pendingXP: { $gte: 1 } });
+    
+    for (const position of positions) {
+      const xpAmount = Math.floor(position.pendingXP);
+      
+      // Take the XP out of pending first so a concurrent forfeit can't also keep it
+      const claimed = await HoldingPosition.findOneAndUpdate(
+        { _id: position._id, pendingXP: { $gte: xpAmount } },
+        { $inc: { pendingXP: -xpAmount } },
+        { new: true }
+      );
+      
+      if (!claimed) {
+        continue;
+      }
+      
+      try {
+        await XPLedger.addXP(
+          position.userId,
+          xpAmount,
+          'holding_reward',
+          `Holding reward for ${position.tokenSymbol} vault`,
+          {
+            valueUsd: position.valueUsd,
+            extra: {
+              chainId: position.chainId,
+              vaultAddress: position.vaultAddress,
+              tokenSymbol: position.tokenSymbol,
+              accruingSince: position.accruingSince,
+              postedFor: day
+            }
+          },
+          null,
+          { idempotencyKey: `holding:${position._id}:${day}` }
+        );
+        
+        await HoldingPosition.updateOne(
+          { _id: position._id },
+          {
+            $set: { lastPostedAt: now, accruingSince: now },
+            $inc: { totalPostedXP: xpAmount }
+          }
+        );
+        
+        await questService.evaluateXPQuests(position.userId);
+        
+        stats.positions++;
+        stats.xpPosted += xpAmount;
+      } catch (error) {
+        // Put the XP back; if today's entry already exists it is posted with tomorrow's run
+        await HoldingPosition.updateOne({ _id: position._id }, { $inc: { pendingXP: xpAmount } });
+        
+        if (error.code !== 'DUPLICATE_LEDGER_ENTRY') {
+          stats.errors++;
+          
+          logger.error('Failed to post holding reward', {
+            positionId: position._id,
+            userId: position.userId,
+            xpAmount,
+            error: error.message
+          });
+        }
+      }
+    }
+    
+    logger.info('Holding rewards posted', { day, ...stats });
+    
+    return { day, ...stats };
+  }
+  
+  // Get a user's vault positions and pending holding XP
+  async getUserHoldings(userId) {
+    const positions = await HoldingPosition.find({ userId }).sort({ chainId: 1, tokenSymbol: 1 });
+    
+    return {
+      xpPerUsdDay: this.xpPerUsdDay,
+      pendingXP: Math.floor(positions.reduce((sum, position) => sum + position.pendingXP, 0)),
+      positions: positions.map(position => ({
+        chainId: position.chainId,
+        vaultAddress: position.vaultAddress,
+        tokenSymbol: position.tokenSymbol,
+        assets: position.assets,
+        valueUsd: position.valueUsd,
+        pendingXP: Math.floor(position.pendingXP),
+        accruingSince: position.accruingSince,
+        lastSnapshotAt: position.lastSnapshotAt,
+        totalPostedXP: position.totalPostedXP,
+        totalForfeitedXP: position.totalForfeitedXP
+      }))
+    };
+  }
+}
+
+module.exports = new HoldingService();
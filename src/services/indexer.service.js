@@ -0,0 +1,306 @@
+const Event = require('../models/Event');
+const IndexerCursor = require('../models/IndexerCursor');
+const User = require('../models/User');
+const XPLedger = require('../models/XPLedger');
+const web3Service = require('./web3.service');
+const xpService = require('./xp.service');
+const contractRegistry = require('../utils/contractRegistry');
+const abiRegistry = require('../utils/abiRegistry');
+const logger = require('../utils/logger');
+
+class IndexerService {
+  // Index confirmed blocks on a chain and award XP for Nuvia contract events
+  async indexChain(chainId) {
+    const provider = web3Service.getProvider(chainId);
+    const addresses = contractRegistry.getAllContractAddresses(chainId);
+    
+    if (addresses.length === 0) {
+      return { chainId, indexed: 0, message: 'No contracts registered' };
+    }
+    
+    const head = await provider.getBlockNumber();
+    const confirmations = web3Service.getRequiredConfirmations(chainId);
+    const safeHead = head - Math.max(confirmations, 1) + 1;
+    
+    const cursor = await IndexerCursor.getOrCreate(chainId, this.getStartBlock(chainId, safeHead));
+    
+    // Undo anything indexed from blocks that are no longer canonical
+    const ancestorBlock = await this.detectReorg(provider, cursor);
+    if (ancestorBlock !== null) {
+      await this.rollback(chainId, cursor, ancestorBlock);
+    }
+    
+    const batchSize = parseInt(process.env.INDEXER_BLOCK_BATCH_SIZE) || 500;
+    const fromBlock = cursor.lastBlock + 1;
+    const toBlock = Math.min(safeHead, fromBlock + batchSize - 1);
+    
+    if (fromBlock > toBlock) {
+      return { chainId, indexed: 0, fromBlock, toBlock };
+    }
+    
+    const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock });
+    const groups = this.groupLogs(logs, chainId);
+    
+    const stats = { processed: 0, skipped: 0, duplicates: 0, failed: 0 };
+    const blockTimestamps = new Map();
+    const maxAttempts = parseInt(process.env.INDEXER_MAX_GROUP_ATTEMPTS) || 5;
+    
+    for (const group of groups) {
+      try {
+        const outcome = await this.handleLogGroup(chainId, provider, group, blockTimestamps);
+        stats[outcome] = (stats[outcome] || 0) + 1;
+      } catch (error) {
+        const attempts = await cursor.recordFailure(`${group.txHash}_${group.eventType}`, error.message);
+        
+        logger.error('Indexer failed to handle log', {
+          chainId,
+          txHash: group.txHash,
+          eventType: group.eventType,
+          attempts,
+          error: error.message
+        });
+        
+        // Stop before advancing the cursor so the batch is retried, until the group has
+        // failed too often; then set it aside so one bad log can't stall the chain
+        if (attempts < maxAttempts) {
+          throw error;
+        }
+        
+        await cursor.recordFailedGroup(group, attempts, error.message);
+        stats.failed++;
+      }
+    }
+    
+    // Remember hashes of the batch head and every block we credited events from
+    const blocks = groups.map(group => ({ number: group.blockNumber, hash: group.blockHash }));
+    const headBlock = await provider.getBlock(toBlock);
+    if (headBlock) {
+      blocks.push({ number: headBlock.number, hash: headBlock.hash });
+    }
+    
+    await cursor.advance(toBlock, blocks, parseInt(process.env.INDEXER_REORG_DEPTH) || 64);
+    
+    logger.info('Chain indexed', {
+      chainId,
+      fromBlock,
+      toBlock,
+      logs: logs.length,
+      ...stats
+    });
+    
+    return { chainId, fromBlock, toBlock, logs: logs.length, ...stats };
+  }
+  
+  // Block to start from when a chain has no cursor yet, e.g. INDEXER_START_BLOCKS={"84532":1234}
+  getStartBlock(chainId, safeHead) {
+    try {
+      const startBlocks = JSON.parse(process.env.INDEXER_START_BLOCKS || '{}');
+      if (startBlocks[chainId] !== undefined) {
+        return parseInt(startBlocks[chainId]) - 1;
+      }
+    } catch (error) {
+      logger.error('Invalid INDEXER_START_BLOCKS', { error: error.message });
+    }
+    
+    return safeHead;
+  }
+  
+  // Decode raw logs and group them per transaction and event type
+  groupLogs(logs, chainId) {
+    const groups = new Map();
+    
+    for (const log of logs) {
+      const contractType = contractRegistry.getContractType(log.address, chainId);
+      const iface = abiRegistry.getInterface(contractType);
+      if (!iface) continue;
+      
+      let parsed;
+      try {
+        parsed = iface.parseLog(log);
+      } catch (error) {
+        continue;
+      }
+      if (!parsed) continue;
+      
+      const eventType = abiRegistry.getEventTypeForLog(contractType, parsed.name);
+      if (!eventType) continue;
+      
+      const key = `${log.transactionHash}_${eventType}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          eventType,
+          txHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          logIndex: log.index,
+          logs: []
+        });
+      }
+      
+      groups.get(key).logs.push({
+        name: parsed.name,
+        args: parsed.args,
+        address: log.address,
+        logIndex: log.index
+      });
+    }
+    
+    return Array.from(groups.values())
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+  
+  // Resolve the wallet behind a log group and feed it through the XP pipeline
+  async handleLogGroup(chainId, provider, group, blockTimestamps) {
+    const spec = abiRegistry.getEventSpec(group.eventType);
+    const summary = xpService.summarizeEventLogs(spec, group.logs, chainId);
+    
+    if (!summary.found) {
+      logger.warn('Indexer skipped undecodable log', {
+        chainId,
+        txHash: group.txHash,
+        reason: summary.reason
+      });
+      return 'skipped';
+    }
+    
+    const { decoded } = summary;
+    const user = await User.findOne({ walletAddress: decoded.depositor });
+    
+    if (!user) {
+      return 'skipped';
+    }
+    
+    if (!blockTimestamps.has(group.blockNumber)) {
+      const block = await provider.getBlock(group.blockNumber);
+      blockTimestamps.set(group.blockNumber, block ? new Date(block.timestamp * 1000) : new Date());
+    }
+    
+    const metadata = {
+      txHash: group.txHash,
+      chainId: Number(chainId),
+      blockNumber: group.blockNumber,
+      contractAddress: decoded.contractAddress,
+      tokenSymbol: decoded.tokenSymbol,
+      tokenAddress: decoded.tokenAddress,
+      amount: decoded.amount,
+      occurredAt: blockTimestamps.get(group.blockNumber),
+      extra: {
+        source: 'indexer',
+        blockHash: group.blockHash,
+        rawAmount: decoded.rawAmount,
+        depositor: decoded.depositor,
+        sender: decoded.sender
+      }
+    };
+    
+    // Same dedup key as client submissions, so a tx is credited once whichever path sees it first
+    const result = await xpService.processEvent(
+      user._id,
+      group.eventType,
+      metadata,
+      Event.buildOnchainDedupKey(group.eventType, chainId, group.txHash),
+      { preverified: true }
+    );
+    
+    if (!result.event) {
+      return 'duplicates';
+    }
+    
+    return 'processed';
+  }
+  
+  // Compare stored block hashes with the chain; returns the common ancestor if a reorg happened
+  async detectReorg(provider, cursor) {
+    if (cursor.recentBlocks.length === 0) {
+      return null;
+    }
+    
+    const newest = cursor.recentBlocks[cursor.recentBlocks.length - 1];
+    const current = await provider.getBlock(newest.number);
+    
+    if (current && current.hash === newest.hash) {
+      return null;
+    }
+    
+    // Walk back until we find a block that is still canonical
+    for (let i = cursor.recentBlocks.length - 2; i >= 0; i--) {
+      const stored = cursor.recentBlocks[i];
+      const block = await provider.getBlock(stored.number);
+      
+      if (block && block.hash === stored.hash) {
+        return stored.number;
+      }
+    }
+    
+    return cursor.recentBlocks[0].number - 1;
+  }
+  
+  // Reverse XP for events from orphaned blocks and rewind the cursor
+  async rollback(chainId, cursor, ancestorBlock) {
+    logger.warn('Chain reorg detected, rolling back', {
+      chainId,
+      fromBlock: ancestorBlock + 1,
+      lastBlock: cursor.lastBlock
+    });
+    
+    // Only events this indexer credited from the rewound range; client submissions are
+    // verified against the canonical chain separately
+    const orphanedEvents = await Event.find({
+      'metadata.chainId': Number(chainId),
+      'metadata.blockNumber': { $gt: ancestorBlock, $lte: cursor.lastBlock },
+      'metadata.extra.source': 'indexer',
+      status: { $in: ['verified', 'processed'] }
+    });
+    
+    for (const event of orphanedEvents) {
+      const entries = await XPLedger.find({ eventId: event._id });
+      const awardedXP = entries.reduce((sum, entry) => sum + entry.deltaXP, 0);
+      let reversed = true;
+      
+      if (awardedXP > 0) {
+        try {
+          await XPLedger.addXP(
+            event.userId,
+            -awardedXP,
+            'chain_reorg',
+            `Reversed ${event.type} XP after chain reorg`,
+            { extra: { txHash: event.metadata.txHash, chainId: Number(chainId) } },
+            event._id,
+            { idempotencyKey: `reorg:${event._id}` }
+          );
+        } catch (error) {
+          // Already reversed by an earlier, interrupted rollback
+          if (error.code !== 'DUPLICATE_LEDGER_ENTRY') {
+            reversed = false;
+            logger.error('Failed to reverse XP after reorg', {
+              eventId: event._id,
+              userId: event.userId,
+              awardedXP,
+              error: error.message
+            });
+          }
+        }
+      }
+      
+      if (reversed) {
+        // Releases the dedup key so the tx is re-indexed if it lands in the new chain
+        await event.markRejected('Chain reorganization', { releaseKey: true });
+      } else {
+        // The XP is still credited, so keep the key: re-indexing the tx must not pay it twice
+        await event.markRejected('Chain reorganization (XP reversal failed)');
+      }
+    }
+    
+    await cursor.rewind(ancestorBlock);
+    
+    logger.info('Chain reorg rollback completed', {
+      chainId,
+      ancestorBlock,
+      rolledBackEvents: orphanedEvents.length
+    });
+    
+    return orphanedEvents.length;
+  }
+}
+
+module.exports = new IndexerService();
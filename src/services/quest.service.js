@@ -1,14 +1,37 @@
 const Quest = require('../models/Quest');
 const QuestProgress = require('../models/QuestProgress');
+const QuestChain = require('../models/QuestChain');
+// Registers the model Quest.getPoolSelection stores picks in
+require('../models/DailyQuestSelection');
+const streakService = require('./streak.service');
+const periodService = require('../utils/period');
 const logger = require('../utils/logger');
 
+// Cadences listed by GET /api/quests; one-time quests have their own listing
+const PERIODIC_CADENCES = ['daily', 'weekly'];
+
+// Quest fields whose change can alter users' progress
+const BACKFILL_PATHS = ['rules', 'cadence', 'startAt', 'endAt', 'isActive', 'prerequisites'];
+
 class QuestService {
-  // Get today's quests with user progress
+  // Get today's quests with user progress, plus the user's streaks
+  // Returns { quests, streaks } so callers don't load the streaks again
   async getTodayQuests(userId) {
     try {
       const questsWithProgress = await QuestProgress.getUserQuestsWithProgress(userId, 'daily');
+      const streaks = await streakService.getUserStreaks(userId);
       
-      return questsWithProgress;
+      // Attach each quest's streak (current/best) to its entry
+      const quests = questsWithProgress.map(entry => {
+        const streak = streaks.quests.find(s => s.questId.equals(entry.quest._id));
+        
+        return {
+          ...entry,
+          streak: streak ? { current: streak.current, best: streak.best } : { current: 0, best: 0 }
+        };
+      });
+      
+      return { quests, streaks };
     } catch (error) {
       logger.error('Get today quests error', {
         error: error.message,
@@ -18,10 +41,24 @@ class QuestService {
     }
   }
   
-  // Get all active quests with user progress
+  // Re-evaluate XP-based quests after a user's balance went up; never fails the caller,
+  // whose XP is already written
+  async evaluateXPQuests(userId) {
+    try {
+      return await QuestProgress.evaluateQuests(userId, { xpChanged: true });
+    } catch (error) {
+      logger.error('Failed to re-evaluate XP quests', {
+        error: error.message,
+        userId
+      });
+      return [];
+    }
+  }
+  
+  // Get all active periodic quests with user progress (one-time quests are listed separately)
   async getAllActiveQuests(userId) {
     try {
-      const questsWithProgress = await QuestProgress.getUserQuestsWithProgress(userId);
+      const questsWithProgress = await QuestProgress.getUserQuestsWithProgress(userId, PERIODIC_CADENCES);
       
       return questsWithProgress;
     } catch (error) {
@@ -33,6 +70,20 @@ class QuestService {
     }
   }
   
+  // Get one-time quests with user progress. Read-only: progress is evaluated against full
+  // history when events arrive and by the backfill that runs when a quest is created
+  async getOneTimeQuests(userId) {
+    try {
+      return await QuestProgress.getUserQuestsWithProgress(userId, 'one-time');
+    } catch (error) {
+      logger.error('Get one-time quests error', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+  
   // Claim quest reward
   async claimQuestReward(userId, questId) {
     try {
@@ -52,22 +103,29 @@ class QuestService {
         };
       }
       
-      // Get current period
-      const now = new Date();
-      let periodStart, periodEnd;
-      
-      if (quest.cadence === 'daily') {
-        periodStart = new Date(now.setHours(0, 0, 0, 0));
-        periodEnd = new Date(now.setHours(23, 59, 59, 999));
-      } else if (quest.cadence === 'weekly') {
-        const dayOfWeek = now.getDay();
-        periodStart = new Date(now.setDate(now.getDate() - dayOfWeek));
-        periodStart.setHours(0, 0, 0, 0);
-        periodEnd = new Date(periodStart);
-        periodEnd.setDate(periodEnd.getDate() + 6);
-        periodEnd.setHours(23, 59, 59, 999);
+      if (quest.pool?.enabled) {
+        const selection = await Quest.getPoolSelection(userId);
+        
+        if (!selection.some(picked => picked._id.equals(quest._id))) {
+          return {
+            success: false,
+            message: 'Quest is not in your daily selection'
+          };
+        }
       }
       
+      const unlockContext = await Quest.getUnlockContext(userId, [quest]);
+      
+      if (quest.getUnlockStatus(unlockContext).isLocked) {
+        return {
+          success: false,
+          message: 'Quest is locked'
+        };
+      }
+      
+      // Get current period
+      const { periodStart, periodEnd } = periodService.getPeriod(quest.cadence);
+      
       const progress = await QuestProgress.getOrCreate(userId, questId, periodStart, periodEnd);
       
       if (!progress.isCompleted) {
@@ -78,6 +136,13 @@ class QuestService {
         };
       }
       
+      if (progress.revokedAt) {
+        return {
+          success: false,
+          message: 'Quest reward was revoked'
+        };
+      }
+      
       if (progress.isClaimed) {
         return {
           success: false,
@@ -85,18 +150,52 @@ class QuestService {
         };
       }
       
-      await progress.claimReward();
+      try {
+        await progress.claimReward();
+      } catch (error) {
+        // Lost a race with a concurrent claim of the same period
+        if (error.message === 'Reward already claimed') {
+          return {
+            success: false,
+            message: 'Reward already claimed'
+          };
+        }
+        throw error;
+      }
+      
+      // Quests that had this one as a prerequisite may be unlocked and already complete
+      await QuestProgress.evaluateQuests(userId, { unlockedBy: quest._id });
+      
+      let chainBonusXP = 0;
+      
+      if (quest.questChainId) {
+        try {
+          chainBonusXP = await QuestChain.awardBonusIfComplete(quest.questChainId, userId);
+        } catch (error) {
+          // The claim itself went through, so don't fail it over the bonus
+          logger.error('Quest chain bonus error', {
+            error: error.message,
+            userId,
+            questChainId: quest.questChainId
+          });
+        }
+      }
+      
+      // Quest and chain rewards can complete XP milestones
+      await this.evaluateXPQuests(userId);
       
       logger.info('Quest reward claimed', {
         userId,
         questId,
-        xpAwarded: quest.rewardXP
+        xpAwarded: quest.rewardXP,
+        chainBonusXP
       });
       
       return {
         success: true,
         message: 'Quest reward claimed successfully',
-        xpAwarded: quest.rewardXP
+        xpAwarded: quest.rewardXP + chainBonusXP,
+        chainBonusXP
       };
     } catch (error) {
       logger.error('Claim quest reward error', {
@@ -108,12 +207,27 @@ class QuestService {
     }
   }
   
+  // Get active quest chains with the user's progress through each
+  async getQuestChains(userId) {
+    try {
+      const chains = await QuestChain.find({ isActive: true }).sort({ 'metadata.displayOrder': 1, createdAt: 1 });
+      
+      return await Promise.all(chains.map(chain => QuestChain.getUserChainStatus(chain, userId)));
+    } catch (error) {
+      logger.error('Get quest chains error', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
+  
   // Get quest history for user
   async getQuestHistory(userId, options = {}) {
     try {
       const { limit = 50, skip = 0 } = options;
       
-      const history = await QuestProgress.find({ userId, isClaimed: true })
+      const history = await QuestProgress.find({ userId, isClaimed: true, revokedAt: null })
         .populate('questId')
         .sort({ claimedAt: -1 })
         .limit(parseInt(limit))
@@ -217,6 +331,125 @@ class QuestService {
             difficulty: 'easy',
             displayOrder: 5
           }
+        },
+        {
+          name: 'Big Depositor',
+          description: 'Deposit at least $100 in a day',
+          cadence: 'daily',
+          rules: {
+            type: 'deposit_amount',
+            eventType: 'deposit',
+            targetAmount: '100'
+          },
+          pool: {
+            enabled: true,
+            weight: 1
+          },
+          rewardXP: 250,
+          metadata: {
+            icon: '🐋',
+            category: 'daily',
+            difficulty: 'hard',
+            displayOrder: 6
+          }
+        },
+        {
+          name: 'Quick Swap',
+          description: 'Make a token swap',
+          cadence: 'daily',
+          rules: {
+            type: 'event_count',
+            eventType: 'swap',
+            targetCount: 1
+          },
+          pool: {
+            enabled: true,
+            weight: 3
+          },
+          rewardXP: 40,
+          metadata: {
+            icon: '🔄',
+            category: 'daily',
+            difficulty: 'easy',
+            displayOrder: 7
+          }
+        },
+        {
+          name: 'Double Deposit',
+          description: 'Make two deposits in a day',
+          cadence: 'daily',
+          rules: {
+            type: 'event_count',
+            eventType: 'deposit',
+            targetCount: 2
+          },
+          pool: {
+            enabled: true,
+            weight: 2
+          },
+          rewardXP: 120,
+          metadata: {
+            icon: '💸',
+            category: 'daily',
+            difficulty: 'medium',
+            displayOrder: 8
+          }
+        },
+        {
+          name: 'Borrow Assets',
+          description: 'Borrow from a lending protocol',
+          cadence: 'daily',
+          rules: {
+            type: 'event_count',
+            eventType: 'borrow',
+            targetCount: 1
+          },
+          pool: {
+            enabled: true,
+            weight: 2
+          },
+          rewardXP: 150,
+          metadata: {
+            icon: '📥',
+            category: 'daily',
+            difficulty: 'medium',
+            displayOrder: 9
+          }
+        },
+        {
+          name: 'First Supply',
+          description: 'Make your first supply to a lending protocol',
+          cadence: 'one-time',
+          rules: {
+            type: 'action_once',
+            eventType: 'supply'
+          },
+          rewardXP: 200,
+          metadata: {
+            icon: '🌱',
+            category: 'one-time',
+            difficulty: 'easy',
+            displayOrder: 1
+          }
+        },
+        {
+          name: 'Link Email',
+          description: 'Link an email address by joining the waitlist',
+          cadence: 'one-time',
+          rules: {
+            type: 'custom',
+            customLogic: {
+              op: 'and',
+              conditions: [{ profile: 'email' }]
+            }
+          },
+          rewardXP: 100,
+          metadata: {
+            icon: '✉️',
+            category: 'one-time',
+            difficulty: 'easy',
+            displayOrder: 2
+          }
         }
       ];
       
@@ -235,6 +468,65 @@ class QuestService {
     }
   }
   
+  // Recompute current-period progress from history for one quest, or every active quest
+  async backfillQuestProgress(questId = null) {
+    try {
+      const startedAt = new Date();
+      let quests;
+      
+      if (questId) {
+        const quest = await Quest.findById(questId);
+        
+        if (!quest) {
+          return {
+            success: false,
+            message: 'Quest not found'
+          };
+        }
+        quests = [quest];
+      } else {
+        quests = await Quest.getActiveQuests();
+      }
+      
+      const reports = [];
+      
+      for (const quest of quests) {
+        reports.push(await QuestProgress.backfillQuest(quest, startedAt));
+      }
+      
+      logger.info('Quest progress backfilled', {
+        questId,
+        quests: reports.length,
+        updated: reports.reduce((sum, report) => sum + report.updated, 0),
+        completed: reports.reduce((sum, report) => sum + report.completed, 0)
+      });
+      
+      return {
+        success: true,
+        startedAt,
+        finishedAt: new Date(),
+        quests: reports
+      };
+    } catch (error) {
+      logger.error('Backfill quest progress error', { error: error.message, questId });
+      throw error;
+    }
+  }
+  
+  // Backfill in the background after an admin change; the admin request doesn't wait for it
+  scheduleBackfill(quest) {
+    if (process.env.QUEST_AUTO_BACKFILL === 'false' || !quest.isActive) {
+      return;
+    }
+    
+    this.backfillQuestProgress(quest._id).catch(error => {
+      logger.error('Automatic quest backfill error', {
+        error: error.message,
+        questId: quest._id
+      });
+    });
+  }
+  
   // Admin: Create quest
   async createQuest(questData) {
     try {
@@ -245,6 +537,9 @@ class QuestService {
         name: quest.name
       });
       
+      // Count activity from earlier in the current period
+      this.scheduleBackfill(quest);
+      
       return quest;
     } catch (error) {
       logger.error('Create quest error', { error: error.message });
@@ -255,12 +550,21 @@ class QuestService {
   // Admin: Update quest
   async updateQuest(questId, updateData) {
     try {
-      const quest = await Quest.findByIdAndUpdate(questId, updateData, { new: true });
+      const quest = await Quest.findById(questId);
       
       if (!quest) {
         throw new Error('Quest not found');
       }
       
+      // Saved through the document so rule checks in the validate hook run
+      quest.set(updateData);
+      const needsBackfill = BACKFILL_PATHS.some(path => quest.isModified(path));
+      await quest.save();
+      
+      if (needsBackfill) {
+        this.scheduleBackfill(quest);
+      }
+      
       logger.info('Quest updated by admin', {
         questId: quest._id,
         name: quest.name
@@ -1,8 +1,15 @@
 const Referral = require('../models/Referral');
 const User = require('../models/User');
+const questService = require('./quest.service');
 const logger = require('../utils/logger');
 
 class ReferralService {
+  // Both sides just received XP, which can complete XP quests
+  async evaluateRewardedQuests(referral) {
+    await questService.evaluateXPQuests(referral.inviterUserId);
+    await questService.evaluateXPQuests(referral.inviteeUserId);
+  }
+  
   // Track referral intent
   async trackReferral(inviterReferralCode, inviteeUserId, metadata = {}) {
     try {
@@ -82,6 +89,7 @@ class ReferralService {
           const inviteeXP = parseInt(process.env.DEFAULT_REFERRAL_INVITEE_XP) || 100;
           
           await referral.distributeRewards(inviterXP, inviteeXP);
+          await this.evaluateRewardedQuests(referral);
           
           logger.info('Referral verified and rewarded', {
             referralId: referral._id,
@@ -183,7 +191,17 @@ class ReferralService {
         throw new Error('Referral not found');
       }
       
+      // Snapshot for the admin audit log
+      const before = referral.toObject();
+      
       if (action === 'approve') {
+        if (referral.status === 'rewarded') {
+          return {
+            success: false,
+            message: 'Referral has already been rewarded'
+          };
+        }
+        
         // Force verification
         referral.status = 'verified';
         referral.verifiedAt = new Date();
@@ -194,6 +212,7 @@ class ReferralService {
         const inviteeXP = parseInt(process.env.DEFAULT_REFERRAL_INVITEE_XP) || 100;
         
         await referral.distributeRewards(inviterXP, inviteeXP);
+        await this.evaluateRewardedQuests(referral);
         
         logger.info('Referral approved by admin', {
           referralId,
@@ -203,6 +222,7 @@ class ReferralService {
         return {
           success: true,
           referral,
+          before,
           message: 'Referral approved and rewarded'
         };
       } else if (action === 'reject') {
@@ -216,6 +236,7 @@ class ReferralService {
         return {
           success: true,
           referral,
+          before,
           message: 'Referral rejected'
         };
       } else {
@@ -0,0 +1,177 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const streakService = require('./streak.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key-change-this';
+    this.accessTokenExpiry = process.env.JWT_EXPIRY || '15m';
+    this.refreshTokenTtlMs = (parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30) * DAY_MS;
+  }
+  
+  // Sign a short-lived access token bound to a session
+  generateAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user._id,
+        walletAddress: user.walletAddress,
+        sid: sessionId.toString()
+      },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenExpiry }
+    );
+  }
+  
+  // Verify an access token's signature and expiry
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.jwtSecret);
+  }
+  
+  // Build the token pair returned to clients
+  buildTokens(user, session, refreshToken) {
+    return {
+      token: this.generateAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: this.accessTokenExpiry,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session._id
+    };
+  }
+  
+  // Start a session after a successful wallet sign-in
+  async createSession(user, metadata = {}) {
+    const { session, refreshToken } = await Session.createSession(
+      user._id,
+      this.refreshTokenTtlMs,
+      metadata
+    );
+    
+    logger.info('Session created', {
+      userId: user._id,
+      sessionId: session._id
+    });
+    
+    return this.buildTokens(user, session, refreshToken);
+  }
+  
+  // Exchange a refresh token for a new access token and refresh token
+  async refreshSession(refreshToken, metadata = {}) {
+    const { session, refreshToken: nextToken, reused } = await Session.rotateRefreshToken(
+      refreshToken,
+      metadata
+    );
+    
+    if (!session) {
+      if (reused) {
+        logger.warn('Refresh token reuse detected, session revoked', {
+          ipAddress: metadata.ipAddress
+        });
+      }
+      
+      return {
+        success: false,
+        message: reused
+          ? 'Refresh token has already been used. Please sign in again.'
+          : 'Invalid or expired refresh token'
+      };
+    }
+    
+    const user = await User.findById(session.userId);
+    
+    if (!user || !user.isActive) {
+      await session.revoke('user_deactivated');
+      
+      return {
+        success: false,
+        message: 'Account is deactivated'
+      };
+    }
+    
+    // Coming back with a still-signed-in wallet counts as the day's login
+    await streakService.recordLogin(user._id);
+    
+    return {
+      success: true,
+      ...this.buildTokens(user, session, nextToken)
+    };
+  }
+  
+  // Check that an access token's session and user are still allowed in
+  async validateSession(decoded) {
+    if (!decoded.sid) {
+      return { valid: false, reason: 'Token is not bound to a session' };
+    }
+    
+    const [session, user] = await Promise.all([
+      Session.findById(decoded.sid).select('userId revokedAt expiresAt'),
+      User.findById(decoded.userId).select('isActive')
+    ]);
+    
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.userId.toString()) {
+      return { valid: false, reason: 'Session has been revoked or expired' };
+    }
+    
+    if (!user || !user.isActive) {
+      return { valid: false, reason: 'Account is deactivated' };
+    }
+    
+    return { valid: true };
+  }
+  
+  // Revoke a single session owned by a user
+  async revokeSession(userId, sessionId, reason = 'logout', revokedBy = null) {
+    const session = await Session.findOne({ _id: sessionId, userId });
+    
+    if (!session) {
+      return null;
+    }
+    
+    if (!session.revokedAt) {
+      await session.revoke(reason, revokedBy);
+    }
+    
+    logger.info('Session revoked', {
+      userId,
+      sessionId,
+      reason,
+      revokedBy
+    });
+    
+    return session;
+  }
+  
+  // Revoke all sessions of a user, optionally keeping the current one
+  async revokeAllSessions(userId, reason = 'logout_all', revokedBy = null, exceptSessionId = null) {
+    const count = await Session.revokeAllForUser(userId, reason, revokedBy, exceptSessionId);
+    
+    logger.info('Sessions revoked', {
+      userId,
+      count,
+      reason,
+      revokedBy
+    });
+    
+    return count;
+  }
+  
+  // List a user's active sessions
+  async getActiveSessions(userId, currentSessionId = null) {
+    const sessions = await Session.getActiveSessions(userId);
+    
+    return sessions.map(session => ({
+      id: session._id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    }));
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,122 @@
+const Streak = require('../models/Streak');
+const User = require('../models/User');
+const XPLedger = require('../models/XPLedger');
+const { getFreezeConfig } = require('../config/streaks');
+const logger = require('../utils/logger');
+
+class StreakService {
+  // Extend the daily login streak; never blocks the request that triggered it
+  async recordLogin(userId) {
+    try {
+      const result = await Streak.recordPeriod(userId, { type: 'login', cadence: 'daily' });
+      
+      if (result.bonusXP > 0) {
+        // Required here: quest.service depends on this service
+        await require('./quest.service').evaluateXPQuests(userId);
+      }
+      
+      if (result.extended) {
+        logger.info('Login streak extended', {
+          userId,
+          current: result.streak.current,
+          freezesUsed: result.freezesUsed,
+          bonusXP: result.bonusXP,
+          freezesEarned: result.freezesEarned
+        });
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error('Record login streak error', {
+        error: error.message,
+        userId
+      });
+      return null;
+    }
+  }
+  
+  // Get the login streak, per-quest streaks and freeze balance for a user
+  async getUserStreaks(userId) {
+    const [user, streaks] = await Promise.all([
+      User.findById(userId).select('streakFreezes'),
+      Streak.find({ userId })
+    ]);
+    
+    const freezesAvailable = user ? user.streakFreezes : 0;
+    const login = streaks.find(streak => streak.key === 'login');
+    const { maxFreezes, costXP } = getFreezeConfig();
+    
+    return {
+      login: login
+        ? login.getStatus(freezesAvailable)
+        : { current: 0, best: 0, lastPeriodStart: null, extendedThisPeriod: false },
+      quests: streaks
+        .filter(streak => streak.type === 'quest')
+        .map(streak => ({
+          questId: streak.questId,
+          cadence: streak.cadence,
+          ...streak.getStatus(freezesAvailable)
+        })),
+      freezes: {
+        available: freezesAvailable,
+        max: maxFreezes,
+        costXP
+      }
+    };
+  }
+  
+  // Buy one freeze with XP
+  async purchaseFreeze(userId) {
+    const { maxFreezes, costXP } = getFreezeConfig();
+    
+    if (!costXP) {
+      return {
+        success: false,
+        message: 'Streak freezes are not for sale'
+      };
+    }
+    
+    // Reserve the slot first so concurrent purchases can't exceed the cap
+    const user = await User.findOneAndUpdate(
+      { _id: userId, streakFreezes: { $lt: maxFreezes } },
+      { $inc: { streakFreezes: 1 } },
+      { new: true, projection: { streakFreezes: 1 } }
+    );
+    
+    if (!user) {
+      return {
+        success: false,
+        message: `You can hold at most ${maxFreezes} streak freezes`
+      };
+    }
+    
+    try {
+      await XPLedger.addXP(userId, -costXP, 'streak_freeze', 'Purchased streak freeze');
+    } catch (error) {
+      await User.updateOne({ _id: userId }, { $inc: { streakFreezes: -1 } });
+      
+      if (error.message === 'Insufficient XP balance') {
+        return {
+          success: false,
+          message: `A streak freeze costs ${costXP} XP`
+        };
+      }
+      throw error;
+    }
+    
+    logger.info('Streak freeze purchased', {
+      userId,
+      costXP,
+      freezesAvailable: user.streakFreezes
+    });
+    
+    return {
+      success: true,
+      message: 'Streak freeze purchased',
+      costXP,
+      freezesAvailable: user.streakFreezes
+    };
+  }
+}
+
+module.exports = new StreakService();
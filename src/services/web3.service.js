@@ -1,32 +1,67 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const chainConfig = require('../config/chains');
+const { ERC6492_VALIDATOR_BYTECODE } = require('../utils/erc6492Validator');
+
+// EIP-1271 isValidSignature(bytes32,bytes) magic return value
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC1271_ABI = [
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+];
+
+// EIP-6492 counterfactual signatures end with this 32-byte suffix
+const ERC6492_MAGIC_SUFFIX = '6492649264926492649264926492649264926492649264926492649264926492';
 
 class Web3Service {
   constructor() {
     this.providers = {};
+    this.confirmations = {};
     this.initializeProviders();
   }
   
-  // Initialize providers for different chains
+  // Initialize providers for every configured chain
   initializeProviders() {
     try {
-      // Base Sepolia Testnet only
-      const rpcUrls = {
-        84532: process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org', // Base Sepolia
-      };
-      
-      for (const [chainId, rpcUrl] of Object.entries(rpcUrls)) {
-        if (rpcUrl) {
-          this.providers[chainId] = new ethers.JsonRpcProvider(rpcUrl);
+      for (const chain of Object.values(chainConfig.getChains())) {
+        if (chain.rpcUrls.length === 0) {
+          logger.warn('No RPC URLs configured for chain', { chainId: chain.chainId });
+          continue;
         }
+        
+        this.providers[chain.chainId] = this.createProvider(chain);
+        this.confirmations[chain.chainId] = chain.confirmations;
       }
       
-      logger.info('Web3 providers initialized', { chains: Object.keys(this.providers) });
+      logger.info('Web3 providers initialized', {
+        chains: Object.keys(this.providers),
+        confirmations: this.confirmations
+      });
     } catch (error) {
       logger.error('Failed to initialize Web3 providers', { error: error.message });
     }
   }
   
+  // Build a provider for a chain; multiple RPC URLs are tried in order and
+  // a lagging or failing endpoint falls through to the next one
+  createProvider(chain) {
+    const network = ethers.Network.from(chain.chainId);
+    
+    if (chain.rpcUrls.length === 1) {
+      return new ethers.JsonRpcProvider(chain.rpcUrls[0], network, { staticNetwork: network });
+    }
+    
+    const configs = chain.rpcUrls.map((rpcUrl, index) => ({
+      provider: new ethers.JsonRpcProvider(rpcUrl, network, { staticNetwork: network }),
+      priority: index + 1,
+      weight: 1,
+      stallTimeout: chain.stallTimeoutMs
+    }));
+    
+    return new ethers.FallbackProvider(configs, network, {
+      quorum: Math.min(chain.quorum, configs.length)
+    });
+  }
+  
   // Get provider for a specific chain
   getProvider(chainId) {
     const provider = this.providers[chainId];
@@ -36,23 +71,61 @@ class Web3Service {
     return provider;
   }
   
-  // Verify wallet signature
-  async verifySignature(message, signature, expectedAddress) {
+  // Check whether a provider is configured for a chain
+  hasProvider(chainId) {
+    return !!this.providers[chainId];
+  }
+  
+  // Get number of confirmations required before trusting a transaction on a chain
+  getRequiredConfirmations(chainId) {
+    return this.confirmations[chainId] || 1;
+  }
+  
+  // Verify wallet signature; falls back to EIP-1271/EIP-6492 for smart contract wallets
+  async verifySignature(message, signature, expectedAddress, chainId = null) {
     try {
-      const recoveredAddress = ethers.verifyMessage(message, signature);
+      let recoveredAddress = null;
+      
+      try {
+        recoveredAddress = ethers.verifyMessage(message, signature);
+      } catch (error) {
+        // Contract wallet signatures are not plain 65-byte ECDSA signatures
+      }
       
       // Compare addresses (case-insensitive)
-      const isValid = recoveredAddress.toLowerCase() === expectedAddress.toLowerCase();
+      if (recoveredAddress && recoveredAddress.toLowerCase() === expectedAddress.toLowerCase()) {
+        logger.info('Signature verification', {
+          expectedAddress,
+          recoveredAddress,
+          isValid: true
+        });
+        
+        return {
+          isValid: true,
+          recoveredAddress,
+          method: 'eoa'
+        };
+      }
+      
+      const contractResult = await this.verifyContractSignature(
+        ethers.hashMessage(message),
+        signature,
+        expectedAddress,
+        chainId || chainConfig.getDefaultChainId()
+      );
       
       logger.info('Signature verification', {
         expectedAddress,
         recoveredAddress,
-        isValid
+        chainId,
+        method: contractResult.method,
+        isValid: contractResult.isValid
       });
       
       return {
-        isValid,
-        recoveredAddress
+        isValid: contractResult.isValid,
+        recoveredAddress: contractResult.isValid ? ethers.getAddress(expectedAddress) : recoveredAddress,
+        method: contractResult.method
       };
     } catch (error) {
       logger.error('Signature verification failed', {
@@ -67,6 +140,86 @@ class Web3Service {
     }
   }
   
+  // Check if a signature is wrapped for a counterfactual (not yet deployed) wallet
+  isERC6492Signature(signature) {
+    return typeof signature === 'string' && signature.toLowerCase().endsWith(ERC6492_MAGIC_SUFFIX);
+  }
+  
+  // Unwrap an EIP-6492 signature into its factory, factory calldata and inner signature
+  unwrapERC6492Signature(signature) {
+    const [factory, factoryCalldata, innerSignature] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ['address', 'bytes', 'bytes'],
+      ethers.dataSlice(signature, 0, ethers.dataLength(signature) - 32)
+    );
+    
+    return { factory, factoryCalldata, signature: innerSignature };
+  }
+  
+  // Verify a message hash signed by a smart contract wallet
+  async verifyContractSignature(hash, signature, address, chainId) {
+    const provider = this.getProvider(chainId);
+    const code = await provider.getCode(address);
+    
+    if (this.isERC6492Signature(signature)) {
+      if (code === '0x') {
+        return {
+          isValid: await this.verifyCounterfactualSignature(hash, signature, address, provider),
+          method: 'erc6492'
+        };
+      }
+      
+      // Already deployed, so the wallet can check the inner signature itself
+      signature = this.unwrapERC6492Signature(signature).signature;
+    }
+    
+    if (code === '0x') {
+      return { isValid: false, method: 'eoa' };
+    }
+    
+    try {
+      const wallet = new ethers.Contract(address, ERC1271_ABI, provider);
+      const result = await wallet.isValidSignature(hash, signature);
+      
+      return {
+        isValid: result.toLowerCase() === ERC1271_MAGIC_VALUE,
+        method: 'erc1271'
+      };
+    } catch (error) {
+      // Wallets revert on invalid signatures instead of returning a non-magic value
+      logger.debug('EIP-1271 isValidSignature call reverted', {
+        address,
+        chainId,
+        error: error.message
+      });
+      
+      return { isValid: false, method: 'erc1271' };
+    }
+  }
+  
+  // Run the EIP-6492 validator in an eth_call, which deploys the wallet in a
+  // throwaway state before checking its EIP-1271 signature
+  async verifyCounterfactualSignature(hash, signature, address, provider) {
+    try {
+      const args = ethers.AbiCoder.defaultAbiCoder().encode(
+        ['address', 'bytes32', 'bytes'],
+        [address, hash, signature]
+      );
+      
+      const result = await provider.call({
+        data: ethers.concat([ERC6492_VALIDATOR_BYTECODE, args])
+      });
+      
+      return result === '0x01';
+    } catch (error) {
+      logger.debug('EIP-6492 signature validation failed', {
+        address,
+        error: error.message
+      });
+      
+      return false;
+    }
+  }
+  
   // Verify transaction on blockchain
   async verifyTransaction(txHash, chainId, expectedContract = null) {
     try {
@@ -78,6 +231,7 @@ class Web3Service {
       if (!receipt) {
         return {
           verified: false,
+          retryable: true,
           reason: 'Transaction not found or not confirmed'
         };
       }
@@ -86,6 +240,7 @@ class Web3Service {
       if (receipt.status !== 1) {
         return {
           verified: false,
+          retryable: false,
           reason: 'Transaction failed'
         };
       }
@@ -98,6 +253,7 @@ class Web3Service {
         if (normalizedActual !== normalizedExpected) {
           return {
             verified: false,
+            retryable: false,
             reason: 'Transaction not sent to expected contract',
             expected: normalizedExpected,
             actual: normalizedActual
@@ -105,9 +261,23 @@ class Web3Service {
         }
       }
       
+      // Wait for enough blocks on top of the transaction
+      const confirmations = await receipt.confirmations();
+      const requiredConfirmations = this.getRequiredConfirmations(chainId);
+      
+      if (confirmations < requiredConfirmations) {
+        return {
+          verified: false,
+          retryable: true,
+          reason: `Waiting for confirmations (${confirmations}/${requiredConfirmations})`,
+          confirmations
+        };
+      }
+      
       logger.info('Transaction verified', {
         txHash,
         chainId,
+        confirmations,
         blockNumber: receipt.blockNumber,
         from: receipt.from,
         to: receipt.to
@@ -120,7 +290,8 @@ class Web3Service {
           from: receipt.from,
           to: receipt.to,
           gasUsed: receipt.gasUsed.toString(),
-          logs: receipt.logs.length
+          logs: receipt.logs.length,
+          confirmations
         }
       };
     } catch (error) {
@@ -130,8 +301,10 @@ class Web3Service {
         chainId
       });
       
+      // RPC errors are usually transient
       return {
         verified: false,
+        retryable: true,
         reason: error.message
       };
     }
@@ -157,7 +330,9 @@ class Web3Service {
             parsedLogs.push({
               name: parsed.name,
               args: parsed.args,
-              signature: parsed.signature
+              signature: parsed.signature,
+              address: log.address,
+              logIndex: log.index
             });
           }
         } catch (e) {
@@ -3,15 +3,38 @@ const XPLedger = require('../models/XPLedger');
 const XPRule = require('../models/XPRule');
 const User = require('../models/User');
 const QuestProgress = require('../models/QuestProgress');
+const Campaign = require('../models/Campaign');
+const Waitlist = require('../models/Waitlist');
+const { ethers } = require('ethers');
 const web3Service = require('./web3.service');
+const holdingService = require('./holding.service');
+const questService = require('./quest.service');
+const contractRegistry = require('../utils/contractRegistry');
+const abiRegistry = require('../utils/abiRegistry');
+const chainConfig = require('../config/chains');
+const periodService = require('../utils/period');
 const logger = require('../utils/logger');
 
 class XPService {
-  // Process event and award XP
-  async processEvent(userId, eventType, metadata = {}, dedupKey = null) {
+  // Process event and award XP.
+  // options.preverified marks events read straight from confirmed chain logs (chain indexer)
+  async processEvent(userId, eventType, metadata = {}, dedupKey = null, options = {}) {
     try {
+      const { preverified = false } = options;
+      
+      const typeCheck = this.checkEventType(eventType, metadata);
+      if (!typeCheck.valid) {
+        return {
+          success: false,
+          xpAwarded: 0,
+          message: typeCheck.reason
+        };
+      }
+      
       // Create event with dedup key
-      const event = await Event.createEvent(userId, eventType, metadata, dedupKey);
+      const event = await Event.createEvent(userId, eventType, metadata, dedupKey, {
+        status: preverified ? 'verified' : 'pending'
+      });
       
       logger.info('Event created', {
         eventId: event._id,
@@ -20,107 +43,107 @@ class XPService {
         dedupKey
       });
       
-      // Get XP rule for this event type
-      const rule = await XPRule.getRuleByAction(eventType);
-      
-      if (!rule) {
-        logger.warn('No XP rule found for event type', { eventType });
-        await event.markProcessed();
+      // Amount-bearing actions can only be credited from a decoded onchain log
+      const proofCheck = this.checkOnchainProof(eventType, metadata);
+      if (!proofCheck.valid) {
+        await event.markFailed(proofCheck.reason, { releaseKey: true });
         return {
-          success: true,
+          success: false,
           event,
           xpAwarded: 0,
-          message: 'Event recorded but no XP rule configured'
+          message: proofCheck.reason
         };
       }
       
-      // Validate event against rule
-      const validation = await XPRule.validateEvent(eventType, metadata);
+      // Verify onchain event if applicable
+      if (metadata.txHash && metadata.chainId && !preverified) {
+        const verification = await this.verifyEvent(event);
+        
+        if (!verification.verified) {
+          await event.markFailed(verification.reason, { releaseKey: true });
+          return {
+            success: false,
+            event,
+            xpAwarded: 0,
+            message: `Onchain verification failed: ${verification.reason}`
+          };
+        }
+      }
       
-      if (!validation.valid) {
-        await event.markFailed(validation.reason);
+      return await this.awardEvent(event);
+    } catch (error) {
+      if (error.message.includes('duplicate')) {
+        logger.warn('Duplicate event detected', { userId, eventType, dedupKey });
         return {
           success: false,
-          event,
           xpAwarded: 0,
-          message: validation.reason
+          message: 'Event already processed (duplicate)'
         };
       }
       
-      // Check cooldown
-      const cooldownCheck = await rule.canUserEarnXP(userId);
-      if (!cooldownCheck.canEarn) {
-        await event.markFailed(cooldownCheck.reason);
+      logger.error('Process event error', {
+        error: error.message,
+        stack: error.stack,
+        userId,
+        eventType
+      });
+      
+      throw error;
+    }
+  }
+  
+  // Store an onchain event as pending for the event verification worker
+  async queueEvent(userId, eventType, metadata = {}) {
+    try {
+      const typeCheck = this.checkEventType(eventType, metadata);
+      if (!typeCheck.valid) {
         return {
           success: false,
-          event,
           xpAwarded: 0,
-          message: cooldownCheck.reason,
-          nextAvailableAt: cooldownCheck.nextAvailableAt
+          message: typeCheck.reason
         };
       }
       
-      // Check daily limit
-      const limitCheck = await rule.checkDailyLimit(userId);
-      if (!limitCheck.withinLimit) {
-        await event.markFailed(limitCheck.reason);
+      const proofCheck = this.checkOnchainProof(eventType, metadata);
+      if (!proofCheck.valid) {
         return {
           success: false,
-          event,
           xpAwarded: 0,
-          message: limitCheck.reason
+          message: proofCheck.reason
         };
       }
       
-      // Verify onchain event if applicable
-      if (metadata.txHash && metadata.chainId) {
-        const verification = await this.verifyOnchainEvent(metadata);
-        
-        if (!verification.verified) {
-          await event.markFailed(verification.reason);
-          return {
-            success: false,
-            event,
-            xpAwarded: 0,
-            message: `Onchain verification failed: ${verification.reason}`
-          };
-        }
-        
-        await event.markVerified();
+      if (!web3Service.hasProvider(metadata.chainId)) {
+        return {
+          success: false,
+          xpAwarded: 0,
+          message: `Unsupported chain ID: ${metadata.chainId}`
+        };
       }
       
-      // Award XP
-      const xpAmount = rule.xpAmount;
-      await XPLedger.addXP(
-        userId,
-        xpAmount,
-        eventType,
-        `XP from ${eventType}`,
-        { eventId: event._id },
-        event._id
-      );
-      
-      await event.markProcessed();
-      
-      // Update quest progress if applicable
-      await this.updateQuestProgress(userId, eventType, event._id);
+      const event = await Event.createEvent(userId, eventType, {
+        ...metadata,
+        chainId: Number(metadata.chainId)
+      });
       
-      logger.info('XP awarded', {
+      logger.info('Event queued for verification', {
+        eventId: event._id,
         userId,
         eventType,
-        xpAmount,
-        eventId: event._id
+        txHash: metadata.txHash,
+        chainId: metadata.chainId
       });
       
       return {
         success: true,
+        pending: true,
         event,
-        xpAwarded: xpAmount,
-        message: `Successfully earned ${xpAmount} XP`
+        xpAwarded: 0,
+        message: 'Event queued for onchain verification'
       };
     } catch (error) {
       if (error.message.includes('duplicate')) {
-        logger.warn('Duplicate event detected', { userId, eventType, dedupKey });
+        logger.warn('Duplicate event detected', { userId, eventType, txHash: metadata.txHash });
         return {
           success: false,
           xpAwarded: 0,
@@ -128,7 +151,7 @@ class XPService {
         };
       }
       
-      logger.error('Process event error', {
+      logger.error('Queue event error', {
         error: error.message,
         stack: error.stack,
         userId,
@@ -139,18 +162,336 @@ class XPService {
     }
   }
   
+  // Verify a queued event and award XP once confirmed (called by the event verification worker)
+  async processPendingEvent(event) {
+    const verification = await this.verifyEvent(event);
+    
+    if (!verification.verified) {
+      const maxAttempts = parseInt(process.env.EVENT_VERIFICATION_MAX_ATTEMPTS) || 10;
+      
+      if (verification.retryable && event.attempts < maxAttempts) {
+        const delayMs = this.getRetryDelay(event.attempts);
+        await event.scheduleRetry(verification.reason, delayMs);
+        
+        logger.info('Event verification retry scheduled', {
+          eventId: event._id,
+          attempts: event.attempts,
+          reason: verification.reason,
+          nextAttemptAt: event.nextAttemptAt
+        });
+        
+        return {
+          success: false,
+          event,
+          xpAwarded: 0,
+          message: verification.reason
+        };
+      }
+      
+      await event.markRejected(verification.reason, { releaseKey: true });
+      
+      logger.warn('Event rejected', {
+        eventId: event._id,
+        attempts: event.attempts,
+        reason: verification.reason
+      });
+      
+      return {
+        success: false,
+        event,
+        xpAwarded: 0,
+        message: `Onchain verification failed: ${verification.reason}`
+      };
+    }
+    
+    return this.awardEvent(event);
+  }
+  
+  // Exponential backoff between verification attempts
+  getRetryDelay(attempts) {
+    const baseMs = parseInt(process.env.EVENT_VERIFICATION_RETRY_BASE_MS) || 15000;
+    const maxMs = parseInt(process.env.EVENT_VERIFICATION_RETRY_MAX_MS) || 10 * 60 * 1000;
+    
+    return Math.min(baseMs * Math.pow(2, Math.max(attempts - 1, 0)), maxMs);
+  }
+  
+  // Check the event type exists and, if a transaction is attached, that it has a log to verify
+  // it against; otherwise any Nuvia transaction could be claimed once per event type
+  checkEventType(eventType, metadata = {}) {
+    if (!Event.schema.path('type').enumValues.includes(eventType)) {
+      return {
+        valid: false,
+        reason: `Unknown event type: ${eventType}`
+      };
+    }
+    
+    if (metadata.txHash && !abiRegistry.getEventSpec(eventType)) {
+      return {
+        valid: false,
+        reason: 'This event type cannot be verified onchain'
+      };
+    }
+    
+    return { valid: true };
+  }
+  
+  // Check an event type that needs onchain proof came with a transaction
+  checkOnchainProof(eventType, metadata = {}) {
+    if (abiRegistry.requiresOnchainProof(eventType) && (!metadata.txHash || !metadata.chainId)) {
+      return {
+        valid: false,
+        reason: 'Transaction hash and chain ID are required for this event type'
+      };
+    }
+    
+    return { valid: true };
+  }
+  
+  // Verify the transaction behind an event, bind it to the user and record the decoded values
+  async verifyEvent(event) {
+    const metadata = event.toObject().metadata;
+    const verification = await this.verifyOnchainEvent(event.type, metadata);
+    
+    if (!verification.verified) {
+      return verification;
+    }
+    
+    // The transaction must belong to the user claiming it
+    const ownership = await this.checkEventOwnership(event.userId, verification);
+    
+    if (!ownership.owned) {
+      logger.warn('Onchain event ownership mismatch', {
+        userId: event.userId,
+        eventType: event.type,
+        txHash: metadata.txHash,
+        reason: ownership.reason
+      });
+      
+      return {
+        verified: false,
+        retryable: false,
+        reason: ownership.reason
+      };
+    }
+    
+    // Replace client-supplied values with what the chain actually recorded
+    if (verification.decoded) {
+      event.metadata = this.applyDecodedEvent(metadata, verification);
+    }
+    
+    await event.markVerified();
+    
+    return verification;
+  }
+  
+  // Apply the XP rule for a (verified) event and write the ledger entry
+  async awardEvent(event) {
+    const userId = event.userId;
+    const eventType = event.type;
+    const metadata = event.toObject().metadata;
+    
+    // A verified withdrawal forfeits holding XP still pending for that vault
+    if (eventType === 'withdraw') {
+      await holdingService.forfeitOnWithdrawal(userId, metadata.chainId, metadata.contractAddress);
+    }
+    
+    // Get XP rule for this event type
+    const rule = await XPRule.getRuleByAction(eventType);
+    
+    if (!rule) {
+      logger.warn('No XP rule found for event type', { eventType });
+      await event.markProcessed();
+      await this.updateQuestProgress(userId, eventType, event._id);
+      return {
+        success: true,
+        event,
+        xpAwarded: 0,
+        message: 'Event recorded but no XP rule configured'
+      };
+    }
+    
+    // Validate event against rule
+    const validation = await XPRule.validateEvent(eventType, metadata);
+    
+    if (!validation.valid) {
+      await event.markFailed(validation.reason);
+      return {
+        success: false,
+        event,
+        xpAwarded: 0,
+        message: validation.reason
+      };
+    }
+    
+    // Check cooldown
+    const cooldownCheck = await rule.canUserEarnXP(userId, event._id);
+    if (!cooldownCheck.canEarn) {
+      await event.markFailed(cooldownCheck.reason);
+      return {
+        success: false,
+        event,
+        xpAwarded: 0,
+        message: cooldownCheck.reason,
+        nextAvailableAt: cooldownCheck.nextAvailableAt
+      };
+    }
+    
+    // Check count limits (daily/weekly/monthly/lifetime/rolling) and the daily XP cap
+    const limitCheck = await rule.checkLimits(userId, event._id);
+    if (!limitCheck.withinLimit) {
+      await event.markFailed(limitCheck.reason);
+      return {
+        success: false,
+        event,
+        xpAwarded: 0,
+        message: limitCheck.reason,
+        nextAvailableAt: limitCheck.resetsAt
+      };
+    }
+    
+    // Scale the award by the verified amount when the rule has a formula
+    const valuation = this.valueEvent(metadata);
+    const calculation = rule.calculateXP(valuation);
+    
+    if (calculation.unvalued) {
+      logger.warn('XP formula could not value event', {
+        eventId: event._id,
+        eventType,
+        tokenSymbol: metadata.tokenSymbol,
+        reason: calculation.reason
+      });
+    }
+    
+    if (valuation.valueUsd !== null) {
+      event.set('metadata.valueUsd', valuation.valueUsd);
+    }
+    
+    // Apply running campaigns on top of the rule's base amount
+    const boost = await this.getCampaignBoost(userId, eventType, metadata, calculation.xpAmount, event.occurredAt);
+    
+    // Trim the award to what's left of the daily XP cap
+    const capped = limitCheck.remainingXP !== null && boost.xpAmount > limitCheck.remainingXP;
+    const xpAmount = capped ? limitCheck.remainingXP : boost.xpAmount;
+    
+    if (xpAmount <= 0) {
+      await event.markProcessed();
+      await this.updateQuestProgress(userId, eventType, event._id);
+      return {
+        success: true,
+        event,
+        xpAwarded: 0,
+        message: calculation.unvalued ? calculation.reason : 'Amount too small to earn XP'
+      };
+    }
+    
+    await XPLedger.addXP(
+      userId,
+      xpAmount,
+      eventType,
+      `XP from ${eventType}`,
+      {
+        ruleId: rule._id,
+        valueUsd: valuation.valueUsd,
+        baseXP: boost.baseXP,
+        multiplier: boost.multiplier,
+        bonusXP: boost.bonusXP,
+        campaignIds: boost.campaigns.map(campaign => campaign.campaignId),
+        campaigns: boost.campaigns,
+        ...(capped && { extra: { cappedFrom: boost.xpAmount } })
+      },
+      event._id
+    );
+    
+    await event.markProcessed();
+    
+    // Update quest progress if applicable
+    await this.updateQuestProgress(userId, eventType, event._id);
+    await questService.evaluateXPQuests(userId);
+    
+    logger.info('XP awarded', {
+      userId,
+      eventType,
+      xpAmount,
+      baseXP: boost.baseXP,
+      campaignIds: boost.campaigns.map(campaign => campaign.campaignId),
+      eventId: event._id
+    });
+    
+    return {
+      success: true,
+      event,
+      xpAwarded: xpAmount,
+      baseXP: boost.baseXP,
+      campaigns: boost.campaigns,
+      message: `Successfully earned ${xpAmount} XP`
+    };
+  }
+  
+  // Value an event's amount in whole tokens and USD. Only amounts decoded from a verified
+  // transaction count; client-supplied amounts on offchain events are never valued.
+  valueEvent(metadata = {}) {
+    const { tokenSymbol, chainId } = metadata;
+    
+    if (!metadata.txHash || !tokenSymbol) {
+      return { units: null, valueUsd: null, priceUsd: null };
+    }
+    
+    const decimals = contractRegistry.getTokenDecimals(tokenSymbol, chainId);
+    const rawAmount = metadata.extra?.rawAmount;
+    let units = null;
+    
+    if (rawAmount && decimals !== null) {
+      units = Number(ethers.formatUnits(rawAmount, decimals));
+    } else if (metadata.amount !== undefined && metadata.amount !== null) {
+      const parsed = parseFloat(metadata.amount);
+      units = Number.isFinite(parsed) ? parsed : null;
+    }
+    
+    const priceUsd = contractRegistry.getTokenPrice(tokenSymbol, chainId);
+    const valueUsd = units !== null && priceUsd !== null ? units * priceUsd : null;
+    
+    return { units, valueUsd, priceUsd };
+  }
+  
+  // Work out which campaigns apply to an event and the resulting award
+  async getCampaignBoost(userId, eventType, metadata, baseXP, at = new Date()) {
+    const running = await Campaign.getRunningCampaigns(eventType, at);
+    
+    if (running.length === 0) {
+      return Campaign.applyCampaigns(baseXP, []);
+    }
+    
+    const user = await User.findById(userId).select('walletAddress');
+    const walletAddress = user?.walletAddress;
+    
+    // Only look the wallet up on the waitlist when a campaign needs it
+    const onWaitlist = walletAddress && running.some(campaign => campaign.waitlistOnly)
+      ? !!(await Waitlist.exists({ walletAddress, status: { $ne: 'rejected' } }))
+      : false;
+    
+    const matching = running.filter(campaign => campaign.matches({ metadata, walletAddress, onWaitlist }));
+    
+    return Campaign.applyCampaigns(baseXP, matching);
+  }
+  
   // Verify onchain event
-  async verifyOnchainEvent(metadata) {
+  async verifyOnchainEvent(eventType, metadata) {
     try {
       const { txHash, chainId, contractAddress, tokenSymbol } = metadata;
-      const contractRegistry = require('../utils/contractRegistry');
+      
+      // Only types with a decoded-log spec can be proven by a transaction
+      if (!abiRegistry.getEventSpec(eventType)) {
+        return {
+          verified: false,
+          retryable: false,
+          reason: 'This event type cannot be verified onchain'
+        };
+      }
       
       // Get expected contract address from registry if not provided
       let expectedContract = contractAddress;
       
       if (!expectedContract && tokenSymbol) {
-        // Auto-detect expected contract based on event type
-        const eventType = metadata.eventType || 'deposit'; // Default to deposit
         expectedContract = contractRegistry.getExpectedContract(eventType, metadata);
         
         logger.info('Auto-detected expected contract', {
@@ -168,8 +509,8 @@ class XPService {
       
       // Additional check: verify contract is a Nuvia contract
       if (verification.verified && verification.receipt?.to) {
-        const isNuviaContract = contractRegistry.isNuviaContract(verification.receipt.to);
-        const contractType = contractRegistry.getContractType(verification.receipt.to);
+        const isNuviaContract = contractRegistry.isNuviaContract(verification.receipt.to, chainId);
+        const contractType = contractRegistry.getContractType(verification.receipt.to, chainId);
         
         if (!isNuviaContract) {
           logger.warn('Transaction not sent to Nuvia contract', {
@@ -179,6 +520,7 @@ class XPService {
           
           return {
             verified: false,
+            retryable: false,
             reason: 'Transaction not sent to a valid Nuvia contract'
           };
         }
@@ -190,7 +532,25 @@ class XPService {
         });
       }
       
-      return verification;
+      if (!verification.verified) {
+        return verification;
+      }
+      
+      // Decode the actual event log emitted by the Nuvia contract
+      const decoding = await this.decodeOnchainEvent(eventType, txHash, chainId, expectedContract);
+      
+      if (!decoding.found) {
+        return {
+          verified: false,
+          retryable: false,
+          reason: decoding.reason
+        };
+      }
+      
+      return {
+        ...verification,
+        decoded: decoding.decoded
+      };
     } catch (error) {
       logger.error('Onchain verification error', {
         error: error.message,
@@ -199,54 +559,155 @@ class XPService {
       
       return {
         verified: false,
+        retryable: true,
         reason: error.message
       };
     }
   }
   
-  // Update quest progress based on event
+  // Decode the Deposit/Supply/... log backing an event from the transaction receipt
+  async decodeOnchainEvent(eventType, txHash, chainId, expectedContract = null) {
+    const spec = abiRegistry.getEventSpec(eventType);
+    
+    const parsedLogs = await web3Service.parseTransactionLogs(
+      txHash,
+      chainId,
+      abiRegistry.getABI(spec.contractType),
+      spec.eventName
+    );
+    
+    // Only trust logs emitted by a registered contract of the right type
+    const matchingLogs = parsedLogs.filter(log => {
+      if (contractRegistry.getContractType(log.address, chainId) !== spec.contractType) return false;
+      if (expectedContract && log.address.toLowerCase() !== expectedContract.toLowerCase()) return false;
+      return true;
+    });
+    
+    if (matchingLogs.length === 0) {
+      return {
+        found: false,
+        reason: `No ${spec.eventName} event emitted by a Nuvia ${spec.contractType} contract`
+      };
+    }
+    
+    const summary = this.summarizeEventLogs(spec, matchingLogs, chainId);
+    
+    if (summary.found) {
+      logger.info('Onchain event decoded', {
+        txHash,
+        chainId,
+        eventType,
+        ...summary.decoded
+      });
+    }
+    
+    return summary;
+  }
+  
+  // Reduce parsed logs of one event type to the token, amount and account they credit
+  summarizeEventLogs(spec, matchingLogs, chainId) {
+    // Sum every matching log credited to the same account from the same contract
+    const [firstLog] = matchingLogs;
+    const account = firstLog.args[spec.accountArg];
+    const relevantLogs = matchingLogs.filter(log =>
+      log.address.toLowerCase() === firstLog.address.toLowerCase() &&
+      log.args[spec.accountArg].toLowerCase() === account.toLowerCase()
+    );
+    const rawAmount = relevantLogs.reduce((sum, log) => sum + BigInt(log.args[spec.amountArg]), 0n);
+    
+    // Resolve the token from the log itself, falling back to the contract it was emitted by
+    const tokenAddress = spec.tokenArg
+      ? firstLog.args[spec.tokenArg]
+      : null;
+    const tokenSymbol = (tokenAddress && contractRegistry.getTokenSymbol(tokenAddress, chainId)) ||
+      contractRegistry.getContractTokenSymbol(firstLog.address, chainId);
+    const decimals = contractRegistry.getTokenDecimals(tokenSymbol, chainId);
+    
+    if (decimals === null) {
+      return {
+        found: false,
+        reason: `Unknown decimals for token ${tokenSymbol || tokenAddress}`
+      };
+    }
+    
+    const decoded = {
+      contractAddress: firstLog.address,
+      contractType: spec.contractType,
+      tokenSymbol,
+      tokenAddress: tokenAddress || contractRegistry.getToken(tokenSymbol, chainId) || null,
+      rawAmount: rawAmount.toString(),
+      amount: ethers.formatUnits(rawAmount, decimals),
+      depositor: account.toLowerCase(),
+      sender: spec.senderArg ? firstLog.args[spec.senderArg].toLowerCase() : null,
+      logCount: relevantLogs.length
+    };
+    
+    return { found: true, decoded };
+  }
+  
+  // Check the transaction sender or the decoded depositor/beneficiary is the user's wallet
+  async checkEventOwnership(userId, verification) {
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      return { owned: false, reason: 'User not found' };
+    }
+    
+    const wallet = user.walletAddress.toLowerCase();
+    const candidates = [
+      verification.receipt?.from,
+      verification.decoded?.depositor,
+      verification.decoded?.sender
+    ]
+      .filter(Boolean)
+      .map(address => address.toLowerCase());
+    
+    if (!candidates.includes(wallet)) {
+      return {
+        owned: false,
+        reason: 'Transaction does not belong to the authenticated wallet'
+      };
+    }
+    
+    return { owned: true };
+  }
+  
+  // Merge decoded onchain values over client-supplied metadata
+  applyDecodedEvent(metadata, verification) {
+    const { decoded, receipt } = verification;
+    
+    return {
+      ...metadata,
+      contractAddress: decoded.contractAddress,
+      tokenSymbol: decoded.tokenSymbol,
+      tokenAddress: decoded.tokenAddress,
+      amount: decoded.amount,
+      blockNumber: receipt?.blockNumber,
+      extra: {
+        ...(metadata.extra || {}),
+        rawAmount: decoded.rawAmount,
+        depositor: decoded.depositor,
+        sender: decoded.sender,
+        txFrom: receipt?.from?.toLowerCase(),
+        ...(metadata.amount !== undefined && metadata.amount !== decoded.amount && {
+          clientAmount: metadata.amount
+        })
+      }
+    };
+  }
+  
+  // Re-evaluate quests an event can move (every rule type is recomputed from history)
   async updateQuestProgress(userId, eventType, eventId) {
     try {
-      const Quest = require('../models/Quest');
-      
-      // Get active quests that match this event type
-      const activeQuests = await Quest.find({
-        isActive: true,
-        'rules.type': 'event_count',
-        'rules.eventType': eventType
-      });
+      const updated = await QuestProgress.evaluateQuests(userId, { eventType }, eventId);
       
-      for (const quest of activeQuests) {
-        // Get or create progress for current period
-        const now = new Date();
-        let periodStart, periodEnd;
-        
-        if (quest.cadence === 'daily') {
-          periodStart = new Date(now.setHours(0, 0, 0, 0));
-          periodEnd = new Date(now.setHours(23, 59, 59, 999));
-        } else if (quest.cadence === 'weekly') {
-          const dayOfWeek = now.getDay();
-          periodStart = new Date(now.setDate(now.getDate() - dayOfWeek));
-          periodStart.setHours(0, 0, 0, 0);
-          periodEnd = new Date(periodStart);
-          periodEnd.setDate(periodEnd.getDate() + 6);
-          periodEnd.setHours(23, 59, 59, 999);
-        }
-        
-        const progress = await QuestProgress.getOrCreate(
-          userId,
-          quest._id,
-          periodStart,
-          periodEnd
-        );
-        
-        await progress.updateProgress(1, eventId);
-        
+      for (const progress of updated) {
         logger.info('Quest progress updated', {
           userId,
-          questId: quest._id,
+          questId: progress.questId,
           eventType,
-          progressValue: progress.progressValue
+          progressValue: progress.progressValue,
+          isCompleted: progress.isCompleted
         });
       }
     } catch (error) {
@@ -284,16 +745,322 @@ class XPService {
     }
   }
   
-  // Get active XP rules
-  async getActiveRules() {
+  // Admin: grant (admin_adjustment) or deduct (penalty) XP with a mandatory reason
+  async adjustUserXP(userId, deltaXP, reason, adminWallet, type = null) {
     try {
-      return await XPRule.getActiveRules();
+      const ledgerReason = type || (deltaXP < 0 ? 'penalty' : 'admin_adjustment');
+      
+      if (ledgerReason === 'penalty' && deltaXP > 0) {
+        return {
+          success: false,
+          message: 'Penalties must deduct XP'
+        };
+      }
+      
+      const entry = await XPLedger.addXP(
+        userId,
+        deltaXP,
+        ledgerReason,
+        reason,
+        { adminWallet: adminWallet?.toLowerCase() }
+      );
+      
+      if (deltaXP > 0) {
+        await questService.evaluateXPQuests(userId);
+      }
+      
+      logger.info('XP adjusted by admin', {
+        userId,
+        deltaXP,
+        reason: ledgerReason,
+        adminWallet
+      });
+      
+      return {
+        success: true,
+        entry
+      };
+    } catch (error) {
+      if (error.message === 'Insufficient XP balance' || error.message === 'User not found') {
+        return {
+          success: false,
+          message: error.message
+        };
+      }
+      
+      logger.error('Adjust user XP error', {
+        error: error.message,
+        userId,
+        deltaXP
+      });
+      throw error;
+    }
+  }
+  
+  // Admin: reverse a ledger entry and undo the quest/referral state it paid for
+  async reverseLedgerEntry(entryId, reason, adminWallet) {
+    try {
+      const { entry, reversal } = await XPLedger.reverseEntry(
+        entryId,
+        `Reversal: ${reason}`,
+        { adminWallet: adminWallet?.toLowerCase(), extra: { reason } }
+      );
+      
+      await this.revertRewardState(entry, reason);
+      
+      logger.info('XP ledger entry reversed by admin', {
+        entryId,
+        reversalId: reversal._id,
+        userId: entry.userId,
+        deltaXP: reversal.deltaXP,
+        adminWallet
+      });
+      
+      return {
+        success: true,
+        entry,
+        reversal
+      };
+    } catch (error) {
+      const expected = [
+        'Ledger entry not found',
+        'Cannot reverse a reversal entry',
+        'Ledger entry has already been reversed',
+        'Insufficient XP balance'
+      ];
+      
+      if (expected.includes(error.message)) {
+        return {
+          success: false,
+          message: error.message
+        };
+      }
+      
+      logger.error('Reverse ledger entry error', {
+        error: error.message,
+        entryId
+      });
+      throw error;
+    }
+  }
+  
+  // Find the progress record a quest payout was for: by progressId, or for older entries by
+  // the period encoded in the payout key (quest:<questId>:<periodStart ISO | once>:<userId>)
+  getRewardedProgressQuery(entry) {
+    if (entry.metadata.progressId) {
+      return { _id: entry.metadata.progressId };
+    }
+    
+    const key = entry.idempotencyKey || '';
+    const prefix = `quest:${entry.metadata.questId}:`;
+    const suffix = `:${entry.userId}`;
+    
+    if (!key.startsWith(prefix) || !key.endsWith(suffix)) {
+      return null;
+    }
+    
+    const period = key.slice(prefix.length, -suffix.length);
+    const periodStart = period === 'once' ? null : new Date(period);
+    
+    if (periodStart && Number.isNaN(periodStart.getTime())) {
+      return null;
+    }
+    
+    return {
+      userId: entry.userId,
+      questId: entry.metadata.questId,
+      periodStart
+    };
+  }
+  
+  // Keep quest progress and referral records in line with a reversed reward
+  async revertRewardState(entry, reason) {
+    const Referral = require('../models/Referral');
+    
+    if (entry.reason === 'complete_quest' && entry.metadata?.questId) {
+      const query = this.getRewardedProgressQuery(entry);
+      
+      // Keep the claim closed; resetting it would let history re-complete and re-pay it
+      if (query) {
+        await QuestProgress.updateOne(query, {
+          $set: { revokedAt: new Date(), revocationReason: reason }
+        });
+      }
+    }
+    
+    const referralSide = {
+      referral_reward_inviter: 'inviterXP',
+      referral_reward_invitee: 'inviteeXP'
+    }[entry.reason];
+    
+    if (referralSide && entry.metadata?.referralId) {
+      const referral = await Referral.findById(entry.metadata.referralId);
+      
+      if (referral) {
+        referral.rewardDistributed[referralSide] = 0;
+        
+        // Once neither side holds the reward, the referral no longer counts
+        if (referral.rewardDistributed.inviterXP === 0 && referral.rewardDistributed.inviteeXP === 0) {
+          referral.status = 'rejected';
+          referral.rejectedAt = new Date();
+          referral.rejectionReason = `Rewards reversed: ${reason}`;
+        }
+        
+        await referral.save();
+      }
+    }
+  }
+  
+  // Compare every user's totalXP with their ledger sum; optionally repair mismatches
+  async reconcileBalances(options = {}) {
+    const {
+      repair = false,
+      batchSize = 500,
+      // Users touched this recently may have a ledger write in flight
+      settleMs = 60 * 1000
+    } = options;
+    
+    const report = {
+      checked: 0,
+      mismatches: [],
+      repaired: 0,
+      skipped: 0,
+      startedAt: new Date()
+    };
+    
+    let lastId = null;
+    
+    while (true) {
+      const query = lastId ? { _id: { $gt: lastId } } : {};
+      const users = await User.find(query)
+        .select('walletAddress totalXP updatedAt')
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .lean();
+      
+      if (users.length === 0) {
+        break;
+      }
+      
+      lastId = users[users.length - 1]._id;
+      const ledgerTotals = await XPLedger.sumByUsers(users.map(user => user._id));
+      
+      for (const user of users) {
+        report.checked++;
+        
+        const ledgerXP = ledgerTotals.get(user._id.toString()) || 0;
+        
+        if (ledgerXP === user.totalXP) {
+          continue;
+        }
+        
+        const mismatch = {
+          userId: user._id,
+          walletAddress: user.walletAddress,
+          totalXP: user.totalXP,
+          ledgerXP,
+          diff: user.totalXP - ledgerXP
+        };
+        
+        report.mismatches.push(mismatch);
+        
+        if (!repair) {
+          continue;
+        }
+        
+        if (Date.now() - new Date(user.updatedAt).getTime() < settleMs) {
+          report.skipped++;
+          continue;
+        }
+        
+        // Only overwrite the balance we compared against, so a concurrent write wins
+        const result = await User.updateOne(
+          { _id: user._id, totalXP: user.totalXP },
+          { $set: { totalXP: Math.max(ledgerXP, 0) } }
+        );
+        
+        if (result.modifiedCount > 0) {
+          mismatch.repaired = true;
+          report.repaired++;
+        } else {
+          report.skipped++;
+        }
+      }
+    }
+    
+    report.completedAt = new Date();
+    
+    if (report.mismatches.length > 0) {
+      logger.warn('XP balance mismatches found', {
+        checked: report.checked,
+        mismatches: report.mismatches.length,
+        repaired: report.repaired,
+        skipped: report.skipped,
+        sample: report.mismatches.slice(0, 20)
+      });
+    } else {
+      logger.info('XP balances reconciled', { checked: report.checked });
+    }
+    
+    return report;
+  }
+  
+  // Get active XP rules; with a userId each rule includes the user's remaining allowance
+  async getActiveRules(userId = null) {
+    try {
+      const rules = await XPRule.getActiveRules();
+      
+      if (!userId) {
+        return rules;
+      }
+      
+      return Promise.all(rules.map(async (rule) => {
+        const [limits, cooldown] = await Promise.all([
+          rule.checkLimits(userId),
+          rule.canUserEarnXP(userId)
+        ]);
+        
+        return {
+          ...rule.toObject(),
+          allowance: {
+            canEarn: limits.withinLimit && cooldown.canEarn,
+            nextAvailableAt: cooldown.nextAvailableAt || (limits.withinLimit ? null : limits.resetsAt),
+            remainingXP: limits.withinLimit ? limits.remainingXP : 0,
+            limits: limits.usage
+          }
+        };
+      }));
     } catch (error) {
       logger.error('Get active rules error', { error: error.message });
       throw error;
     }
   }
   
+  // Get campaigns currently boosting XP (targeting lists are left out)
+  async getRunningCampaigns() {
+    try {
+      const campaigns = await Campaign.getRunningCampaigns();
+      
+      return campaigns.map(campaign => ({
+        id: campaign._id,
+        name: campaign.name,
+        description: campaign.description,
+        multiplier: campaign.multiplier,
+        bonusXP: campaign.bonusXP,
+        actionTypes: campaign.actionTypes,
+        chainIds: campaign.chainIds,
+        tokenSymbols: campaign.tokenSymbols,
+        protocols: campaign.protocols,
+        waitlistOnly: campaign.waitlistOnly,
+        startsAt: campaign.startsAt,
+        endsAt: campaign.endsAt
+      }));
+    } catch (error) {
+      logger.error('Get running campaigns error', { error: error.message });
+      throw error;
+    }
+  }
+  
   // Seed default XP rules
   async seedDefaultRules() {
     try {
@@ -313,7 +1080,7 @@ class XPService {
           actionType: 'deposit',
           xpAmount: 100,
           minAmount: '10',
-          validChains: [84532], // Base Sepolia only
+          validChains: chainConfig.getChainIds(), // All configured chains
           description: 'Deposit funds into protocol',
           metadata: {
             displayName: 'Deposit',
@@ -324,7 +1091,7 @@ class XPService {
           actionType: 'supply',
           xpAmount: 150,
           minAmount: '10',
-          validChains: [84532], // Base Sepolia only
+          validChains: chainConfig.getChainIds(), // All configured chains
           description: 'Supply assets to lending protocol',
           metadata: {
             displayName: 'Supply Assets',
@@ -0,0 +1,105 @@
+// Registry of Nuvia contract ABIs and the onchain events that back each XP action
+const { ethers } = require('ethers');
+
+// ERC-4626 vault events, plus the views used to snapshot balances for holding XP
+const VAULT_ABI = [
+  'event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)',
+  'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function convertToAssets(uint256 shares) view returns (uint256)'
+];
+
+// Lending strategy events
+const STRATEGY_ABI = [
+  'event Supply(address indexed user, address indexed asset, uint256 amount)'
+];
+
+// Testnet faucet events
+const FAUCET_ABI = [
+  'event TokensClaimed(address indexed user, address indexed token, uint256 amount)'
+];
+
+// Which contract/log proves each event type, and which log args hold the amount and account
+const EVENT_SPECS = {
+  deposit: {
+    contractType: 'vault',
+    eventName: 'Deposit',
+    amountArg: 'assets',
+    accountArg: 'owner',
+    senderArg: 'sender',
+    requiresProof: true
+  },
+  withdraw: {
+    contractType: 'vault',
+    eventName: 'Withdraw',
+    amountArg: 'assets',
+    accountArg: 'owner',
+    senderArg: 'sender',
+    requiresProof: true
+  },
+  supply: {
+    contractType: 'strategy',
+    eventName: 'Supply',
+    amountArg: 'amount',
+    accountArg: 'user',
+    tokenArg: 'asset',
+    requiresProof: true
+  },
+  claim_faucet: {
+    contractType: 'faucet',
+    eventName: 'TokensClaimed',
+    amountArg: 'amount',
+    accountArg: 'user',
+    tokenArg: 'token',
+    requiresProof: false
+  }
+};
+
+class ABIRegistry {
+  constructor() {
+    this.abis = {
+      vault: VAULT_ABI,
+      strategy: STRATEGY_ABI,
+      faucet: FAUCET_ABI
+    };
+    this.interfaces = {};
+  }
+  
+  // Get ABI fragments for a contract type
+  getABI(contractType) {
+    return this.abis[contractType] || null;
+  }
+  
+  // Get (cached) ethers Interface for a contract type
+  getInterface(contractType) {
+    const abi = this.getABI(contractType);
+    if (!abi) return null;
+    
+    if (!this.interfaces[contractType]) {
+      this.interfaces[contractType] = new ethers.Interface(abi);
+    }
+    
+    return this.interfaces[contractType];
+  }
+  
+  // Get the onchain event spec for an XP event type
+  getEventSpec(eventType) {
+    return EVENT_SPECS[eventType] || null;
+  }
+  
+  // Map a decoded log back to the XP event type it represents
+  getEventTypeForLog(contractType, eventName) {
+    const match = Object.entries(EVENT_SPECS).find(([, spec]) =>
+      spec.contractType === contractType && spec.eventName === eventName
+    );
+    
+    return match ? match[0] : null;
+  }
+  
+  // Whether an event type can only be credited with a decoded onchain log
+  requiresOnchainProof(eventType) {
+    return EVENT_SPECS[eventType]?.requiresProof === true;
+  }
+}
+
+module.exports = new ABIRegistry();
@@ -1,28 +1,32 @@
-// Utility to parse and access Nuvia smart contract addresses
+// Utility to parse and access Nuvia smart contract addresses, keyed by chain
 const logger = require('./logger');
+const chainConfig = require('../config/chains');
 
 class ContractRegistry {
   constructor() {
-    this.contracts = {};
-    this.tokens = {};
+    this.chains = {};
+    this.defaultChainId = null;
     this.initialize();
   }
   
   initialize() {
     try {
-      // Parse contract addresses from env
-      if (process.env.TESTNET_CONTRACTS) {
-        this.contracts = JSON.parse(process.env.TESTNET_CONTRACTS);
+      for (const chain of Object.values(chainConfig.getChains())) {
+        this.chains[chain.chainId] = {
+          contracts: chain.contracts,
+          tokens: chain.tokens
+        };
       }
       
-      // Parse token addresses from env
-      if (process.env.TESTNET_TOKENS) {
-        this.tokens = JSON.parse(process.env.TESTNET_TOKENS);
-      }
+      this.defaultChainId = chainConfig.getDefaultChainId();
       
       logger.info('Contract registry initialized', {
-        contracts: Object.keys(this.contracts),
-        tokens: Object.keys(this.tokens)
+        defaultChainId: this.defaultChainId,
+        chains: Object.entries(this.chains).map(([chainId, chain]) => ({
+          chainId,
+          contracts: Object.keys(chain.contracts),
+          tokens: Object.keys(chain.tokens)
+        }))
       });
     } catch (error) {
       logger.error('Failed to parse contract addresses', {
@@ -31,63 +35,136 @@ class ContractRegistry {
     }
   }
   
+  // Get configured chain IDs
+  getChainIds() {
+    return Object.keys(this.chains).map(Number);
+  }
+  
+  // Get contracts and tokens for a chain (defaults to DEFAULT_CHAIN_ID)
+  getChain(chainId = null) {
+    return this.chains[chainId || this.defaultChainId] || { contracts: {}, tokens: {} };
+  }
+  
+  // Get contract map for a chain
+  getContracts(chainId = null) {
+    return this.getChain(chainId).contracts;
+  }
+  
   // Get faucet contract address
-  getFaucet() {
-    return this.contracts.faucet;
+  getFaucet(chainId = null) {
+    return this.getContracts(chainId).faucet;
+  }
+  
+  // Find a contract key case-insensitively (e.g. vaultcbBTC -> vaultCbBTC)
+  findContractKey(key, chainId = null) {
+    const normalizedKey = key.toLowerCase();
+    return Object.keys(this.getContracts(chainId)).find(k => k.toLowerCase() === normalizedKey) || null;
   }
   
   // Get vault address by token
-  getVault(token) {
-    const key = `vault${token}`;
-    return this.contracts[key];
+  getVault(token, chainId = null) {
+    const key = this.findContractKey(`vault${token}`, chainId);
+    return key ? this.getContracts(chainId)[key] : undefined;
   }
   
   // Get strategy address by token
-  getStrategy(token) {
-    const key = `strategy${token}`;
-    return this.contracts[key];
+  getStrategy(token, chainId = null) {
+    const key = this.findContractKey(`strategy${token}`, chainId);
+    return key ? this.getContracts(chainId)[key] : undefined;
   }
   
   // Get token address
-  getToken(symbol) {
-    return this.tokens[symbol];
+  getToken(symbol, chainId = null) {
+    return this.getChain(chainId).tokens[symbol]?.address;
+  }
+  
+  // Get token symbol by token address
+  getTokenSymbol(address, chainId = null) {
+    if (!address) return null;
+    
+    const normalizedAddress = address.toLowerCase();
+    
+    for (const [symbol, token] of Object.entries(this.getChain(chainId).tokens)) {
+      if (token.address?.toLowerCase() === normalizedAddress) {
+        return symbol;
+      }
+    }
+    
+    return null;
+  }
+  
+  // Get token decimals by symbol (case-insensitive)
+  getTokenDecimals(symbol, chainId = null) {
+    if (!symbol) return null;
+    
+    const { tokens } = this.getChain(chainId);
+    const key = Object.keys(tokens).find(k => k.toLowerCase() === symbol.toLowerCase());
+    
+    if (key && tokens[key].decimals !== null && tokens[key].decimals !== undefined) {
+      return tokens[key].decimals;
+    }
+    
+    const defaultKey = Object.keys(chainConfig.DEFAULT_TOKEN_DECIMALS)
+      .find(k => k.toLowerCase() === symbol.toLowerCase());
+    return defaultKey ? chainConfig.DEFAULT_TOKEN_DECIMALS[defaultKey] : null;
+  }
+  
+  // Get token USD price by symbol (case-insensitive), falling back to TOKEN_PRICES_USD
+  getTokenPrice(symbol, chainId = null) {
+    if (!symbol) return null;
+    
+    const { tokens } = this.getChain(chainId);
+    const key = Object.keys(tokens).find(k => k.toLowerCase() === symbol.toLowerCase());
+    
+    if (key && tokens[key].priceUsd !== null && tokens[key].priceUsd !== undefined) {
+      return Number(tokens[key].priceUsd);
+    }
+    
+    const prices = { ...chainConfig.DEFAULT_TOKEN_PRICES_USD, ...chainConfig.getPriceTable() };
+    const priceKey = Object.keys(prices).find(k => k.toLowerCase() === symbol.toLowerCase());
+    return priceKey ? Number(prices[priceKey]) : null;
   }
   
   // Get all vault addresses
-  getAllVaults() {
+  getAllVaults(chainId = null) {
     return {
-      USDC: this.contracts.vaultUSDC,
-      cbBTC: this.contracts.vaultCbBTC,
-      cbETH: this.contracts.vaultCbETH
+      USDC: this.getVault('USDC', chainId),
+      cbBTC: this.getVault('cbBTC', chainId),
+      cbETH: this.getVault('cbETH', chainId)
     };
   }
   
   // Get all strategy addresses
-  getAllStrategies() {
+  getAllStrategies(chainId = null) {
     return {
-      USDC: this.contracts.strategyUSDC,
-      cbBTC: this.contracts.strategyCbBTC,
-      cbETH: this.contracts.strategyCbETH
+      USDC: this.getStrategy('USDC', chainId),
+      cbBTC: this.getStrategy('cbBTC', chainId),
+      cbETH: this.getStrategy('cbETH', chainId)
     };
   }
   
+  // Get every registered contract address
+  getAllContractAddresses(chainId = null) {
+    return Object.values(this.getContracts(chainId)).filter(Boolean);
+  }
+  
   // Check if address is a valid Nuvia contract
-  isNuviaContract(address) {
+  isNuviaContract(address, chainId = null) {
     if (!address) return false;
     
     const normalizedAddress = address.toLowerCase();
-    const allContracts = Object.values(this.contracts).map(addr => addr?.toLowerCase());
+    const allContracts = this.getAllContractAddresses(chainId).map(addr => addr.toLowerCase());
     
     return allContracts.includes(normalizedAddress);
   }
   
   // Get contract type by address
-  getContractType(address) {
+  getContractType(address, chainId = null) {
     if (!address) return null;
     
     const normalizedAddress = address.toLowerCase();
     
-    for (const [key, contractAddress] of Object.entries(this.contracts)) {
+    for (const [key, contractAddress] of Object.entries(this.getContracts(chainId))) {
       if (contractAddress?.toLowerCase() === normalizedAddress) {
         if (key === 'faucet') return 'faucet';
         if (key.startsWith('vault')) return 'vault';
@@ -98,24 +175,47 @@ class ContractRegistry {
     return null;
   }
   
+  // Get the token symbol a vault/strategy contract is deployed for
+  getContractTokenSymbol(address, chainId = null) {
+    if (!address) return null;
+    
+    const normalizedAddress = address.toLowerCase();
+    
+    for (const [key, contractAddress] of Object.entries(this.getContracts(chainId))) {
+      if (contractAddress?.toLowerCase() !== normalizedAddress) continue;
+      
+      const suffix = key.replace(/^(vault|strategy)/, '');
+      if (!suffix || suffix === key) return null;
+      
+      // Prefer the canonical casing used in the token maps
+      const knownSymbols = [
+        ...Object.keys(this.getChain(chainId).tokens),
+        ...Object.keys(chainConfig.DEFAULT_TOKEN_DECIMALS)
+      ];
+      return knownSymbols.find(symbol => symbol.toLowerCase() === suffix.toLowerCase()) || suffix;
+    }
+    
+    return null;
+  }
+  
   // Get expected contract for event type
   getExpectedContract(eventType, metadata = {}) {
-    const { tokenSymbol } = metadata;
+    const { tokenSymbol, chainId } = metadata;
     
     switch (eventType) {
       case 'claim_faucet':
-        return this.getFaucet();
+        return this.getFaucet(chainId);
       
       case 'deposit':
       case 'withdraw':
         if (tokenSymbol) {
-          return this.getVault(tokenSymbol);
+          return this.getVault(tokenSymbol, chainId);
         }
         return null;
       
       case 'supply':
         if (tokenSymbol) {
-          return this.getStrategy(tokenSymbol);
+          return this.getStrategy(tokenSymbol, chainId);
         }
         return null;
       
@@ -0,0 +1,11 @@
+// Helpers for reading typed settings from environment variables
+
+// Read a non-negative integer; unlike `parseInt(...) || fallback`, an explicit 0 is kept
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : Math.max(value, 0);
+};
+
+module.exports = {
+  readInt
+};
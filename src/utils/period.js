@@ -0,0 +1,131 @@
+// Period boundaries (daily/weekly/monthly) shared by quests, leaderboards and XP limits,
+// computed in a configurable reset timezone instead of the server's local time
+const logger = require('./logger');
+
+class PeriodService {
+  constructor() {
+    this.timezone = this.resolveTimezone(process.env.PERIOD_TIMEZONE || 'UTC');
+    // 0 = Sunday ... 6 = Saturday
+    this.weekStartDay = Math.min(Math.max(parseInt(process.env.WEEK_START_DAY) || 0, 0), 6);
+    // Hour of the day (in the reset timezone) at which periods roll over
+    this.resetHour = Math.min(Math.max(parseInt(process.env.PERIOD_RESET_HOUR) || 0, 0), 23);
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+  
+  // Fall back to UTC when the configured timezone isn't a valid IANA name
+  resolveTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      logger.error('Invalid PERIOD_TIMEZONE, falling back to UTC', { timezone });
+      return 'UTC';
+    }
+  }
+  
+  // Wall-clock date parts of an instant in the reset timezone
+  getZonedParts(date) {
+    const parts = {};
+    
+    for (const { type, value } of this.formatter.formatToParts(date)) {
+      if (type !== 'literal') {
+        parts[type] = parseInt(value);
+      }
+    }
+    
+    return {
+      year: parts.year,
+      month: parts.month - 1,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      second: parts.second
+    };
+  }
+  
+  // Offset of the reset timezone from UTC at an instant, in ms
+  getOffset(date) {
+    const parts = this.getZonedParts(date);
+    const asUTC = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+    
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+  }
+  
+  // Instant of a wall-clock time in the reset timezone (day may overflow, like Date.UTC)
+  zonedTimeToDate(year, month, day, hour = 0) {
+    const wallClock = Date.UTC(year, month, day, hour);
+    let instant = wallClock - this.getOffset(new Date(wallClock));
+    
+    // Re-check once in case the guess landed on the other side of a DST change
+    instant = wallClock - this.getOffset(new Date(instant));
+    
+    return new Date(instant);
+  }
+  
+  // Get { periodStart, periodEnd } for a cadence ('daily', 'weekly', 'monthly') containing `date`.
+  // periodEnd is inclusive (1ms before the next period starts); other cadences have no period
+  getPeriod(cadence, date = new Date()) {
+    if (!['daily', 'weekly', 'monthly'].includes(cadence)) {
+      return { periodStart: null, periodEnd: null };
+    }
+    
+    // Before the reset hour (local wall-clock time, so DST days work too) still counts as the previous day
+    const parts = this.getZonedParts(date);
+    const localDay = new Date(Date.UTC(parts.year, parts.month, parts.day - (parts.hour < this.resetHour ? 1 : 0)));
+    const year = localDay.getUTCFullYear();
+    const month = localDay.getUTCMonth();
+    const day = localDay.getUTCDate();
+    
+    let startDay = day;
+    let endDay;
+    let endMonth = month;
+    
+    if (cadence === 'daily') {
+      endDay = day + 1;
+    } else if (cadence === 'weekly') {
+      const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+      startDay = day - ((weekday - this.weekStartDay + 7) % 7);
+      endDay = startDay + 7;
+    } else {
+      startDay = 1;
+      endDay = 1;
+      endMonth = month + 1;
+    }
+    
+    const periodStart = this.zonedTimeToDate(year, month, startDay, this.resetHour);
+    const nextStart = this.zonedTimeToDate(year, endMonth, endDay, this.resetHour);
+    
+    return {
+      periodStart,
+      periodEnd: new Date(nextStart.getTime() - 1)
+    };
+  }
+  
+  // Get when the current period of a cadence rolls over
+  getNextReset(cadence, date = new Date()) {
+    const { periodEnd } = this.getPeriod(cadence, date);
+    return periodEnd ? new Date(periodEnd.getTime() + 1) : null;
+  }
+  
+  // Current configuration and upcoming resets, for status endpoints
+  getConfig(date = new Date()) {
+    return {
+      timezone: this.timezone,
+      weekStartDay: this.weekStartDay,
+      resetHour: this.resetHour,
+      nextDailyReset: this.getNextReset('daily', date),
+      nextWeeklyReset: this.getNextReset('weekly', date)
+    };
+  }
+}
+
+module.exports = new PeriodService();
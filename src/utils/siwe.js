@@ -0,0 +1,246 @@
+// Build, parse and validate Sign-In with Ethereum (EIP-4361) messages
+const { ethers } = require('ethers');
+const chainConfig = require('../config/chains');
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_LABELS = {
+  uri: 'URI',
+  version: 'Version',
+  chainId: 'Chain ID',
+  nonce: 'Nonce',
+  issuedAt: 'Issued At',
+  expirationTime: 'Expiration Time',
+  notBefore: 'Not Before',
+  requestId: 'Request ID'
+};
+
+const REQUIRED_FIELDS = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+
+class SiweService {
+  // Get the sign-in settings. Read on use rather than at require time, so a bad SIWE_URI
+  // fails sign-in with a clear error instead of crashing the app on startup
+  getConfig() {
+    const uri = process.env.SIWE_URI || this.getCorsOrigin();
+    let url;
+    
+    try {
+      url = new URL(uri);
+    } catch (error) {
+      throw new Error(`SIWE_URI is not a valid URL: ${uri}`);
+    }
+    
+    return {
+      uri,
+      origin: url.origin,
+      domain: process.env.SIWE_DOMAIN || url.host,
+      statement: process.env.SIWE_STATEMENT || 'Sign in to Nuvia Finance.',
+      expirationMs: (parseInt(process.env.SIWE_EXPIRATION_MINUTES) || 5) * 60 * 1000,
+      clockSkewMs: parseInt(process.env.SIWE_CLOCK_SKEW_MS) || 60 * 1000,
+      legacyEnabled: process.env.SIWE_LEGACY_SIGNIN !== 'false'
+    };
+  }
+  
+  // Use the frontend origin from CORS_ORIGIN when SIWE_URI isn't set
+  getCorsOrigin() {
+    const corsOrigin = process.env.CORS_ORIGIN;
+    
+    if (corsOrigin && corsOrigin !== '*') {
+      try {
+        return new URL(corsOrigin).origin;
+      } catch (error) {
+        // Fall through to the local default
+      }
+    }
+    
+    return 'http://localhost:5173';
+  }
+  
+  // Message signed by the pre-SIWE frontends
+  buildLegacyMessage(nonce) {
+    return `Sign this message to authenticate with Nuvia Finance: ${nonce}`;
+  }
+  
+  // Create the SIWE fields and message for a sign-in request
+  createMessage({ address, nonce, chainId, requestId }) {
+    const config = this.getConfig();
+    const issuedAt = new Date();
+    
+    const fields = {
+      domain: config.domain,
+      address: ethers.getAddress(address),
+      statement: config.statement,
+      uri: config.uri,
+      version: '1',
+      chainId: Number(chainId),
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: new Date(issuedAt.getTime() + config.expirationMs).toISOString(),
+      requestId
+    };
+    
+    return {
+      fields,
+      message: this.buildMessage(fields)
+    };
+  }
+  
+  // Build an EIP-4361 message from its fields
+  buildMessage(fields) {
+    const lines = [
+      `${fields.domain}${HEADER_SUFFIX}`,
+      ethers.getAddress(fields.address),
+      ''
+    ];
+    
+    if (fields.statement) {
+      lines.push(fields.statement, '');
+    }
+    
+    lines.push(
+      `URI: ${fields.uri}`,
+      `Version: ${fields.version || '1'}`,
+      `Chain ID: ${fields.chainId}`,
+      `Nonce: ${fields.nonce}`,
+      `Issued At: ${fields.issuedAt}`
+    );
+    
+    if (fields.expirationTime) lines.push(`Expiration Time: ${fields.expirationTime}`);
+    if (fields.notBefore) lines.push(`Not Before: ${fields.notBefore}`);
+    if (fields.requestId) lines.push(`Request ID: ${fields.requestId}`);
+    
+    if (fields.resources?.length > 0) {
+      lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+    }
+    
+    return lines.join('\n');
+  }
+  
+  // Parse an EIP-4361 message; throws if it is malformed
+  parseMessage(message) {
+    if (typeof message !== 'string') {
+      throw new Error('SIWE message must be a string');
+    }
+    
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    let index = 0;
+    
+    const header = lines[index++];
+    if (!header.endsWith(HEADER_SUFFIX)) {
+      throw new Error('Invalid SIWE message header');
+    }
+    
+    const fields = {
+      domain: header.slice(0, -HEADER_SUFFIX.length),
+      address: lines[index++] || '',
+      resources: []
+    };
+    
+    if (!fields.domain || !ethers.isAddress(fields.address)) {
+      throw new Error('Invalid SIWE message domain or address');
+    }
+    
+    // A blank line, then an optional statement followed by another blank line
+    if (lines[index++] !== '') {
+      throw new Error('Invalid SIWE message format');
+    }
+    
+    if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+      fields.statement = lines[index++];
+      
+      if (lines[index++] !== '') {
+        throw new Error('Invalid SIWE message format');
+      }
+    }
+    
+    const labels = Object.entries(FIELD_LABELS);
+    
+    for (; index < lines.length; index++) {
+      const line = lines[index];
+      
+      if (line === 'Resources:') {
+        fields.resources = lines.slice(index + 1).map(resource => resource.replace(/^- /, ''));
+        break;
+      }
+      
+      const match = labels.find(([, label]) => line.startsWith(`${label}: `));
+      if (!match) {
+        throw new Error(`Unexpected SIWE message line: ${line}`);
+      }
+      
+      const [key, label] = match;
+      fields[key] = line.slice(label.length + 2);
+    }
+    
+    for (const key of REQUIRED_FIELDS) {
+      if (!fields[key]) {
+        throw new Error(`SIWE message is missing ${FIELD_LABELS[key]}`);
+      }
+    }
+    
+    fields.chainId = parseInt(fields.chainId);
+    
+    return fields;
+  }
+  
+  // Check a parsed message against this server and the expected signer/nonce
+  validateFields(fields, { address, nonce, now = new Date() }) {
+    const config = this.getConfig();
+    
+    if (fields.domain !== config.domain) {
+      return { valid: false, reason: `Message domain ${fields.domain} does not match ${config.domain}` };
+    }
+    
+    let uriOrigin;
+    try {
+      uriOrigin = new URL(fields.uri).origin;
+    } catch (error) {
+      return { valid: false, reason: 'Invalid message URI' };
+    }
+    
+    if (uriOrigin !== config.origin) {
+      return { valid: false, reason: 'Message URI does not match this application' };
+    }
+    
+    if (fields.version !== '1') {
+      return { valid: false, reason: `Unsupported SIWE version ${fields.version}` };
+    }
+    
+    if (fields.address.toLowerCase() !== address.toLowerCase()) {
+      return { valid: false, reason: 'Message address does not match wallet address' };
+    }
+    
+    if (!chainConfig.getChainIds().includes(fields.chainId)) {
+      return { valid: false, reason: `Chain ${fields.chainId} is not supported` };
+    }
+    
+    if (fields.nonce !== nonce) {
+      return { valid: false, reason: 'Message nonce does not match' };
+    }
+    
+    const issuedAt = new Date(fields.issuedAt);
+    if (isNaN(issuedAt) || issuedAt.getTime() - config.clockSkewMs > now.getTime()) {
+      return { valid: false, reason: 'Invalid message issue time' };
+    }
+    
+    if (fields.expirationTime) {
+      const expirationTime = new Date(fields.expirationTime);
+      
+      if (isNaN(expirationTime) || expirationTime <= now) {
+        return { valid: false, reason: 'Message has expired' };
+      }
+    }
+    
+    if (fields.notBefore) {
+      const notBefore = new Date(fields.notBefore);
+      
+      if (isNaN(notBefore) || notBefore.getTime() - config.clockSkewMs > now.getTime()) {
+        return { valid: false, reason: 'Message is not yet valid' };
+      }
+    }
+    
+    return { valid: true };
+  }
+}
+
+module.exports = new SiweService();
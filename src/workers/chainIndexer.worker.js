@@ -0,0 +1,79 @@
+const cron = require('node-cron');
+const indexerService = require('../services/indexer.service');
+const web3Service = require('../services/web3.service');
+const logger = require('../utils/logger');
+
+class ChainIndexerWorker {
+  constructor() {
+    this.jobs = [];
+    this.isRunning = false;
+  }
+  
+  // Start all cron jobs
+  start() {
+    logger.info('Starting chain indexer worker');
+    
+    // Follow new blocks every 30 seconds by default
+    const schedule = process.env.INDEXER_CRON || '*/30 * * * * *';
+    
+    const indexJob = cron.schedule(schedule, async () => {
+      await this.indexAllChains();
+    });
+    
+    this.jobs.push({ name: 'chain-indexer', job: indexJob });
+    
+    logger.info('Chain indexer worker started', {
+      jobs: this.jobs.map(j => j.name),
+      chains: Object.keys(web3Service.providers),
+      schedule
+    });
+  }
+  
+  // Index every configured chain
+  async indexAllChains() {
+    // Skip this tick if the previous run is still going
+    if (this.isRunning) {
+      return;
+    }
+    
+    this.isRunning = true;
+    
+    try {
+      for (const chainId of Object.keys(web3Service.providers)) {
+        try {
+          await indexerService.indexChain(Number(chainId));
+        } catch (error) {
+          logger.error('Chain indexing failed', {
+            chainId,
+            error: error.message,
+            stack: error.stack
+          });
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  // Stop all cron jobs
+  stop() {
+    logger.info('Stopping chain indexer worker');
+    
+    this.jobs.forEach(({ name, job }) => {
+      job.stop();
+      logger.info('Stopped job', { name });
+    });
+    
+    this.jobs = [];
+  }
+  
+  // Get worker status
+  getStatus() {
+    return {
+      running: this.jobs.length > 0,
+      jobs: this.jobs.map(({ name }) => name)
+    };
+  }
+}
+
+module.exports = new ChainIndexerWorker();
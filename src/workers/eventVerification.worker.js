@@ -0,0 +1,101 @@
+const cron = require('node-cron');
+const Event = require('../models/Event');
+const xpService = require('../services/xp.service');
+const logger = require('../utils/logger');
+
+class EventVerificationWorker {
+  constructor() {
+    this.jobs = [];
+    this.isRunning = false;
+  }
+  
+  // Start all cron jobs
+  start() {
+    logger.info('Starting event verification worker');
+    
+    // Poll the pending queue every 15 seconds by default
+    const schedule = process.env.EVENT_VERIFICATION_CRON || '*/15 * * * * *';
+    
+    const verifyJob = cron.schedule(schedule, async () => {
+      await this.processQueue();
+    });
+    
+    this.jobs.push({ name: 'event-verification', job: verifyJob });
+    
+    logger.info('Event verification worker started', {
+      jobs: this.jobs.map(j => j.name),
+      schedule
+    });
+  }
+  
+  // Verify a batch of due pending events
+  async processQueue() {
+    // Skip this tick if the previous batch is still running
+    if (this.isRunning) {
+      return;
+    }
+    
+    this.isRunning = true;
+    
+    const batchSize = parseInt(process.env.EVENT_VERIFICATION_BATCH_SIZE) || 25;
+    const leaseMs = parseInt(process.env.EVENT_VERIFICATION_LEASE_MS) || 60000;
+    const stats = { processed: 0, pending: 0, rejected: 0, failed: 0 };
+    
+    try {
+      for (let i = 0; i < batchSize; i++) {
+        const event = await Event.claimNextPending(leaseMs);
+        
+        if (!event) {
+          break;
+        }
+        
+        try {
+          await xpService.processPendingEvent(event);
+          stats[event.status] = (stats[event.status] || 0) + 1;
+        } catch (error) {
+          logger.error('Event verification failed', {
+            eventId: event._id,
+            error: error.message,
+            stack: error.stack
+          });
+          
+          // Leave the event pending, the lease expires and it is picked up again
+          stats.pending++;
+        }
+      }
+      
+      if (stats.processed || stats.pending || stats.rejected || stats.failed) {
+        logger.info('Event verification batch completed', stats);
+      }
+    } catch (error) {
+      logger.error('Event verification batch failed', {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  // Stop all cron jobs
+  stop() {
+    logger.info('Stopping event verification worker');
+    
+    this.jobs.forEach(({ name, job }) => {
+      job.stop();
+      logger.info('Stopped job', { name });
+    });
+    
+    this.jobs = [];
+  }
+  
+  // Get worker status
+  getStatus() {
+    return {
+      running: this.jobs.length > 0,
+      jobs: this.jobs.map(({ name }) => name)
+    };
+  }
+}
+
+module.exports = new EventVerificationWorker();
@@ -0,0 +1,112 @@
+const cron = require('node-cron');
+const holdingService = require('../services/holding.service');
+const periodService = require('../utils/period');
+const logger = require('../utils/logger');
+
+class HoldingWorker {
+  constructor() {
+    this.jobs = [];
+    this.isSnapshotting = false;
+    this.isPosting = false;
+    this.lastSnapshot = null;
+    this.lastPosting = null;
+  }
+  
+  // Start all cron jobs
+  start() {
+    logger.info('Starting holding worker');
+    
+    // Snapshot vault balances hourly by default
+    const snapshotSchedule = process.env.HOLDING_SNAPSHOT_CRON || '0 * * * *';
+    
+    // Post accrued holding XP to the ledger daily at 00:15 (reset timezone) by default
+    const postSchedule = process.env.HOLDING_POST_CRON || '15 0 * * *';
+    
+    const snapshotJob = cron.schedule(snapshotSchedule, async () => {
+      await this.snapshot();
+    });
+    
+    const postJob = cron.schedule(postSchedule, async () => {
+      await this.postRewards();
+    }, { timezone: periodService.timezone });
+    
+    this.jobs.push({ name: 'holding-snapshot', job: snapshotJob });
+    this.jobs.push({ name: 'holding-post', job: postJob });
+    
+    logger.info('Holding worker started', {
+      jobs: this.jobs.map(j => j.name),
+      snapshotSchedule,
+      postSchedule
+    });
+  }
+  
+  // Snapshot vault balances and accrue holding XP
+  async snapshot() {
+    if (this.isSnapshotting) {
+      return;
+    }
+    
+    this.isSnapshotting = true;
+    
+    try {
+      this.lastSnapshot = {
+        ...(await holdingService.snapshotAll()),
+        completedAt: new Date()
+      };
+    } catch (error) {
+      logger.error('Holding snapshot job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.isSnapshotting = false;
+    }
+  }
+  
+  // Post pending holding XP as daily ledger entries
+  async postRewards() {
+    if (this.isPosting) {
+      return;
+    }
+    
+    this.isPosting = true;
+    
+    try {
+      this.lastPosting = {
+        ...(await holdingService.postDailyRewards()),
+        completedAt: new Date()
+      };
+    } catch (error) {
+      logger.error('Holding reward posting failed', {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.isPosting = false;
+    }
+  }
+  
+  // Stop all cron jobs
+  stop() {
+    logger.info('Stopping holding worker');
+    
+    this.jobs.forEach(({ name, job }) => {
+      job.stop();
+      logger.info('Stopped job', { name });
+    });
+    
+    this.jobs = [];
+  }
+  
+  // Get worker status
+  getStatus() {
+    return {
+      running: this.jobs.length > 0,
+      jobs: this.jobs.map(({ name }) => name),
+      lastSnapshot: this.lastSnapshot,
+      lastPosting: this.lastPosting
+    };
+  }
+}
+
+module.exports = new HoldingWorker();
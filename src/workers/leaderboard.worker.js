@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const leaderboardService = require('../services/leaderboard.service');
+const periodService = require('../utils/period');
 const logger = require('../utils/logger');
 
 class LeaderboardWorker {
@@ -9,7 +10,7 @@ class LeaderboardWorker {
   
   // Start all cron jobs
   start() {
-    logger.info('Starting leaderboard worker');
+    logger.info('Starting leaderboard worker', { timezone: periodService.timezone });
     
     // Generate all-time leaderboard every hour
     const allTimeJob = cron.schedule('0 * * * *', async () => {
@@ -23,7 +24,7 @@ class LeaderboardWorker {
           stack: error.stack
         });
       }
-    });
+    }, { timezone: periodService.timezone });
     
     this.jobs.push({ name: 'all-time-leaderboard', job: allTimeJob });
     
@@ -39,7 +40,7 @@ class LeaderboardWorker {
           stack: error.stack
         });
       }
-    });
+    }, { timezone: periodService.timezone });
     
     this.jobs.push({ name: 'daily-leaderboard', job: dailyJob });
     
@@ -55,7 +56,7 @@ class LeaderboardWorker {
           stack: error.stack
         });
       }
-    });
+    }, { timezone: periodService.timezone });
     
     this.jobs.push({ name: 'weekly-leaderboard', job: weeklyJob });
     
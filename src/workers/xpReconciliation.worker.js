@@ -0,0 +1,85 @@
+const cron = require('node-cron');
+const xpService = require('../services/xp.service');
+const logger = require('../utils/logger');
+
+class XPReconciliationWorker {
+  constructor() {
+    this.jobs = [];
+    this.isRunning = false;
+    this.lastReport = null;
+  }
+  
+  // Start all cron jobs
+  start() {
+    logger.info('Starting XP reconciliation worker');
+    
+    // Compare balances against the ledger daily at 03:00 by default
+    const schedule = process.env.XP_RECONCILIATION_CRON || '0 3 * * *';
+    
+    const reconcileJob = cron.schedule(schedule, async () => {
+      await this.reconcile();
+    });
+    
+    this.jobs.push({ name: 'xp-reconciliation', job: reconcileJob });
+    
+    logger.info('XP reconciliation worker started', {
+      jobs: this.jobs.map(j => j.name),
+      schedule,
+      repair: process.env.XP_RECONCILIATION_REPAIR === 'true'
+    });
+  }
+  
+  // Reconcile every user's balance with the ledger
+  async reconcile() {
+    if (this.isRunning) {
+      return;
+    }
+    
+    this.isRunning = true;
+    
+    try {
+      const report = await xpService.reconcileBalances({
+        repair: process.env.XP_RECONCILIATION_REPAIR === 'true',
+        batchSize: parseInt(process.env.XP_RECONCILIATION_BATCH_SIZE) || 500
+      });
+      
+      this.lastReport = {
+        checked: report.checked,
+        mismatches: report.mismatches.length,
+        repaired: report.repaired,
+        skipped: report.skipped,
+        completedAt: report.completedAt
+      };
+    } catch (error) {
+      logger.error('XP reconciliation failed', {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  // Stop all cron jobs
+  stop() {
+    logger.info('Stopping XP reconciliation worker');
+    
+    this.jobs.forEach(({ name, job }) => {
+      job.stop();
+      logger.info('Stopped job', { name });
+    });
+    
+    this.jobs = [];
+  }
+  
+  // Get worker status
+  getStatus() {
+    return {
+      running: this.jobs.length > 0,
+      jobs: this.jobs.map(({ name }) => name),
+      lastReport: this.lastReport
+    };
+  }
+}
+
+module.exports = new XPReconciliationWorker();
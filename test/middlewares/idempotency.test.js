@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const IdempotencyRecord = require('../../src/models/IdempotencyRecord');
+const { idempotent } = require('../../src/middlewares/idempotency');
+
+// In-memory records with the unique { key, scope } index
+const setupStore = (t) => {
+  const records = [];
+  
+  t.mock.method(IdempotencyRecord, 'create', async (doc) => {
+    if (records.some(record => record.key === doc.key && record.scope === doc.scope)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    
+    const record = new IdempotencyRecord(doc);
+    record.updatedAt = new Date();
+    record.save = async () => record;
+    records.push(record);
+    return record;
+  });
+  
+  t.mock.method(IdempotencyRecord, 'findOne', async ({ key, scope }) =>
+    records.find(record => record.key === key && record.scope === scope) || null);
+  
+  t.mock.method(IdempotencyRecord, 'findOneAndUpdate', async (filter) => {
+    const record = records.find(candidate => candidate._id.equals(filter._id));
+    
+    if (!record || record.status !== filter.status || record.updatedAt > filter.updatedAt.$lte) {
+      return null;
+    }
+    
+    record.updatedAt = new Date();
+    return record;
+  });
+  
+  t.mock.method(IdempotencyRecord, 'deleteOne', async ({ _id }) => {
+    records.splice(records.findIndex(record => record._id.equals(_id)), 1);
+  });
+  
+  return records;
+};
+
+// App with a counting handler; x-user stands in for the protect middleware
+const startApp = async (t, handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.get('x-user')) {
+      req.user = { userId: req.get('x-user') };
+    }
+    next();
+  });
+  app.post('/api/things', idempotent, handler);
+  
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  
+  const url = `http://127.0.0.1:${server.address().port}/api/things`;
+  
+  return async (body, headers = {}) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    const json = await response.json();
+    
+    // Let the finish listener store the response
+    await new Promise(resolve => setImmediate(resolve));
+    
+    return { status: response.status, body: json, replayed: response.headers.get('idempotent-replayed') };
+  };
+};
+
+const countingHandler = () => {
+  let calls = 0;
+  const handler = (req, res) => {
+    calls++;
+    res.status(201).json({ success: true, call: calls });
+  };
+  
+  return { handler, calls: () => calls };
+};
+
+test('a retry with the same key and payload replays the stored response', async (t) => {
+  setupStore(t);
+  const counter = countingHandler();
+  const post = await startApp(t, counter.handler);
+  const headers = { 'Idempotency-Key': 'key-1', 'x-user': 'user-1' };
+  
+  const first = await post({ amount: 5 }, headers);
+  const retry = await post({ amount: 5 }, headers);
+  
+  assert.strictEqual(counter.calls(), 1);
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.replayed, null);
+  assert.strictEqual(retry.status, 201);
+  assert.deepStrictEqual(retry.body, first.body);
+  assert.strictEqual(retry.replayed, 'true');
+});
+
+test('reusing a key with a different payload is a 409', async (t) => {
+  setupStore(t);
+  const counter = countingHandler();
+  const post = await startApp(t, counter.handler);
+  const headers = { 'Idempotency-Key': 'key-1', 'x-user': 'user-1' };
+  
+  await post({ amount: 5 }, headers);
+  const conflict = await post({ amount: 6 }, headers);
+  
+  assert.strictEqual(conflict.status, 409);
+  assert.match(conflict.body.message, /different request/);
+  assert.strictEqual(counter.calls(), 1);
+});
+
+test('server errors are not stored so the same key can be retried', async (t) => {
+  const records = setupStore(t);
+  let calls = 0;
+  const post = await startApp(t, (req, res) => {
+    calls++;
+    
+    if (calls === 1) {
+      return res.status(500).json({ success: false, message: 'Database unavailable' });
+    }
+    
+    res.status(200).json({ success: true });
+  });
+  const headers = { 'Idempotency-Key': 'key-1', 'x-user': 'user-1' };
+  
+  assert.strictEqual((await post({}, headers)).status, 500);
+  assert.strictEqual(records.length, 0);
+  
+  const retry = await post({}, headers);
+  
+  assert.strictEqual(retry.status, 200);
+  assert.strictEqual(retry.replayed, null);
+  assert.strictEqual(calls, 2);
+});
+
+test('client errors are stored and replayed', async (t) => {
+  setupStore(t);
+  let calls = 0;
+  const post = await startApp(t, (req, res) => {
+    calls++;
+    res.status(400).json({ success: false, message: 'Invalid amount' });
+  });
+  const headers = { 'Idempotency-Key': 'key-1' };
+  
+  await post({}, headers);
+  const retry = await post({}, headers);
+  
+  assert.strictEqual(retry.status, 400);
+  assert.strictEqual(retry.replayed, 'true');
+  assert.strictEqual(calls, 1);
+});
+
+test('keys are scoped per user, and unauthenticated requests share the anonymous scope', async (t) => {
+  const records = setupStore(t);
+  const counter = countingHandler();
+  const post = await startApp(t, counter.handler);
+  
+  await post({}, { 'Idempotency-Key': 'shared', 'x-user': 'user-1' });
+  await post({}, { 'Idempotency-Key': 'shared', 'x-user': 'user-2' });
+  
+  assert.strictEqual(counter.calls(), 2);
+  
+  await post({}, { 'Idempotency-Key': 'shared' });
+  const anonymousRetry = await post({}, { 'Idempotency-Key': 'shared' });
+  
+  assert.strictEqual(counter.calls(), 3);
+  assert.strictEqual(anonymousRetry.replayed, 'true');
+  assert.deepStrictEqual(records.map(record => record.scope), ['user-1', 'user-2', 'anonymous']);
+});
+
+test('a key whose first request is still running is a 409 until the lock goes stale', async (t) => {
+  const records = setupStore(t);
+  const counter = countingHandler();
+  const post = await startApp(t, counter.handler);
+  const headers = { 'Idempotency-Key': 'key-1', 'x-user': 'user-1' };
+  
+  const first = await post({ amount: 1 }, headers);
+  
+  // Put the reservation back in flight, as if the first request were still running
+  records[0].status = 'in_progress';
+  const busy = await post({ amount: 1 }, headers);
+  
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(busy.status, 409);
+  assert.match(busy.body.message, /still being processed/);
+  
+  // Past the lock timeout the reservation is taken over and the handler runs again
+  records[0].updatedAt = new Date(Date.now() - 5 * 60 * 1000);
+  const takenOver = await post({ amount: 1 }, headers);
+  
+  assert.strictEqual(takenOver.status, 201);
+  assert.strictEqual(counter.calls(), 2);
+});
+
+test('overlong keys are rejected', async (t) => {
+  setupStore(t);
+  const counter = countingHandler();
+  const post = await startApp(t, counter.handler);
+  
+  const result = await post({}, { 'Idempotency-Key': 'k'.repeat(256) });
+  
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(counter.calls(), 0);
+});
+
+test('requests without a key are not tracked', async (t) => {
+  const records = setupStore(t);
+  const counter = countingHandler();
+  const post = await startApp(t, counter.handler);
+  
+  await post({});
+  await post({});
+  
+  assert.strictEqual(counter.calls(), 2);
+  assert.strictEqual(records.length, 0);
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Quest = require('../../src/models/Quest');
+const Event = require('../../src/models/Event');
+const XPLedger = require('../../src/models/XPLedger');
+const User = require('../../src/models/User');
+const Waitlist = require('../../src/models/Waitlist');
+
+const userId = new mongoose.Types.ObjectId();
+const TX = '0xabc';
+
+// The user's processed events, email, wallet, balance, period XP and waitlist signup.
+// Event.find applies the type, chain, token and occurredAt filters evaluateProgress builds
+const setupUser = (t, { events = [], email = null, totalXP = 0, periodXP = 0, onWaitlist = false } = {}) => {
+  const matches = (pattern, value) => pattern.$in.some(regex => regex.test(value));
+  
+  t.mock.method(Event, 'find', (query) => ({
+    select: () => ({
+      lean: async () => events.filter(event =>
+        (!query.type || query.type.$in.includes(event.type)) &&
+        (!query['metadata.chainId'] || query['metadata.chainId'].$in.includes(event.metadata.chainId)) &&
+        (!query['metadata.tokenSymbol'] || matches(query['metadata.tokenSymbol'], event.metadata.tokenSymbol)) &&
+        (!query['metadata.protocol'] || matches(query['metadata.protocol'], event.metadata.protocol)) &&
+        (!query.occurredAt || (event.occurredAt >= query.occurredAt.$gte && event.occurredAt <= query.occurredAt.$lte)))
+    })
+  }));
+  
+  t.mock.method(User, 'findById', () => ({
+    select: async () => ({ _id: userId, email, walletAddress: '0xwallet', totalXP })
+  }));
+  
+  t.mock.method(XPLedger, 'aggregate', async () => (periodXP ? [{ _id: null, total: periodXP }] : []));
+  t.mock.method(Waitlist, 'exists', async () => (onWaitlist ? { _id: 'entry' } : null));
+};
+
+const deposit = (fields = {}) => ({
+  type: 'deposit',
+  occurredAt: new Date('2026-03-18T10:00:00Z'),
+  metadata: { txHash: TX, chainId: 84532, tokenSymbol: 'USDC', amount: '100', valueUsd: 100, ...fields }
+});
+
+const customQuest = (customLogic) => new Quest({
+  name: 'Custom',
+  description: 'Custom quest',
+  rewardXP: 10,
+  rules: { type: 'custom', customLogic }
+});
+
+const progress = (customLogic, ...period) => customQuest(customLogic).evaluateProgress(userId, ...period);
+
+test('an and group counts each satisfied top-level condition', async (t) => {
+  setupUser(t, { events: [deposit()], totalXP: 50 });
+  
+  const result = await progress({
+    op: 'and',
+    conditions: [
+      { eventType: 'deposit' },
+      { eventType: 'supply' },
+      { minXP: 40 }
+    ]
+  });
+  
+  assert.deepStrictEqual(result, { progressValue: 2, targetValue: 3 });
+});
+
+test('an or group needs one satisfied condition', async (t) => {
+  setupUser(t, { events: [deposit()] });
+  
+  assert.deepStrictEqual(
+    await progress({ op: 'or', conditions: [{ eventType: 'supply' }, { eventType: 'deposit' }] }),
+    { progressValue: 1, targetValue: 1 }
+  );
+  assert.deepStrictEqual(
+    await progress({ op: 'or', conditions: [{ eventType: 'supply' }, { eventType: 'swap' }] }),
+    { progressValue: 0, targetValue: 1 }
+  );
+});
+
+test('nested groups are evaluated like boolean expressions', async (t) => {
+  setupUser(t, { events: [deposit({ chainId: 8453 })], email: 'user@nuvia.finance' });
+  
+  // deposit on Base and (an email or 1000 XP), or a supply
+  const logic = {
+    op: 'or',
+    conditions: [
+      {
+        op: 'and',
+        conditions: [
+          { eventType: 'deposit', chainIds: [8453] },
+          { op: 'or', conditions: [{ profile: 'email' }, { minXP: 1000 }] }
+        ]
+      },
+      { eventType: 'supply' }
+    ]
+  };
+  
+  assert.deepStrictEqual(await progress(logic), { progressValue: 1, targetValue: 1 });
+  
+  logic.conditions[0].conditions[0].chainIds = [84532];
+  assert.deepStrictEqual(await progress(logic), { progressValue: 0, targetValue: 1 });
+});
+
+test('event filters match tokens and protocols case-insensitively and need verified amounts', async (t) => {
+  setupUser(t, {
+    events: [
+      deposit({ tokenSymbol: 'usdc', protocol: 'Aave', valueUsd: 60 }),
+      deposit({ valueUsd: 50 }),
+      // Offchain events carry no verified amount
+      deposit({ txHash: undefined, valueUsd: 1000 })
+    ]
+  });
+  
+  const condition = (fields) => ({ op: 'and', conditions: [{ eventType: 'deposit', ...fields }] });
+  
+  assert.strictEqual((await progress(condition({ tokenSymbols: ['USDC'], minAmount: 110 }))).progressValue, 1);
+  assert.strictEqual((await progress(condition({ tokenSymbols: ['USDC'], minAmount: 111 }))).progressValue, 0);
+  assert.strictEqual((await progress(condition({ protocols: ['aave'], minAmount: 60 }))).progressValue, 1);
+  assert.strictEqual((await progress(condition({ protocols: ['aave'], minCount: 2 }))).progressValue, 0);
+  assert.strictEqual((await progress(condition({ tokenSymbols: ['USDC'], amountBasis: 'token', minAmount: 200 }))).progressValue, 1);
+  assert.strictEqual((await progress(condition({ tokenSymbols: ['USDC'], amountBasis: 'token', minAmount: 201 }))).progressValue, 0);
+});
+
+test('profile conditions check the account email or a waitlist signup', async (t) => {
+  const logic = { op: 'and', conditions: [{ profile: 'email' }] };
+  
+  setupUser(t, { email: 'user@nuvia.finance' });
+  assert.strictEqual((await progress(logic)).progressValue, 1);
+  
+  t.mock.restoreAll();
+  setupUser(t, { onWaitlist: true });
+  assert.strictEqual((await progress(logic)).progressValue, 1);
+  
+  t.mock.restoreAll();
+  setupUser(t, {});
+  assert.strictEqual((await progress(logic)).progressValue, 0);
+});
+
+test('minXP uses the balance for one-time quests and XP earned in the period otherwise', async (t) => {
+  setupUser(t, { totalXP: 500, periodXP: 80 });
+  const logic = { op: 'and', conditions: [{ minXP: 100 }] };
+  
+  assert.strictEqual((await progress(logic)).progressValue, 1);
+  assert.strictEqual((await progress(logic, new Date('2026-03-18T00:00:00Z'), new Date('2026-03-18T23:59:59Z'))).progressValue, 0);
+});
+
+test('only events inside the period count for periodic quests', async (t) => {
+  setupUser(t, { events: [deposit(), { ...deposit(), occurredAt: new Date('2026-03-10T10:00:00Z') }] });
+  const logic = { op: 'and', conditions: [{ eventType: 'deposit', minCount: 2 }] };
+  
+  assert.strictEqual((await progress(logic)).progressValue, 1);
+  assert.strictEqual((await progress(logic, new Date('2026-03-18T00:00:00Z'), new Date('2026-03-18T23:59:59Z'))).progressValue, 0);
+});
+
+test('valid logic passes validation', () => {
+  assert.strictEqual(Quest.validateCustomLogic({
+    op: 'and',
+    conditions: [
+      { eventTypes: ['deposit', 'supply'], chainIds: [84532], minAmount: 100 },
+      { op: 'or', conditions: [{ profile: 'waitlist' }, { minXP: '250' }] },
+      { eventType: 'deposit', tokenSymbols: ['USDC'], amountBasis: 'token', minAmount: 5 }
+    ]
+  }), null);
+});
+
+test('invalid logic is rejected', () => {
+  const reject = (logic, message) => assert.match(Quest.validateCustomLogic(logic), message);
+  const nest = (depth) => (depth === 0 ? { eventType: 'deposit' } : { op: 'and', conditions: [nest(depth - 1)] });
+  
+  reject(null, /must be an object/);
+  reject([], /must be an object/);
+  reject({ op: 'xor', conditions: [{ minXP: 1 }] }, /op must be/);
+  reject({ op: 'and', conditions: [] }, /at least one condition/);
+  reject({ op: 'and', conditions: Array(11).fill({ minXP: 1 }) }, /at most 10 conditions/);
+  reject({ op: 'and', conditions: [{ minXP: 1 }], extra: true }, /Unknown customLogic key: extra/);
+  reject({ op: 'and', conditions: ['deposit'] }, /must be objects/);
+  reject(nest(4), /nested at most 3 levels/);
+  reject({ op: 'and', conditions: [{ minXP: 10, eventType: 'deposit' }] }, /cannot be combined/);
+  reject({ op: 'and', conditions: [{ minXP: -1 }] }, /non-negative/);
+  reject({ op: 'and', conditions: [{ profile: 'twitter' }] }, /profile must be one of/);
+  reject({ op: 'and', conditions: [{ profile: 'email', minCount: 1 }] }, /cannot be combined/);
+  reject({ op: 'and', conditions: [{ eventType: 'deposit', color: 'blue' }] }, /Unknown customLogic condition key: color/);
+  reject({ op: 'and', conditions: [{ eventType: 7 }] }, /eventType must be a string/);
+  reject({ op: 'and', conditions: [{ chainIds: 84532 }] }, /chainIds must be an array/);
+  reject({ op: 'and', conditions: [{ chainIds: ['base'] }] }, /chainIds must be integers/);
+  reject({ op: 'and', conditions: [{ eventType: 'deposit', minCount: 'two' }] }, /minCount/);
+  reject({ op: 'and', conditions: [{ eventType: 'deposit', minAmount: '' }] }, /minAmount/);
+  reject({ op: 'and', conditions: [{ eventType: 'deposit', amountBasis: 'eur' }] }, /amountBasis must be/);
+  reject({ op: 'and', conditions: [{ eventType: 'deposit', amountBasis: 'token', minAmount: 1 }] }, /exactly one tokenSymbol/);
+});
+
+test('saving a quest with invalid custom logic fails validation', async () => {
+  const quest = customQuest({ op: 'and', conditions: [{ profile: 'twitter' }] });
+  
+  await assert.rejects(quest.validate(), (error) => /profile must be one of/.test(error.errors['rules.customLogic'].message));
+});
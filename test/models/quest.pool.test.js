@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Quest = require('../../src/models/Quest');
+const QuestProgress = require('../../src/models/QuestProgress');
+const DailyQuestSelection = require('../../src/models/DailyQuestSelection');
+
+const now = new Date('2026-03-18T15:00:00Z');
+const today = new Date('2026-03-18T00:00:00Z');
+
+const template = (name, fields = {}) => new Quest({
+  name,
+  description: name,
+  cadence: 'daily',
+  rewardXP: 10,
+  rules: { type: 'action_once', eventType: 'deposit' },
+  pool: { enabled: true, weight: 1 },
+  ...fields
+});
+
+// Stored picks per user; any attempt to store a new pick fails the test
+const setupSelections = (t, pool, stored = []) => {
+  const lookups = [];
+  
+  t.mock.method(Quest, 'getActivePool', async () => pool);
+  t.mock.method(DailyQuestSelection, 'find', (query) => {
+    lookups.push(query);
+    
+    return {
+      select: () => ({
+        lean: async () => stored.filter(selection =>
+          query.userId.$in.some(userId => userId.toString() === selection.userId.toString()) &&
+          selection.periodStart.getTime() === query.periodStart.getTime())
+      })
+    };
+  });
+  t.mock.method(DailyQuestSelection, 'findOneAndUpdate', async () => {
+    throw new Error('Pool selection should not be stored');
+  });
+  
+  return lookups;
+};
+
+const ids = (quests) => quests.map(quest => quest._id.toString());
+const userId = (i) => (i + 1).toString(16).padStart(24, '0');
+
+test('selectFromPool gives the same pick for the same user and day', () => {
+  const pool = ['A', 'B', 'C', 'D', 'E', 'F'].map(name => template(name));
+  const config = { size: 3, balanceDifficulty: false };
+  
+  const first = Quest.selectFromPool(pool, userId(0), today, config);
+  const again = Quest.selectFromPool([...pool].reverse(), userId(0), new Date(today), config);
+  
+  assert.strictEqual(first.length, 3);
+  assert.deepStrictEqual(ids(again), ids(first));
+});
+
+test('selectFromPool varies the pick by day and by user', () => {
+  const pool = 'ABCDEFGHIJ'.split('').map(name => template(name));
+  const config = { size: 3, balanceDifficulty: false };
+  const pick = (user, day) => ids(Quest.selectFromPool(pool, userId(user), day, config)).sort().join();
+  
+  const days = Array.from({ length: 10 }, (_, i) => new Date(today.getTime() + i * 86400000));
+  
+  assert.ok(new Set(days.map(day => pick(0, day))).size > 1);
+  assert.ok(new Set(Array.from({ length: 10 }, (_, i) => pick(i, today))).size > 1);
+});
+
+test('selectFromPool picks the configured size and skips zero-weight templates', () => {
+  const pool = [
+    template('A'),
+    template('B'),
+    template('Off', { pool: { enabled: true, weight: 0 } })
+  ];
+  
+  assert.deepStrictEqual(Quest.selectFromPool(pool, userId(0), today, { size: 0 }), []);
+  assert.strictEqual(Quest.selectFromPool(pool, userId(0), today, { size: 1 }).length, 1);
+  
+  for (let i = 0; i < 20; i++) {
+    assert.deepStrictEqual(ids(Quest.selectFromPool(pool, userId(i), today, { size: 3 })).sort(), ids(pool.slice(0, 2)).sort());
+  }
+});
+
+test('selectFromPool picks one quest per difficulty when balanced', () => {
+  const pool = ['easy', 'easy', 'easy', 'medium', 'medium', 'hard'].map((difficulty, i) =>
+    template(`Q${i}`, { metadata: { difficulty }, pool: { enabled: true, weight: difficulty === 'hard' ? 1 : 5 } }));
+  
+  for (let i = 0; i < 20; i++) {
+    const picked = Quest.selectFromPool(pool, userId(i), today, { size: 3, balanceDifficulty: true });
+    
+    assert.deepStrictEqual(picked.map(quest => quest.metadata.difficulty).sort(), ['easy', 'hard', 'medium']);
+  }
+});
+
+test('selectFromPool picks heavier templates more often', () => {
+  const light = template('Light', { pool: { enabled: true, weight: 1 } });
+  const heavy = template('Heavy', { pool: { enabled: true, weight: 4 } });
+  const counts = { Light: 0, Heavy: 0 };
+  
+  for (let i = 0; i < 1000; i++) {
+    const [picked] = Quest.selectFromPool([light, heavy], userId(i), today, { size: 1 });
+    counts[picked.name]++;
+  }
+  
+  // Expected share for weight 4 vs 1 is 80%
+  assert.ok(counts.Heavy > 720 && counts.Heavy < 880, `Heavy picked ${counts.Heavy} times`);
+});
+
+test('getPoolSelections uses stored picks and previews the rest without storing them', async (t) => {
+  const pool = ['A', 'B', 'C', 'D', 'E'].map(name => template(name));
+  const [stored, fresh] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  setupSelections(t, pool, [{ userId: stored, periodStart: today, questIds: [pool[4]._id] }]);
+  
+  const selections = await Quest.getPoolSelections([stored.toString(), fresh.toString()], now);
+  const preview = Quest.selectFromPool(pool, fresh.toString(), today).map(quest => quest._id.toString());
+  
+  assert.deepStrictEqual([...selections.get(stored.toString())], [pool[4]._id.toString()]);
+  assert.deepStrictEqual([...selections.get(fresh.toString())], preview);
+});
+
+test('getPoolSelections loads stored picks in batches', async (t) => {
+  const userIds = Array.from({ length: 5 }, () => new mongoose.Types.ObjectId().toString());
+  const lookups = setupSelections(t, [template('A')]);
+  
+  const selections = await Quest.getPoolSelections(userIds, now, 2);
+  
+  assert.deepStrictEqual(lookups.map(lookup => lookup.userId.$in.length), [2, 2, 1]);
+  assert.strictEqual(selections.size, 5);
+});
+
+test('backfilling a pooled quest only evaluates users it was picked for and stores no picks', async (t) => {
+  const pool = ['A', 'B', 'C', 'D', 'E', 'F'].map(name => template(name));
+  const quest = pool[0];
+  const userIds = Array.from({ length: 12 }, (_, i) => (i + 1).toString(16).padStart(24, '0'));
+  setupSelections(t, pool);
+  
+  t.mock.method(quest, 'findCandidateUserIds', async () => userIds);
+  t.mock.method(QuestProgress, 'distinct', async () => []);
+  t.mock.method(QuestProgress, 'exists', async () => null);
+  t.mock.method(Quest, 'getUnlockContext', async () => ({}));
+  const evaluate = t.mock.method(QuestProgress, 'evaluateQuest', async () => null);
+  
+  const report = await QuestProgress.backfillQuest(quest, now);
+  
+  const picked = userIds.filter(userId => Quest.selectFromPool(pool, userId, today).includes(quest));
+  
+  assert.ok(picked.length > 0 && picked.length < userIds.length);
+  assert.strictEqual(report.checked, picked.length);
+  assert.deepStrictEqual(evaluate.mock.calls.map(call => call.arguments[1]), picked);
+});
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Streak = require('../../src/models/Streak');
+const User = require('../../src/models/User');
+const XPLedger = require('../../src/models/XPLedger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+const questId = new mongoose.Types.ObjectId();
+const day = (n) => new Date(Date.UTC(2026, 2, 1, 12) + n * DAY_MS);
+const LOGIN = { type: 'login', cadence: 'daily' };
+
+// One user's streaks, freeze balance and streak bonus ledger entries
+const setupStore = (t, { streakFreezes = 0, loseRace = false } = {}) => {
+  const state = { streaks: new Map(), streakFreezes, payouts: [] };
+  
+  t.mock.method(Streak, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.key) {
+      if (!state.streaks.has(filter.key)) {
+        state.streaks.set(filter.key, new Streak({ userId, key: filter.key, ...update.$setOnInsert }));
+      }
+      
+      return state.streaks.get(filter.key);
+    }
+    
+    const streak = [...state.streaks.values()].find(candidate => candidate._id.equals(filter._id));
+    
+    if (loseRace || String(streak.lastPeriodStart) !== String(filter.lastPeriodStart)) {
+      return null;
+    }
+    
+    streak.set(update.$set);
+    streak.freezesUsed += update.$inc.freezesUsed;
+    return streak;
+  });
+  
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    const limit = filter.streakFreezes;
+    
+    if (limit && ((limit.$gte !== undefined && state.streakFreezes < limit.$gte) ||
+      (limit.$lt !== undefined && state.streakFreezes >= limit.$lt))) {
+      return { modifiedCount: 0 };
+    }
+    
+    state.streakFreezes += update.$inc.streakFreezes;
+    return { modifiedCount: 1 };
+  });
+  
+  t.mock.method(XPLedger, 'addXP', async (id, deltaXP, reason, description, metadata, eventId, options) => {
+    if (state.payouts.some(payout => payout.idempotencyKey === options.idempotencyKey)) {
+      const error = new Error('Duplicate ledger entry');
+      error.code = 'DUPLICATE_LEDGER_ENTRY';
+      throw error;
+    }
+    
+    state.payouts.push({ deltaXP, reason, description, idempotencyKey: options.idempotencyKey });
+  });
+  
+  return state;
+};
+
+// Record the login streak on each of the given days, returning the last result
+const loginOn = async (days) => {
+  let result;
+  
+  for (const n of days) {
+    result = await Streak.recordPeriod(userId, LOGIN, day(n));
+  }
+  
+  return result;
+};
+
+test('consecutive days extend the streak and a repeat within the day does not', async (t) => {
+  setupStore(t);
+  
+  const first = await Streak.recordPeriod(userId, LOGIN, day(0));
+  
+  assert.strictEqual(first.extended, true);
+  assert.strictEqual(first.streak.current, 1);
+  
+  const second = await Streak.recordPeriod(userId, LOGIN, day(1));
+  
+  assert.strictEqual(second.streak.current, 2);
+  assert.strictEqual(second.streak.best, 2);
+  
+  const repeat = await Streak.recordPeriod(userId, LOGIN, new Date(day(1).getTime() + 60 * 60 * 1000));
+  
+  assert.strictEqual(repeat.extended, false);
+  assert.strictEqual(repeat.streak.current, 2);
+});
+
+test('missed days are covered by freezes when the user has enough', async (t) => {
+  const state = setupStore(t, { streakFreezes: 3 });
+  
+  await loginOn([0, 1]);
+  const result = await loginOn([4]);
+  
+  assert.strictEqual(result.freezesUsed, 2);
+  assert.strictEqual(result.streak.current, 3);
+  assert.strictEqual(result.streak.freezesUsed, 2);
+  assert.strictEqual(state.streakFreezes, 1);
+  assert.deepStrictEqual(result.streak.startedAt, new Date('2026-03-01T00:00:00Z'));
+});
+
+test('a missed day without freezes restarts the streak', async (t) => {
+  const state = setupStore(t, { streakFreezes: 0 });
+  
+  await loginOn([0, 1, 2]);
+  const result = await loginOn([4]);
+  
+  assert.strictEqual(result.extended, true);
+  assert.strictEqual(result.freezesUsed, 0);
+  assert.strictEqual(result.streak.current, 1);
+  assert.strictEqual(result.streak.best, 3);
+  assert.deepStrictEqual(result.streak.startedAt, new Date('2026-03-05T00:00:00Z'));
+  assert.strictEqual(state.streakFreezes, 0);
+});
+
+test('a gap only partly covered by freezes restarts the streak and keeps the freezes', async (t) => {
+  const state = setupStore(t, { streakFreezes: 1 });
+  
+  await loginOn([0]);
+  const result = await loginOn([3]);
+  
+  assert.strictEqual(result.streak.current, 1);
+  assert.strictEqual(result.freezesUsed, 0);
+  assert.strictEqual(state.streakFreezes, 1);
+});
+
+test('a gap longer than the freeze cap restarts the streak', async (t) => {
+  const state = setupStore(t, { streakFreezes: 10 });
+  
+  await loginOn([0]);
+  const result = await loginOn([5]);
+  
+  assert.strictEqual(result.streak.current, 1);
+  assert.strictEqual(state.streakFreezes, 10);
+});
+
+test('weekly quest streaks never spend freezes', async (t) => {
+  const state = setupStore(t, { streakFreezes: 3 });
+  const weekly = { type: 'quest', questId, cadence: 'weekly' };
+  
+  await Streak.recordPeriod(userId, weekly, day(0));
+  const result = await Streak.recordPeriod(userId, weekly, day(14));
+  
+  assert.strictEqual(result.streak.key, `quest:${questId}`);
+  assert.strictEqual(result.streak.current, 1);
+  assert.strictEqual(state.streakFreezes, 3);
+});
+
+test('losing the race to record a period refunds the freezes it spent', async (t) => {
+  const state = setupStore(t, { streakFreezes: 2, loseRace: true });
+  const streak = new Streak({
+    userId,
+    key: 'login',
+    type: 'login',
+    cadence: 'daily',
+    current: 4,
+    best: 4,
+    startedAt: new Date('2026-03-01T00:00:00Z'),
+    lastPeriodStart: new Date('2026-03-04T00:00:00Z')
+  });
+  state.streaks.set('login', streak);
+  
+  const result = await Streak.recordPeriod(userId, LOGIN, day(5));
+  
+  assert.strictEqual(result.extended, false);
+  assert.strictEqual(result.freezesUsed, 0);
+  assert.strictEqual(state.streakFreezes, 2);
+});
+
+test('the seventh login day pays the milestone once per run and earns a freeze', async (t) => {
+  const state = setupStore(t, { streakFreezes: 0 });
+  
+  const result = await loginOn([0, 1, 2, 3, 4, 5, 6]);
+  
+  assert.strictEqual(result.streak.current, 7);
+  assert.strictEqual(result.bonusXP, 50);
+  assert.strictEqual(result.freezesEarned, 1);
+  assert.strictEqual(state.streakFreezes, 1);
+  assert.deepStrictEqual(state.payouts.map(payout => [payout.deltaXP, payout.description, payout.idempotencyKey]), [
+    [50, '7-day login streak', `streak:${userId}:login:2026-03-01T00:00:00.000Z:7`]
+  ]);
+  
+  // A retry of the same payout is absorbed by the idempotency key
+  assert.strictEqual(await result.streak.awardMilestone(), 0);
+  assert.strictEqual(state.payouts.length, 1);
+});
+
+test('a new run pays the milestone again under its own key', async (t) => {
+  const state = setupStore(t);
+  
+  await loginOn([0, 1, 2, 3, 4, 5, 6]);
+  const result = await loginOn([10, 11, 12, 13, 14, 15, 16]);
+  
+  assert.strictEqual(result.bonusXP, 50);
+  assert.deepStrictEqual(state.payouts.map(payout => payout.idempotencyKey), [
+    `streak:${userId}:login:2026-03-01T00:00:00.000Z:7`,
+    `streak:${userId}:login:2026-03-11T00:00:00.000Z:7`
+  ]);
+});
+
+test('earned freezes stop at the cap', async (t) => {
+  const state = setupStore(t, { streakFreezes: 3 });
+  
+  const result = await loginOn([0, 1, 2, 3, 4, 5, 6]);
+  
+  assert.strictEqual(result.freezesEarned, 0);
+  assert.strictEqual(state.streakFreezes, 3);
+});
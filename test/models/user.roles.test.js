@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../../src/models/User');
+
+const legacyAdmin = () => new User({
+  walletAddress: '0x742d35cc6634c0532925a3b844bc9e7595f0beb0',
+  isAdmin: true,
+  roles: []
+});
+
+test('granting a role keeps a legacy admin super-admin', () => {
+  const user = legacyAdmin();
+  
+  assert.strictEqual(user.grantRole('viewer'), true);
+  assert.deepStrictEqual([...user.roles].sort(), ['super-admin', 'viewer']);
+  assert.strictEqual(user.isAdmin, true);
+});
+
+test('revoking another role keeps a legacy admin super-admin', () => {
+  const user = legacyAdmin();
+  user.roles.push('viewer');
+  
+  assert.strictEqual(user.revokeRole('viewer'), true);
+  assert.deepStrictEqual([...user.roles], ['super-admin']);
+  assert.strictEqual(user.isAdmin, true);
+});
+
+test('revoking super-admin clears the legacy flag', () => {
+  const user = legacyAdmin();
+  
+  assert.strictEqual(user.revokeRole('super-admin'), true);
+  assert.deepStrictEqual([...user.roles], []);
+  assert.strictEqual(user.isAdmin, false);
+});
+
+test('ADMIN_WALLETS bootstrap grants super-admin on the first sign-in only', () => {
+  const user = new User({ walletAddress: '0x742d35cc6634c0532925a3b844bc9e7595f0beb0' });
+  
+  assert.strictEqual(user.bootstrapSuperAdmin(), true);
+  assert.deepStrictEqual([...user.roles], ['super-admin']);
+  assert.ok(user.adminBootstrappedAt instanceof Date);
+  
+  user.revokeRole('super-admin');
+  
+  assert.strictEqual(user.bootstrapSuperAdmin(), false);
+  assert.deepStrictEqual([...user.roles], []);
+  assert.strictEqual(user.isAdmin, false);
+});
+
+test('ADMIN_WALLETS bootstrap marks a wallet that already holds super-admin', () => {
+  const user = legacyAdmin();
+  
+  assert.strictEqual(user.bootstrapSuperAdmin(), false);
+  assert.ok(user.adminBootstrappedAt instanceof Date);
+  assert.deepStrictEqual([...user.roles], ['super-admin']);
+});
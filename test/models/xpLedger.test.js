@@ -0,0 +1,261 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const XPLedger = require('../../src/models/XPLedger');
+const xpService = require('../../src/services/xp.service');
+
+const userId = new mongoose.Types.ObjectId();
+
+// In-memory stand-in for the collections addXP/reverseEntry touch. Writes made with a session are
+// undone when its transaction callback throws, like an aborted MongoDB transaction
+const setupStore = (t, totalXP) => {
+  const state = {
+    users: new Map([[userId.toString(), { _id: userId, totalXP }]]),
+    entries: []
+  };
+  
+  t.mock.method(XPLedger, 'startSession', async () => {
+    const session = {
+      undo: [],
+      withTransaction: async (fn) => {
+        session.undo = [];
+        
+        try {
+          await fn();
+        } catch (error) {
+          session.undo.reverse().forEach(undo => undo());
+          throw error;
+        }
+      },
+      endSession: async () => {}
+    };
+    
+    return session;
+  });
+  
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update, options) => {
+    const user = state.users.get(filter._id.toString());
+    
+    if (!user || (filter.totalXP && user.totalXP < filter.totalXP.$gte)) {
+      return null;
+    }
+    
+    user.totalXP += update.$inc.totalXP;
+    options.session.undo.push(() => { user.totalXP -= update.$inc.totalXP; });
+    return { _id: user._id, totalXP: user.totalXP };
+  });
+  
+  t.mock.method(User, 'exists', (filter) => ({
+    session: async () => (state.users.has(filter._id.toString()) ? { _id: filter._id } : null)
+  }));
+  
+  t.mock.method(XPLedger, 'findOne', async (filter) =>
+    state.entries.find(entry => entry.idempotencyKey === filter.idempotencyKey) || null);
+  
+  t.mock.method(XPLedger, 'create', async ([doc], options) => {
+    if (doc.idempotencyKey && state.entries.some(entry => entry.idempotencyKey === doc.idempotencyKey)) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    
+    const entry = new XPLedger(doc);
+    entry.save = async () => entry;
+    state.entries.push(entry);
+    options.session.undo.push(() => state.entries.splice(state.entries.indexOf(entry), 1));
+    return [entry];
+  });
+  
+  t.mock.method(XPLedger, 'findById', async (id) =>
+    state.entries.find(entry => entry._id.equals(id)) || null);
+  
+  t.mock.method(XPLedger, 'findOneAndUpdate', async (filter, update) => {
+    const entry = state.entries.find(candidate => candidate._id.equals(filter._id) && !candidate.reversedAt);
+    
+    if (!entry) {
+      return null;
+    }
+    
+    entry.reversedAt = update.$set.reversedAt;
+    return entry;
+  });
+  
+  t.mock.method(XPLedger, 'updateOne', async (filter, update) => {
+    const entry = state.entries.find(candidate => candidate._id.equals(filter._id));
+    Object.assign(entry, update.$set);
+    return { modifiedCount: 1 };
+  });
+  
+  return {
+    balance: () => state.users.get(userId.toString()).totalXP,
+    entries: () => state.entries
+  };
+};
+
+test('addXP moves the balance and records the balance it produced', async (t) => {
+  const store = setupStore(t, 100);
+  
+  const entry = await XPLedger.addXP(userId, 50, 'event', 'Deposit', {}, null, { idempotencyKey: 'event:1' });
+  
+  assert.strictEqual(store.balance(), 150);
+  assert.strictEqual(entry.balanceAfter, 150);
+  assert.strictEqual(entry.idempotencyKey, 'event:1');
+  assert.strictEqual(store.entries().length, 1);
+});
+
+test('addXP refuses to overdraw and leaves no trace', async (t) => {
+  const store = setupStore(t, 30);
+  
+  await assert.rejects(XPLedger.addXP(userId, -50, 'admin_adjustment'), /Insufficient XP balance/);
+  
+  assert.strictEqual(store.balance(), 30);
+  assert.strictEqual(store.entries().length, 0);
+  
+  const entry = await XPLedger.addXP(userId, -30, 'admin_adjustment');
+  
+  assert.strictEqual(entry.balanceAfter, 0);
+  assert.strictEqual(store.balance(), 0);
+});
+
+test('addXP reports a missing user', async (t) => {
+  setupStore(t, 0);
+  
+  await assert.rejects(XPLedger.addXP(new mongoose.Types.ObjectId(), 10, 'event'), /User not found/);
+});
+
+test('a repeated idempotency key is rejected without touching the balance', async (t) => {
+  const store = setupStore(t, 0);
+  const first = await XPLedger.addXP(userId, 25, 'quest_reward', '', {}, null, { idempotencyKey: 'quest:q1:once:u1' });
+  
+  await assert.rejects(
+    XPLedger.addXP(userId, 25, 'quest_reward', '', {}, null, { idempotencyKey: 'quest:q1:once:u1' }),
+    (error) => error.code === 'DUPLICATE_LEDGER_ENTRY' && error.entry._id.equals(first._id)
+  );
+  
+  assert.strictEqual(store.balance(), 25);
+  assert.strictEqual(store.entries().length, 1);
+});
+
+test('concurrent payouts with one idempotency key are paid once', async (t) => {
+  const store = setupStore(t, 0);
+  const pay = () => XPLedger.addXP(userId, 40, 'referral_reward', '', {}, null, { idempotencyKey: 'referral:r1' });
+  
+  const results = await Promise.allSettled([pay(), pay()]);
+  
+  // Both got past the pre-check; the unique index stopped the second write
+  assert.strictEqual(XPLedger.create.mock.callCount(), 2);
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.code, 'DUPLICATE_LEDGER_ENTRY');
+  assert.strictEqual(store.balance(), 40);
+  assert.strictEqual(store.entries().length, 1);
+});
+
+test('reverseEntry writes a compensating entry once and keeps the payout key reserved', async (t) => {
+  const store = setupStore(t, 0);
+  const payout = await XPLedger.addXP(userId, 60, 'quest_reward', '', {}, null, { idempotencyKey: 'quest:q2:once:u1' });
+  
+  const { entry, reversal } = await XPLedger.reverseEntry(payout._id, 'Fraud');
+  
+  assert.strictEqual(store.balance(), 0);
+  assert.strictEqual(reversal.deltaXP, -60);
+  assert.ok(reversal.reversalOf.equals(payout._id));
+  assert.ok(entry.reversedBy.equals(reversal._id));
+  assert.ok(entry.reversedAt instanceof Date);
+  
+  await assert.rejects(XPLedger.reverseEntry(payout._id), /already been reversed/);
+  await assert.rejects(XPLedger.reverseEntry(reversal._id), /Cannot reverse a reversal entry/);
+  await assert.rejects(
+    XPLedger.addXP(userId, 60, 'quest_reward', '', {}, null, { idempotencyKey: 'quest:q2:once:u1' }),
+    { code: 'DUPLICATE_LEDGER_ENTRY' }
+  );
+  
+  assert.strictEqual(store.balance(), 0);
+});
+
+test('reverseEntry releases its claim when the balance cannot cover the reversal', async (t) => {
+  const store = setupStore(t, 0);
+  const payout = await XPLedger.addXP(userId, 60, 'event');
+  await XPLedger.addXP(userId, -50, 'admin_adjustment');
+  
+  await assert.rejects(XPLedger.reverseEntry(payout._id), /Insufficient XP balance/);
+  
+  assert.strictEqual(payout.reversedAt, null);
+  assert.strictEqual(store.balance(), 10);
+  assert.strictEqual(store.entries().length, 2);
+});
+
+// Users and ledger sums for reconcileBalances; returns the balance updates it attempted
+const setupReconcile = (t, users, ledgerTotals, { concurrentWrite = false } = {}) => {
+  const updates = [];
+  
+  t.mock.method(User, 'find', (query) => {
+    const rows = users.filter(user => !query._id || user._id.toString() > query._id.$gt.toString());
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: (limit) => ({ lean: async () => rows.slice(0, limit) })
+    };
+    return chain;
+  });
+  
+  t.mock.method(XPLedger, 'sumByUsers', async (userIds) =>
+    new Map(userIds.filter(id => ledgerTotals.has(id.toString())).map(id => [id.toString(), ledgerTotals.get(id.toString())])));
+  
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: concurrentWrite ? 0 : 1 };
+  });
+  
+  return updates;
+};
+
+const reconcileUsers = () => {
+  const long = new Date(Date.now() - 60 * 60 * 1000);
+  const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId()).sort((a, b) => a.toString().localeCompare(b.toString()));
+  
+  return [
+    { _id: ids[0], walletAddress: '0xa', totalXP: 100, updatedAt: long },
+    { _id: ids[1], walletAddress: '0xb', totalXP: 80, updatedAt: long },
+    { _id: ids[2], walletAddress: '0xc', totalXP: 5, updatedAt: new Date() }
+  ];
+};
+
+test('reconcileBalances reports drift without repairing by default', async (t) => {
+  const users = reconcileUsers();
+  const updates = setupReconcile(t, users, new Map([
+    [users[0]._id.toString(), 100],
+    [users[1]._id.toString(), 50]
+  ]));
+  
+  const report = await xpService.reconcileBalances({ batchSize: 2 });
+  
+  assert.strictEqual(report.checked, 3);
+  assert.deepStrictEqual(report.mismatches.map(mismatch => [mismatch.walletAddress, mismatch.diff]), [['0xb', 30], ['0xc', 5]]);
+  assert.strictEqual(updates.length, 0);
+});
+
+test('reconcileBalances repairs settled users against the balance it compared', async (t) => {
+  const users = reconcileUsers();
+  const updates = setupReconcile(t, users, new Map([
+    [users[0]._id.toString(), 100],
+    [users[1]._id.toString(), 50]
+  ]));
+  
+  const report = await xpService.reconcileBalances({ repair: true });
+  
+  assert.strictEqual(report.repaired, 1);
+  // The third user was written to moments ago and may have a ledger write in flight
+  assert.strictEqual(report.skipped, 1);
+  assert.deepStrictEqual(updates.map(({ filter, update }) => [filter.totalXP, update.$set.totalXP]), [[80, 50]]);
+});
+
+test('reconcileBalances skips a user whose balance changed since it was read', async (t) => {
+  const users = reconcileUsers();
+  setupReconcile(t, users, new Map([[users[0]._id.toString(), 90]]), { concurrentWrite: true });
+  
+  const report = await xpService.reconcileBalances({ repair: true, settleMs: 0 });
+  
+  assert.strictEqual(report.repaired, 0);
+  assert.strictEqual(report.skipped, 3);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Event = require('../../src/models/Event');
+const XPLedger = require('../../src/models/XPLedger');
+const XPRule = require('../../src/models/XPRule');
+
+const HOUR_MS = 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+// Wednesday 2026-03-18 15:00 UTC; periods use the default UTC midnight reset, weeks start Sunday
+const now = new Date('2026-03-18T15:00:00Z');
+
+// Events of the rule's type; countDocuments applies the status, occurredAt and _id filters
+const setupEvents = (t, events) => {
+  const queries = [];
+  
+  t.mock.method(Event, 'countDocuments', async (query) => {
+    queries.push(query);
+    
+    return events.filter(event => {
+      const statuses = query.status.$in || [query.status];
+      
+      return statuses.includes(event.status) &&
+        (!query.occurredAt || event.occurredAt >= query.occurredAt.$gte) &&
+        (!query._id || !event._id.equals(query._id.$ne));
+    }).length;
+  });
+  
+  return queries;
+};
+
+const event = (status, occurredAt) => ({ _id: new mongoose.Types.ObjectId(), status, occurredAt: new Date(occurredAt) });
+
+const rule = (fields) => new XPRule({ actionType: 'deposit', xpAmount: 10, ...fields });
+
+test('the daily limit counts settled events since the daily reset', async (t) => {
+  const queries = setupEvents(t, [
+    event('processed', '2026-03-18T00:30:00Z'),
+    event('processed', '2026-03-17T23:59:00Z'),
+    event('failed', '2026-03-18T10:00:00Z')
+  ]);
+  
+  const [daily] = await rule({ dailyLimit: 2 }).getLimitUsage(userId, null, now);
+  
+  assert.deepStrictEqual(queries[0].occurredAt.$gte, new Date('2026-03-18T00:00:00Z'));
+  assert.strictEqual(daily.key, 'daily');
+  assert.strictEqual(daily.used, 1);
+  assert.strictEqual(daily.remaining, 1);
+  assert.deepStrictEqual(daily.resetsAt, new Date('2026-03-19T00:00:00Z'));
+});
+
+test('the weekly limit counts from the start of the week', async (t) => {
+  const queries = setupEvents(t, [
+    event('processed', '2026-03-15T01:00:00Z'),
+    event('processed', '2026-03-14T23:00:00Z')
+  ]);
+  
+  const [weekly] = await rule({ weeklyLimit: 1 }).getLimitUsage(userId, null, now);
+  
+  assert.deepStrictEqual(queries[0].occurredAt.$gte, new Date('2026-03-15T00:00:00Z'));
+  assert.strictEqual(weekly.used, 1);
+  assert.strictEqual(weekly.remaining, 0);
+  assert.deepStrictEqual(weekly.resetsAt, new Date('2026-03-22T00:00:00Z'));
+});
+
+test('the rolling limit counts a sliding window ending now', async (t) => {
+  const queries = setupEvents(t, [
+    event('processed', now.getTime() - 23 * HOUR_MS),
+    event('processed', now.getTime() - 25 * HOUR_MS)
+  ]);
+  
+  const [rolling] = await rule({ rollingWindowHours: 24, rollingLimit: 2 }).getLimitUsage(userId, null, now);
+  
+  assert.deepStrictEqual(queries[0].occurredAt.$gte, new Date(now.getTime() - 24 * HOUR_MS));
+  assert.strictEqual(rolling.key, 'rolling');
+  assert.strictEqual(rolling.used, 1);
+  assert.strictEqual(rolling.remaining, 1);
+  assert.strictEqual(rolling.resetsAt, null);
+});
+
+test('the daily XP cap sums unreversed awards since the daily reset', async (t) => {
+  const pipelines = [];
+  t.mock.method(XPLedger, 'aggregate', async (pipeline) => {
+    pipelines.push(pipeline);
+    return [{ _id: null, total: 70 }];
+  });
+  
+  const [dailyXP] = await rule({ dailyXPLimit: 100 }).getLimitUsage(userId, null, now);
+  const { $match } = pipelines[0][0];
+  
+  assert.deepStrictEqual($match.createdAt.$gte, new Date('2026-03-18T00:00:00Z'));
+  assert.strictEqual($match.reason, 'deposit');
+  assert.strictEqual($match.reversedAt, null);
+  assert.strictEqual(dailyXP.unit, 'xp');
+  assert.strictEqual(dailyXP.remaining, 30);
+  
+  const check = await rule({ dailyXPLimit: 100 }).checkLimits(userId, null, now);
+  
+  assert.strictEqual(check.withinLimit, true);
+  assert.strictEqual(check.remainingXP, 30);
+});
+
+test('concurrent in-flight events do not count against each other', async (t) => {
+  const first = event('verified', '2026-03-18T14:59:00Z');
+  const second = event('verified', '2026-03-18T14:59:30Z');
+  setupEvents(t, [first, second]);
+  const limited = rule({ dailyLimit: 1 });
+  
+  assert.strictEqual((await limited.checkLimits(userId, first._id, now)).withinLimit, true);
+  assert.strictEqual((await limited.checkLimits(userId, second._id, now)).withinLimit, true);
+});
+
+test('an awarded event uses up the limit for the next one', async (t) => {
+  const awarded = event('processed', '2026-03-18T14:59:00Z');
+  const next = event('verified', '2026-03-18T14:59:30Z');
+  setupEvents(t, [awarded, next]);
+  
+  const check = await rule({ dailyLimit: 1 }).checkLimits(userId, next._id, now);
+  
+  assert.strictEqual(check.withinLimit, false);
+  assert.strictEqual(check.limit, 'daily');
+  assert.strictEqual(check.reason, 'Daily limit of 1 reached');
+  assert.deepStrictEqual(check.resetsAt, new Date('2026-03-19T00:00:00Z'));
+});
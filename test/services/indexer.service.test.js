@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IndexerCursor = require('../../src/models/IndexerCursor');
+const web3Service = require('../../src/services/web3.service');
+const contractRegistry = require('../../src/utils/contractRegistry');
+const indexerService = require('../../src/services/indexer.service');
+
+const CHAIN_ID = 84532;
+
+const group = (blockNumber, txHash) => ({
+  eventType: 'deposit',
+  txHash,
+  blockNumber,
+  blockHash: `0xhash${blockNumber}`,
+  logIndex: 0,
+  logs: []
+});
+
+// Chain at block 200 with a poisoned group at block 120 and a good one at block 150
+const setup = (t, cursor) => {
+  const provider = {
+    getBlockNumber: async () => 200,
+    getLogs: async () => [],
+    getBlock: async (number) => ({ number, hash: `0xhash${number}`, timestamp: 1700000000 })
+  };
+  const handled = [];
+  
+  t.mock.method(web3Service, 'getProvider', () => provider);
+  t.mock.method(web3Service, 'getRequiredConfirmations', () => 1);
+  t.mock.method(contractRegistry, 'getAllContractAddresses', () => ['0x0000000000000000000000000000000000000001']);
+  t.mock.method(IndexerCursor, 'getOrCreate', async () => cursor);
+  t.mock.method(cursor, 'save', async function() { return this; });
+  t.mock.method(indexerService, 'groupLogs', () => [group(120, '0xbad'), group(150, '0xgood')]);
+  t.mock.method(indexerService, 'handleLogGroup', async (chainId, p, logGroup) => {
+    if (logGroup.txHash === '0xbad') {
+      throw new Error('Cannot decode log');
+    }
+    
+    handled.push(logGroup.txHash);
+    return 'processed';
+  });
+  
+  return handled;
+};
+
+test('a failing log group holds the cursor until its attempts run out', async (t) => {
+  process.env.INDEXER_MAX_GROUP_ATTEMPTS = '3';
+  t.after(() => delete process.env.INDEXER_MAX_GROUP_ATTEMPTS);
+  
+  const cursor = new IndexerCursor({ chainId: CHAIN_ID, lastBlock: 100, recentBlocks: [] });
+  const handled = setup(t, cursor);
+  
+  for (let tick = 1; tick < 3; tick++) {
+    await assert.rejects(indexerService.indexChain(CHAIN_ID), /Cannot decode log/);
+    assert.strictEqual(cursor.lastBlock, 100);
+    assert.strictEqual(cursor.failure.attempts, tick);
+  }
+  
+  assert.deepStrictEqual(handled, []);
+  
+  const result = await indexerService.indexChain(CHAIN_ID);
+  
+  assert.strictEqual(result.failed, 1);
+  assert.strictEqual(result.processed, 1);
+  assert.deepStrictEqual(handled, ['0xgood']);
+  assert.strictEqual(cursor.lastBlock, 200);
+  assert.strictEqual(cursor.failure.key, null);
+  assert.strictEqual(cursor.failedGroups.length, 1);
+  assert.strictEqual(cursor.failedGroups[0].txHash, '0xbad');
+  assert.strictEqual(cursor.failedGroups[0].attempts, 3);
+});
+
+test('a group that recovers before the cap is indexed normally', async (t) => {
+  const cursor = new IndexerCursor({ chainId: CHAIN_ID, lastBlock: 100, recentBlocks: [] });
+  setup(t, cursor);
+  
+  await assert.rejects(indexerService.indexChain(CHAIN_ID));
+  
+  indexerService.handleLogGroup.mock.mockImplementation(async () => 'processed');
+  const result = await indexerService.indexChain(CHAIN_ID);
+  
+  assert.strictEqual(result.processed, 2);
+  assert.strictEqual(result.failed, 0);
+  assert.strictEqual(cursor.lastBlock, 200);
+  assert.strictEqual(cursor.failure.attempts, 0);
+  assert.strictEqual(cursor.failedGroups.length, 0);
+});
+
+test('rewinding drops failed groups from orphaned blocks', async () => {
+  const cursor = new IndexerCursor({
+    chainId: CHAIN_ID,
+    lastBlock: 200,
+    recentBlocks: [],
+    failedGroups: [
+      { txHash: '0xold', eventType: 'deposit', blockNumber: 90 },
+      { txHash: '0xorphan', eventType: 'deposit', blockNumber: 180 }
+    ]
+  });
+  cursor.save = async function() { return this; };
+  
+  await cursor.rewind(150);
+  
+  assert.deepStrictEqual(cursor.failedGroups.map(failed => failed.txHash), ['0xold']);
+  assert.strictEqual(cursor.lastBlock, 150);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const web3Service = require('../../src/services/web3.service');
+const { ERC6492_VALIDATOR_BYTECODE } = require('../../src/utils/erc6492Validator');
+
+const MESSAGE = 'Sign this message to authenticate with Nuvia Finance: 123456';
+const MAGIC_SUFFIX = `0x${'6492'.repeat(16)}`;
+const ERC1271 = new ethers.Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const owner = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+const stranger = new ethers.Wallet(`0x${'22'.repeat(32)}`);
+const contractWallet = '0x00000000000000000000000000000000000c0de1';
+const factory = '0x000000000000000000000000000000000000fac7';
+
+const wrap6492 = (signature) => ethers.concat([
+  coder.encode(['address', 'bytes', 'bytes'], [factory, '0xdeadbeef', signature]),
+  MAGIC_SUFFIX
+]);
+
+// Provider stub: getCode returns `code`, eth_call is answered by `call`
+const stubProvider = (t, { code = '0x', call = async () => '0x' } = {}) => {
+  const provider = {
+    getCode: t.mock.fn(async () => code),
+    call: t.mock.fn(call)
+  };
+  
+  t.mock.method(web3Service, 'getProvider', () => provider);
+  return provider;
+};
+
+const isValidSignatureResult = (value) => ERC1271.encodeFunctionResult('isValidSignature', [value]);
+
+test('a plain ECDSA signature from the wallet is accepted without touching the chain', async (t) => {
+  const provider = stubProvider(t);
+  const signature = await owner.signMessage(MESSAGE);
+  
+  const result = await web3Service.verifySignature(MESSAGE, signature, owner.address.toLowerCase(), 84532);
+  
+  assert.strictEqual(result.isValid, true);
+  assert.strictEqual(result.method, 'eoa');
+  assert.strictEqual(provider.getCode.mock.callCount(), 0);
+});
+
+test('an ECDSA signature from another key is rejected for an EOA', async (t) => {
+  stubProvider(t, { code: '0x' });
+  const signature = await stranger.signMessage(MESSAGE);
+  
+  const result = await web3Service.verifySignature(MESSAGE, signature, owner.address, 84532);
+  
+  assert.strictEqual(result.isValid, false);
+  assert.strictEqual(result.method, 'eoa');
+});
+
+test('a deployed contract wallet falls back to EIP-1271', async (t) => {
+  const signature = await owner.signMessage(MESSAGE);
+  const provider = stubProvider(t, {
+    code: '0x6080',
+    call: async () => isValidSignatureResult('0x1626ba7e')
+  });
+  
+  const result = await web3Service.verifySignature(MESSAGE, signature, contractWallet, 84532);
+  
+  assert.strictEqual(result.isValid, true);
+  assert.strictEqual(result.method, 'erc1271');
+  assert.strictEqual(result.recoveredAddress, ethers.getAddress(contractWallet));
+  
+  const [tx] = provider.call.mock.calls[0].arguments;
+  const [hash, passedSignature] = ERC1271.decodeFunctionData('isValidSignature', tx.data);
+  
+  assert.strictEqual(tx.to.toLowerCase(), contractWallet);
+  assert.strictEqual(hash, ethers.hashMessage(MESSAGE));
+  assert.strictEqual(passedSignature, signature);
+});
+
+test('EIP-1271 rejects a non-magic return value or a revert', async (t) => {
+  const signature = await stranger.signMessage(MESSAGE);
+  
+  stubProvider(t, { code: '0x6080', call: async () => isValidSignatureResult('0xffffffff') });
+  assert.strictEqual((await web3Service.verifySignature(MESSAGE, signature, contractWallet, 84532)).isValid, false);
+  
+  t.mock.restoreAll();
+  stubProvider(t, {
+    code: '0x6080',
+    call: async () => {
+      throw new Error('execution reverted');
+    }
+  });
+  
+  const result = await web3Service.verifySignature(MESSAGE, signature, contractWallet, 84532);
+  
+  assert.strictEqual(result.isValid, false);
+  assert.strictEqual(result.method, 'erc1271');
+});
+
+test('an EIP-6492 signature is detected and unwrapped', async () => {
+  const inner = await owner.signMessage(MESSAGE);
+  const wrapped = wrap6492(inner);
+  
+  assert.strictEqual(web3Service.isERC6492Signature(wrapped), true);
+  assert.strictEqual(web3Service.isERC6492Signature(inner), false);
+  assert.deepStrictEqual(web3Service.unwrapERC6492Signature(wrapped), {
+    factory: ethers.getAddress(factory),
+    factoryCalldata: '0xdeadbeef',
+    signature: inner
+  });
+});
+
+test('an undeployed wallet is checked by the EIP-6492 validator in an eth_call', async (t) => {
+  const wrapped = wrap6492(await owner.signMessage(MESSAGE));
+  const provider = stubProvider(t, { code: '0x', call: async () => '0x01' });
+  
+  const result = await web3Service.verifySignature(MESSAGE, wrapped, contractWallet, 84532);
+  
+  assert.strictEqual(result.isValid, true);
+  assert.strictEqual(result.method, 'erc6492');
+  
+  const [tx] = provider.call.mock.calls[0].arguments;
+  
+  assert.strictEqual(tx.to, undefined);
+  assert.ok(tx.data.startsWith(ERC6492_VALIDATOR_BYTECODE));
+  
+  const [signer, hash, signature] = coder.decode(
+    ['address', 'bytes32', 'bytes'],
+    ethers.dataSlice(tx.data, ethers.dataLength(ERC6492_VALIDATOR_BYTECODE))
+  );
+  
+  assert.strictEqual(signer, ethers.getAddress(contractWallet));
+  assert.strictEqual(hash, ethers.hashMessage(MESSAGE));
+  assert.strictEqual(signature, wrapped);
+});
+
+test('the EIP-6492 validator rejecting or reverting fails verification', async (t) => {
+  const wrapped = wrap6492(await stranger.signMessage(MESSAGE));
+  
+  stubProvider(t, { code: '0x', call: async () => '0x00' });
+  assert.strictEqual((await web3Service.verifySignature(MESSAGE, wrapped, contractWallet, 84532)).isValid, false);
+  
+  t.mock.restoreAll();
+  stubProvider(t, {
+    code: '0x',
+    call: async () => {
+      throw new Error('execution reverted');
+    }
+  });
+  assert.strictEqual((await web3Service.verifySignature(MESSAGE, wrapped, contractWallet, 84532)).isValid, false);
+});
+
+test('an EIP-6492 signature for an already deployed wallet is unwrapped for EIP-1271', async (t) => {
+  const inner = await owner.signMessage(MESSAGE);
+  const provider = stubProvider(t, {
+    code: '0x6080',
+    call: async () => isValidSignatureResult('0x1626ba7e')
+  });
+  
+  const result = await web3Service.verifySignature(MESSAGE, wrap6492(inner), contractWallet, 84532);
+  
+  assert.strictEqual(result.isValid, true);
+  assert.strictEqual(result.method, 'erc1271');
+  
+  const [tx] = provider.call.mock.calls[0].arguments;
+  const [, passedSignature] = ERC1271.decodeFunctionData('isValidSignature', tx.data);
+  
+  assert.strictEqual(passedSignature, inner);
+});
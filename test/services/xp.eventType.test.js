@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const xpService = require('../../src/services/xp.service');
+
+const txHash = `0x${'ab'.repeat(32)}`;
+
+test('unknown event types are rejected', () => {
+  const check = xpService.checkEventType('mint_nft', {});
+  
+  assert.strictEqual(check.valid, false);
+  assert.match(check.reason, /Unknown event type/);
+});
+
+test('a transaction is rejected on event types without an onchain spec', () => {
+  assert.strictEqual(xpService.checkEventType('connect_wallet', { txHash, chainId: 84532 }).valid, false);
+  assert.strictEqual(xpService.checkEventType('connect_wallet', {}).valid, true);
+});
+
+test('a transaction is accepted on event types with an onchain spec', () => {
+  assert.strictEqual(xpService.checkEventType('deposit', { txHash, chainId: 84532 }).valid, true);
+  assert.strictEqual(xpService.checkEventType('claim_faucet', { txHash, chainId: 84532 }).valid, true);
+});
+
+test('queueEvent refuses to queue a transaction under a type without a spec', async () => {
+  const result = await xpService.queueEvent('507f1f77bcf86cd799439011', 'connect_wallet', { txHash, chainId: 84532 });
+  
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.pending, undefined);
+});
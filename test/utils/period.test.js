@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const periodService = require('../../src/utils/period');
+
+const PeriodService = periodService.constructor;
+const SETTINGS = ['PERIOD_TIMEZONE', 'WEEK_START_DAY', 'PERIOD_RESET_HOUR'];
+
+// A period service built from the given settings, as if they were set at startup
+const withSettings = (t, settings) => {
+  const saved = SETTINGS.map(name => [name, process.env[name]]);
+  t.after(() => saved.forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }));
+  
+  SETTINGS.forEach(name => delete process.env[name]);
+  Object.assign(process.env, settings);
+  
+  return new PeriodService();
+};
+
+const period = (service, cadence, date) => {
+  const { periodStart, periodEnd } = service.getPeriod(cadence, new Date(date));
+  return [periodStart.toISOString(), new Date(periodEnd.getTime() + 1).toISOString()];
+};
+
+test('daily periods run midnight to midnight UTC by default', (t) => {
+  const service = withSettings(t, {});
+  
+  assert.deepStrictEqual(period(service, 'daily', '2026-03-18T15:00:00Z'), ['2026-03-18T00:00:00.000Z', '2026-03-19T00:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'daily', '2026-03-18T00:00:00Z'), ['2026-03-18T00:00:00.000Z', '2026-03-19T00:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'daily', '2026-03-17T23:59:59.999Z'), ['2026-03-17T00:00:00.000Z', '2026-03-18T00:00:00.000Z']);
+});
+
+test('periodEnd is the last millisecond before the next reset', (t) => {
+  const service = withSettings(t, {});
+  const { periodEnd } = service.getPeriod('daily', new Date('2026-03-18T15:00:00Z'));
+  
+  assert.strictEqual(periodEnd.toISOString(), '2026-03-18T23:59:59.999Z');
+  assert.strictEqual(service.getNextReset('daily', new Date('2026-03-18T15:00:00Z')).toISOString(), '2026-03-19T00:00:00.000Z');
+});
+
+test('before the reset hour still counts as the previous day', (t) => {
+  const service = withSettings(t, { PERIOD_TIMEZONE: 'America/New_York', PERIOD_RESET_HOUR: '4' });
+  
+  // 03:59 and 04:00 EDT on June 10th
+  assert.deepStrictEqual(period(service, 'daily', '2026-06-10T07:59:59Z'), ['2026-06-09T08:00:00.000Z', '2026-06-10T08:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'daily', '2026-06-10T08:00:00Z'), ['2026-06-10T08:00:00.000Z', '2026-06-11T08:00:00.000Z']);
+});
+
+test('days are 23 and 25 hours long across DST changes', (t) => {
+  const service = withSettings(t, { PERIOD_TIMEZONE: 'America/New_York' });
+  
+  // Clocks spring forward on March 8th and fall back on November 1st, 2026
+  assert.deepStrictEqual(period(service, 'daily', '2026-03-08T12:00:00Z'), ['2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'daily', '2026-11-01T12:00:00Z'), ['2026-11-01T04:00:00.000Z', '2026-11-02T05:00:00.000Z']);
+});
+
+test('the reset hour stays at local wall-clock time across a DST change', (t) => {
+  const service = withSettings(t, { PERIOD_TIMEZONE: 'America/New_York', PERIOD_RESET_HOUR: '4' });
+  
+  // 03:30 EDT on March 8th, just after the change, is still March 7th's period (04:00 EST)
+  assert.deepStrictEqual(period(service, 'daily', '2026-03-08T07:30:00Z'), ['2026-03-07T09:00:00.000Z', '2026-03-08T08:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'daily', '2026-03-08T08:00:00Z'), ['2026-03-08T08:00:00.000Z', '2026-03-09T08:00:00.000Z']);
+});
+
+test('timezones with half-hour offsets reset at local midnight', (t) => {
+  const service = withSettings(t, { PERIOD_TIMEZONE: 'Asia/Kolkata' });
+  
+  assert.deepStrictEqual(period(service, 'daily', '2026-03-18T12:00:00Z'), ['2026-03-17T18:30:00.000Z', '2026-03-18T18:30:00.000Z']);
+});
+
+test('weeks start on Sunday by default', (t) => {
+  const service = withSettings(t, {});
+  
+  // Wednesday March 18th, 2026
+  assert.deepStrictEqual(period(service, 'weekly', '2026-03-18T15:00:00Z'), ['2026-03-15T00:00:00.000Z', '2026-03-22T00:00:00.000Z']);
+});
+
+test('weeks can start on another day', (t) => {
+  const service = withSettings(t, { WEEK_START_DAY: '3' });
+  
+  // Tuesday belongs to the week that started the previous Wednesday
+  assert.deepStrictEqual(period(service, 'weekly', '2026-03-17T10:00:00Z'), ['2026-03-11T00:00:00.000Z', '2026-03-18T00:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'weekly', '2026-03-18T00:00:00Z'), ['2026-03-18T00:00:00.000Z', '2026-03-25T00:00:00.000Z']);
+});
+
+test('a week starts at the reset hour of its first day', (t) => {
+  const service = withSettings(t, { WEEK_START_DAY: '1', PERIOD_RESET_HOUR: '6' });
+  
+  // Monday 05:00 is still the previous week
+  assert.deepStrictEqual(period(service, 'weekly', '2026-03-16T05:00:00Z'), ['2026-03-09T06:00:00.000Z', '2026-03-16T06:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'weekly', '2026-03-16T06:00:00Z'), ['2026-03-16T06:00:00.000Z', '2026-03-23T06:00:00.000Z']);
+});
+
+test('a week spanning a DST change is 167 hours long', (t) => {
+  const service = withSettings(t, { PERIOD_TIMEZONE: 'America/New_York', WEEK_START_DAY: '1' });
+  
+  assert.deepStrictEqual(period(service, 'weekly', '2026-03-04T12:00:00Z'), ['2026-03-02T05:00:00.000Z', '2026-03-09T04:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'weekly', '2026-03-08T12:00:00Z'), ['2026-03-02T05:00:00.000Z', '2026-03-09T04:00:00.000Z']);
+});
+
+test('before the reset hour on the 1st still counts as the previous month', (t) => {
+  const service = withSettings(t, { PERIOD_RESET_HOUR: '4' });
+  
+  assert.deepStrictEqual(period(service, 'monthly', '2026-03-01T03:00:00Z'), ['2026-02-01T04:00:00.000Z', '2026-03-01T04:00:00.000Z']);
+  assert.deepStrictEqual(period(service, 'monthly', '2026-03-01T04:00:00Z'), ['2026-03-01T04:00:00.000Z', '2026-04-01T04:00:00.000Z']);
+});
+
+test('months follow the reset timezone', (t) => {
+  const service = withSettings(t, { PERIOD_TIMEZONE: 'America/New_York' });
+  
+  // Still February 28th in New York
+  assert.deepStrictEqual(period(service, 'monthly', '2026-03-01T03:00:00Z'), ['2026-02-01T05:00:00.000Z', '2026-03-01T05:00:00.000Z']);
+});
+
+test('one-time and unknown cadences have no period', (t) => {
+  const service = withSettings(t, {});
+  
+  assert.deepStrictEqual(service.getPeriod('one-time'), { periodStart: null, periodEnd: null });
+  assert.strictEqual(service.getNextReset('lifetime'), null);
+});
+
+test('invalid settings fall back to UTC, Sunday and midnight', (t) => {
+  const service = withSettings(t, { PERIOD_TIMEZONE: 'Mars/Olympus_Mons', WEEK_START_DAY: '9', PERIOD_RESET_HOUR: '-2' });
+  
+  assert.strictEqual(service.timezone, 'UTC');
+  assert.strictEqual(service.weekStartDay, 6);
+  assert.strictEqual(service.resetHour, 0);
+});
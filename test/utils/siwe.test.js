@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const siwe = require('../../src/utils/siwe');
+
+const ADDRESS = '0x742D35CC6634c0532925A3b844BC9E7595F0BEb0';
+const NONCE = 'a1b2c3d4e5f6';
+
+process.env.SIWE_URI = 'https://app.nuvia.finance';
+delete process.env.SIWE_DOMAIN;
+
+const signIn = (overrides = {}) => {
+  const { fields } = siwe.createMessage({ address: ADDRESS, nonce: NONCE, chainId: 84532, requestId: 'req-1' });
+  return { ...fields, ...overrides };
+};
+
+const validate = (fields, options = {}) => siwe.validateFields(fields, { address: ADDRESS, nonce: NONCE, ...options });
+
+test('a built message parses back to the same fields', () => {
+  const { fields, message } = siwe.createMessage({ address: ADDRESS, nonce: NONCE, chainId: 84532, requestId: 'req-1' });
+  const parsed = siwe.parseMessage(message);
+  
+  assert.strictEqual(parsed.domain, 'app.nuvia.finance');
+  assert.strictEqual(parsed.address, ADDRESS);
+  assert.strictEqual(parsed.statement, fields.statement);
+  assert.strictEqual(parsed.uri, 'https://app.nuvia.finance');
+  assert.strictEqual(parsed.chainId, 84532);
+  assert.strictEqual(parsed.nonce, NONCE);
+  assert.strictEqual(parsed.issuedAt, fields.issuedAt);
+  assert.strictEqual(parsed.expirationTime, fields.expirationTime);
+  assert.strictEqual(parsed.requestId, 'req-1');
+});
+
+test('messages without a statement and with resources parse', () => {
+  const message = siwe.buildMessage({
+    ...signIn(),
+    statement: undefined,
+    resources: ['ipfs://bafybei', 'https://nuvia.finance/terms']
+  });
+  const parsed = siwe.parseMessage(message.replace(/\n/g, '\r\n'));
+  
+  assert.strictEqual(parsed.statement, undefined);
+  assert.deepStrictEqual(parsed.resources, ['ipfs://bafybei', 'https://nuvia.finance/terms']);
+});
+
+test('malformed messages are rejected', () => {
+  const message = siwe.buildMessage(signIn());
+  
+  assert.throws(() => siwe.parseMessage(42), /must be a string/);
+  assert.throws(() => siwe.parseMessage(message.replace(' wants you', ' would like you')), /header/);
+  assert.throws(() => siwe.parseMessage(message.replace(ADDRESS, '0x1234')), /domain or address/);
+  assert.throws(() => siwe.parseMessage(message.replace(/\nNonce: .*/, '')), /missing Nonce/);
+  assert.throws(() => siwe.parseMessage(`${message}\nColor: blue`), /Unexpected SIWE message line/);
+});
+
+test('a fresh message for this app validates', () => {
+  assert.deepStrictEqual(validate(signIn()), { valid: true });
+});
+
+test('domain, URI, version, address, chain and nonce must match', () => {
+  assert.match(validate(signIn({ domain: 'evil.example' })).reason, /domain/);
+  assert.match(validate(signIn({ uri: 'https://evil.example/login' })).reason, /URI does not match/);
+  assert.match(validate(signIn({ uri: 'not a url' })).reason, /Invalid message URI/);
+  assert.match(validate(signIn({ version: '2' })).reason, /version/);
+  assert.match(validate(signIn(), { address: '0x0000000000000000000000000000000000000001' }).reason, /address/);
+  assert.match(validate(signIn({ chainId: 999999 })).reason, /not supported/);
+  assert.match(validate(signIn(), { nonce: 'other' }).reason, /nonce/);
+});
+
+test('the URI may carry a path on the same origin', () => {
+  assert.strictEqual(validate(signIn({ uri: 'https://app.nuvia.finance/login' })).valid, true);
+});
+
+test('issue, expiration and not-before times are enforced with clock skew', () => {
+  const now = new Date();
+  const at = offsetMs => new Date(now.getTime() + offsetMs).toISOString();
+  
+  assert.strictEqual(validate(signIn({ issuedAt: at(30 * 1000) }), { now }).valid, true);
+  assert.match(validate(signIn({ issuedAt: at(5 * 60 * 1000) }), { now }).reason, /issue time/);
+  assert.match(validate(signIn({ issuedAt: 'yesterday' }), { now }).reason, /issue time/);
+  assert.match(validate(signIn({ expirationTime: at(-1000) }), { now }).reason, /expired/);
+  assert.strictEqual(validate(signIn({ notBefore: at(30 * 1000) }), { now }).valid, true);
+  assert.match(validate(signIn({ notBefore: at(5 * 60 * 1000) }), { now }).reason, /not yet valid/);
+});
+
+test('a bad SIWE_URI fails on use instead of at require time', (t) => {
+  process.env.SIWE_URI = 'not a url';
+  t.after(() => { process.env.SIWE_URI = 'https://app.nuvia.finance'; });
+  
+  assert.throws(() => siwe.getConfig(), /SIWE_URI is not a valid URL/);
+});
+
+test('the URI falls back to CORS_ORIGIN and then localhost', (t) => {
+  const corsOrigin = process.env.CORS_ORIGIN;
+  delete process.env.SIWE_URI;
+  t.after(() => {
+    process.env.SIWE_URI = 'https://app.nuvia.finance';
+    process.env.CORS_ORIGIN = corsOrigin;
+  });
+  
+  process.env.CORS_ORIGIN = 'https://nuvia.finance/app';
+  assert.strictEqual(siwe.getConfig().uri, 'https://nuvia.finance');
+  assert.strictEqual(siwe.getConfig().domain, 'nuvia.finance');
+  
+  process.env.CORS_ORIGIN = 'garbage';
+  assert.strictEqual(siwe.getConfig().uri, 'http://localhost:5173');
+});